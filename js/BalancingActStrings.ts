@@ -75,6 +75,162 @@ type StringsType = {
   'marksStringProperty': LinkableProperty<string>;
   'startOver': string;
   'startOverStringProperty': LinkableProperty<string>;
+  'metersAbbreviation': string;
+  'metersAbbreviationStringProperty': LinkableProperty<string>;
+  'friction': string;
+  'frictionStringProperty': LinkableProperty<string>;
+  'lots': string;
+  'lotsStringProperty': LinkableProperty<string>;
+  'pattern0AngularVelocity': string;
+  'pattern0AngularVelocityStringProperty': LinkableProperty<string>;
+  'pattern0Period': string;
+  'pattern0PeriodStringProperty': LinkableProperty<string>;
+  'periodNotAvailable': string;
+  'periodNotAvailableStringProperty': LinkableProperty<string>;
+  'beams': string;
+  'beamsStringProperty': LinkableProperty<string>;
+  'newtonsAbbreviation': string;
+  'newtonsAbbreviationStringProperty': LinkableProperty<string>;
+  'torques': string;
+  'torquesStringProperty': LinkableProperty<string>;
+  'clockwise': string;
+  'clockwiseStringProperty': LinkableProperty<string>;
+  'counterclockwise': string;
+  'counterclockwiseStringProperty': LinkableProperty<string>;
+  'newtonMetersAbbreviation': string;
+  'newtonMetersAbbreviationStringProperty': LinkableProperty<string>;
+  'pattern0NetTorque': string;
+  'pattern0NetTorqueStringProperty': LinkableProperty<string>;
+  'torqueEquation': string;
+  'torqueEquationStringProperty': LinkableProperty<string>;
+  'pattern0Mass1Gravity2Distance': string;
+  'pattern0Mass1Gravity2DistanceStringProperty': LinkableProperty<string>;
+  'metersPerSecondSquaredAbbreviation': string;
+  'metersPerSecondSquaredAbbreviationStringProperty': LinkableProperty<string>;
+  'pattern0Sum': string;
+  'pattern0SumStringProperty': LinkableProperty<string>;
+  'balanced': string;
+  'balancedStringProperty': LinkableProperty<string>;
+  'notBalanced': string;
+  'notBalancedStringProperty': LinkableProperty<string>;
+  'centerOfMass': string;
+  'centerOfMassStringProperty': LinkableProperty<string>;
+  'leftOfPivot': string;
+  'leftOfPivotStringProperty': LinkableProperty<string>;
+  'rightOfPivot': string;
+  'rightOfPivotStringProperty': LinkableProperty<string>;
+  'underPivot': string;
+  'underPivotStringProperty': LinkableProperty<string>;
+  'custom': string;
+  'customStringProperty': LinkableProperty<string>;
+  'boxLabel': string;
+  'boxLabelStringProperty': LinkableProperty<string>;
+  'saveSetup': string;
+  'saveSetupStringProperty': LinkableProperty<string>;
+  'loadSetup': string;
+  'loadSetupStringProperty': LinkableProperty<string>;
+  'setupNotLoaded': string;
+  'setupNotLoadedStringProperty': LinkableProperty<string>;
+  'setupFileInvalid': string;
+  'setupFileInvalidStringProperty': LinkableProperty<string>;
+  'pattern0UnsupportedSetupVersion': string;
+  'pattern0UnsupportedSetupVersionStringProperty': LinkableProperty<string>;
+  'pattern0UnknownMassType': string;
+  'pattern0UnknownMassTypeStringProperty': LinkableProperty<string>;
+  'pattern0NoMoreMassesOfType': string;
+  'pattern0NoMoreMassesOfTypeStringProperty': LinkableProperty<string>;
+  'pattern0InvalidMassProperties': string;
+  'pattern0InvalidMassPropertiesStringProperty': LinkableProperty<string>;
+  'pattern0InvalidMassDistance': string;
+  'pattern0InvalidMassDistanceStringProperty': LinkableProperty<string>;
+  'pattern0Mass1DistanceOccupied': string;
+  'pattern0Mass1DistanceOccupiedStringProperty': LinkableProperty<string>;
+  'pattern0KilogramObject': string;
+  'pattern0KilogramObjectStringProperty': LinkableProperty<string>;
+  'pattern0KilogramObject1Label': string;
+  'pattern0KilogramObject1LabelStringProperty': LinkableProperty<string>;
+  'mysteryObject': string;
+  'mysteryObjectStringProperty': LinkableProperty<string>;
+  'pattern0MysteryObject': string;
+  'pattern0MysteryObjectStringProperty': LinkableProperty<string>;
+  'pattern0AddMass': string;
+  'pattern0AddMassStringProperty': LinkableProperty<string>;
+  'pattern0Mass1Distance': string;
+  'pattern0Mass1DistanceStringProperty': LinkableProperty<string>;
+  'pattern0MassAtPivot': string;
+  'pattern0MassAtPivotStringProperty': LinkableProperty<string>;
+  'pattern0LeftSideMasses': string;
+  'pattern0LeftSideMassesStringProperty': LinkableProperty<string>;
+  'pattern0RightSideMasses': string;
+  'pattern0RightSideMassesStringProperty': LinkableProperty<string>;
+  'plankEmptyDescription': string;
+  'plankEmptyDescriptionStringProperty': LinkableProperty<string>;
+  'supportsOnDescription': string;
+  'supportsOnDescriptionStringProperty': LinkableProperty<string>;
+  'supportsOffDescription': string;
+  'supportsOffDescriptionStringProperty': LinkableProperty<string>;
+  'singleSupportDescription': string;
+  'singleSupportDescriptionStringProperty': LinkableProperty<string>;
+  'plankLevelDescription': string;
+  'plankLevelDescriptionStringProperty': LinkableProperty<string>;
+  'plankBalancedDescription': string;
+  'plankBalancedDescriptionStringProperty': LinkableProperty<string>;
+  'plankTiltedLeftDescription': string;
+  'plankTiltedLeftDescriptionStringProperty': LinkableProperty<string>;
+  'plankTiltedRightDescription': string;
+  'plankTiltedRightDescriptionStringProperty': LinkableProperty<string>;
+  'plankLeftOnGroundDescription': string;
+  'plankLeftOnGroundDescriptionStringProperty': LinkableProperty<string>;
+  'plankRightOnGroundDescription': string;
+  'plankRightOnGroundDescriptionStringProperty': LinkableProperty<string>;
+  'tiltPrediction': string;
+  'tiltPredictionStringProperty': LinkableProperty<string>;
+  'tiltDownOnLeftSide': string;
+  'tiltDownOnLeftSideStringProperty': LinkableProperty<string>;
+  'stayBalanced': string;
+  'stayBalancedStringProperty': LinkableProperty<string>;
+  'tiltDownOnRightSide': string;
+  'tiltDownOnRightSideStringProperty': LinkableProperty<string>;
+  'correctAnswer': string;
+  'correctAnswerStringProperty': LinkableProperty<string>;
+  'massValue': string;
+  'massValueStringProperty': LinkableProperty<string>;
+  'decreaseMass': string;
+  'decreaseMassStringProperty': LinkableProperty<string>;
+  'increaseMass': string;
+  'increaseMassStringProperty': LinkableProperty<string>;
+  'pattern0Kilograms': string;
+  'pattern0KilogramsStringProperty': LinkableProperty<string>;
+  'loadChallenges': string;
+  'loadChallengesStringProperty': LinkableProperty<string>;
+  'challengesNotLoaded': string;
+  'challengesNotLoadedStringProperty': LinkableProperty<string>;
+  'challengeFileInvalid': string;
+  'challengeFileInvalidStringProperty': LinkableProperty<string>;
+  'pattern0UnsupportedChallengeFileVersion': string;
+  'pattern0UnsupportedChallengeFileVersionStringProperty': LinkableProperty<string>;
+  'pattern0ChallengeFileNotFound': string;
+  'pattern0ChallengeFileNotFoundStringProperty': LinkableProperty<string>;
+  'pattern0Challenge1Problem': string;
+  'pattern0Challenge1ProblemStringProperty': LinkableProperty<string>;
+  'pattern0UnknownChallengeType': string;
+  'pattern0UnknownChallengeTypeStringProperty': LinkableProperty<string>;
+  'pattern0WrongNumberOfMasses': string;
+  'pattern0WrongNumberOfMassesStringProperty': LinkableProperty<string>;
+  'pattern0CannotBeMysteryMass': string;
+  'pattern0CannotBeMysteryMassStringProperty': LinkableProperty<string>;
+  'challengeNotSolvable': string;
+  'challengeNotSolvableStringProperty': LinkableProperty<string>;
+  'invalidMaxAttempts': string;
+  'invalidMaxAttemptsStringProperty': LinkableProperty<string>;
+  'pattern0TooTallForTiltPrediction': string;
+  'pattern0TooTallForTiltPredictionStringProperty': LinkableProperty<string>;
+  'pattern0Distance1ForceInvalidSpringScale': string;
+  'pattern0Distance1ForceInvalidSpringScaleStringProperty': LinkableProperty<string>;
+  'pattern0InvalidPivotDistance': string;
+  'pattern0InvalidPivotDistanceStringProperty': LinkableProperty<string>;
+  'pattern0InvalidSupportColumnPositions': string;
+  'pattern0InvalidSupportColumnPositionsStringProperty': LinkableProperty<string>;
 };
 
 const BalancingActStrings = getStringModule( 'BALANCING_ACT' ) as StringsType;
@@ -8,13 +8,41 @@
  */
 
 import Vector2 from '../../../../dot/js/Vector2.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import PhetioGroup from '../../../../tandem/js/PhetioGroup.js';
-import IOType from '../../../../tandem/js/types/IOType.js';
-import ReferenceIO from '../../../../tandem/js/types/ReferenceIO.js';
 import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import BAQueryParameters from '../../common/BAQueryParameters.js';
 import BalanceModel from '../../common/model/BalanceModel.js';
+import Beam from '../../common/model/masses/Beam.js';
+import Boy from '../../common/model/masses/Boy.js';
 import BrickStack from '../../common/model/masses/BrickStack.js';
+import CustomMass from '../../common/model/masses/CustomMass.js';
+import Girl from '../../common/model/masses/Girl.js';
+import HumanMass from '../../common/model/masses/HumanMass.js';
+import Man from '../../common/model/masses/Man.js';
 import MysteryMass from '../../common/model/masses/MysteryMass.js';
+import Woman from '../../common/model/masses/Woman.js';
+import SpringScale from '../../common/model/SpringScale.js';
+import CustomMassCreatorNode from '../view/CustomMassCreatorNode.js';
+
+const pattern0InvalidMassPropertiesString = BalancingActStrings.pattern0InvalidMassProperties;
+const pattern0UnknownMassTypeString = BalancingActStrings.pattern0UnknownMassType;
+
+// constants
+const SPRING_SCALE_RESTING_POSITION = new Vector2( -2.5, 0.02 ); // in meters, on the ground just left of the plank
+
+// Masses created when a scenario is loaded didn't come from the toolbox, so when they are taken off of the plank they
+// are animated to this position, below the fulcrum, instead.
+const SCENARIO_MASS_POSITION = Vector2.ZERO;
+
+// types of people that can be created, keyed by the humanType of each
+const HUMAN_MASS_TYPES = {
+  boy: Boy,
+  girl: Girl,
+  man: Man,
+  woman: Woman
+};
 
 class BalanceLabModel extends BalanceModel {
 
@@ -22,7 +50,17 @@ class BalanceLabModel extends BalanceModel {
    * @param {Tandem} tandem
    */
   constructor( tandem ) {
-    super( tandem );
+    super( tandem, {
+      fulcrumMovable: BAQueryParameters.movableFulcrum,
+      supportsMovable: BAQueryParameters.movableSupports,
+      plankOptions: {
+        length: BAQueryParameters.plankLength,
+        mass: BAQueryParameters.plankMass,
+        interSnapToMarkerDistance: BAQueryParameters.snapToSpacing,
+        continuousPlacement: BAQueryParameters.continuousPlacement,
+        stackingEnabled: true
+      }
+    } );
 
     // @public {PhetioGroup.<BrickStack>}
     this.brickStackGroup = new PhetioGroup( ( tandem, numberOfBricks, position ) => {
@@ -36,7 +74,55 @@ class BalanceLabModel extends BalanceModel {
       },
       [ 1, Vector2.ZERO ], {
         tandem: tandem.createTandem( 'brickStackGroup' ),
-        phetioType: PhetioGroup.PhetioGroupIO( ReferenceIO( IOType.ObjectIO ) )
+        phetioType: PhetioGroup.PhetioGroupIO( BrickStack.BrickStackIO )
+      } );
+
+    // @public {PhetioGroup.<Beam>}
+    this.beamGroup = new PhetioGroup( ( tandem, length, massValue, position ) => {
+        const beam = new Beam( length, massValue, position, {
+          tandem: tandem,
+          phetioDynamicElement: true
+        } );
+        beam.userControlledProperty.set( true );
+        beam.animationDestination = position;
+        return beam;
+      },
+      [ 1, 10, Vector2.ZERO ], {
+        tandem: tandem.createTandem( 'beamGroup' ),
+        phetioType: PhetioGroup.PhetioGroupIO( Beam.BeamIO )
+      } );
+
+    // @public {PhetioGroup.<CustomMass>} - boxes with a mass, label and color chosen by the user, which are saved and
+    // restored along with the rest of the state
+    this.customMassGroup = new PhetioGroup( ( tandem, massValue, labelText, color, position ) => {
+        const customMass = new CustomMass( massValue, labelText, color, position, {
+          tandem: tandem,
+          phetioDynamicElement: true
+        } );
+        customMass.userControlledProperty.set( true );
+        customMass.animationDestination = position;
+        return customMass;
+      },
+      [ 10, '', 'orange', Vector2.ZERO ], {
+        tandem: tandem.createTandem( 'customMassGroup' ),
+        phetioType: PhetioGroup.PhetioGroupIO( CustomMass.CustomMassIO )
+      } );
+
+    // @public {PhetioGroup.<HumanMass>} - people, created by their type, i.e. 'boy', 'girl', 'man' or 'woman'
+    this.humanMassGroup = new PhetioGroup( ( tandem, humanType, position ) => {
+        const HumanMassType = HUMAN_MASS_TYPES[ humanType ];
+        assert && assert( HumanMassType, `unknown human type: ${humanType}` );
+        const humanMass = new HumanMassType( position, false, {
+          tandem: tandem,
+          phetioDynamicElement: true
+        } );
+        humanMass.userControlledProperty.set( true );
+        humanMass.animationDestination = position;
+        return humanMass;
+      },
+      [ 'boy', Vector2.ZERO ], {
+        tandem: tandem.createTandem( 'humanMassGroup' ),
+        phetioType: PhetioGroup.PhetioGroupIO( HumanMass.HumanMassIO )
       } );
 
     // @public {PhetioGroup.<MysteryMass>}
@@ -51,10 +137,47 @@ class BalanceLabModel extends BalanceModel {
       },
       [ Vector2.ZERO, 0 ], {
         tandem: tandem.createTandem( 'mysteryMassGroup' ),
-        phetioType: PhetioGroup.PhetioGroupIO( ReferenceIO( IOType.ObjectIO ) )
+        phetioType: PhetioGroup.PhetioGroupIO( MysteryMass.MysteryMassIO )
       } );
 
-    // TODO: Add person group here too, see https://github.com/phetsims/balancing-act/issues/99
+    // @private - the groups that create all of the masses in this model, which recreate the masses from their own state
+    // when the PhET-iO state is set
+    this.massGroups = [
+      this.brickStackGroup,
+      this.beamGroup,
+      this.customMassGroup,
+      this.humanMassGroup,
+      this.mysteryMassGroup
+    ];
+    this.massGroups.forEach( massGroup => {
+
+      // When the state is set, the group creates the masses that were saved, and they need to be put into the model so
+      // that they appear.  They stay where they were rather than being dropped, since no one is moving them.
+      massGroup.elementCreatedEmitter.addListener( mass => {
+        if ( phet.joist.sim.isSettingPhetioStateProperty.value ) {
+          mass.userControlledProperty.set( false );
+          this.addMass( mass );
+        }
+      } );
+      massGroup.elementDisposedEmitter.addListener( mass => {
+        if ( this.plank.massesOnSurface.includes( mass ) ) {
+          this.plank.removeMassFromSurface( mass );
+        }
+        if ( this.massList.includes( mass ) ) {
+          BalanceModel.prototype.removeMass.call( this, mass );
+        }
+      } );
+    } );
+
+    // @public - a spring scale that the user can hook onto the plank to pull it up or down.  It rests on the ground to
+    // the left of the plank when not in use.
+    this.springScale = new SpringScale( SPRING_SCALE_RESTING_POSITION, tandem.createTandem( 'springScale' ) );
+    this.springScales.push( this.springScale );
+    this.springScale.userControlledProperty.lazyLink( userControlled => {
+      if ( !userControlled && !this.plank.addSpringScaleToPlank( this.springScale ) ) {
+        this.springScale.returnToRestingPosition();
+      }
+    } );
   }
 
   /**
@@ -62,7 +185,10 @@ class BalanceLabModel extends BalanceModel {
    */
   reset() {
     this.massList.clear();
+    this.plank.removeAllSpringScales();
+    this.springScale.reset();
     super.reset();
+    this.massGroups.forEach( massGroup => massGroup.clear() );
   }
 
   /**
@@ -72,7 +198,9 @@ class BalanceLabModel extends BalanceModel {
   addMass( mass ) {
     BalanceModel.prototype.addMass.call( this, mass );
     mass.userControlledProperty.lazyLink( isUserControlled => {
-      if ( !isUserControlled ) {
+
+      // A mass that is released when the state is set stays where the state puts it, since no one dropped it.
+      if ( !isUserControlled && !phet.joist.sim.isSettingPhetioStateProperty.value ) {
         // The user has dropped this mass.
         if ( !this.plank.addMassToSurface( mass ) ) {
           // The attempt to add mass to surface of plank failed, probably because the area below the mass is full, or
@@ -83,6 +211,112 @@ class BalanceLabModel extends BalanceModel {
     } );
   }
 
+  /**
+   * @param {Mass} mass
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getScenarioMassDescription( mass ) {
+
+    // The mass of a mystery mass is left out, since it would give away the answer to anyone who looked at the file.
+    if ( mass instanceof MysteryMass ) {
+      return { type: 'mysteryMass', mysteryMassId: mass.mysteryMassId };
+    }
+    else if ( mass instanceof BrickStack ) {
+      return { type: 'brickStack', massValue: mass.massValue };
+    }
+    else if ( mass instanceof Beam ) {
+      return { type: 'beam', massValue: mass.massValue, length: mass.length };
+    }
+    else if ( mass instanceof CustomMass ) {
+      return { type: 'customMass', massValue: mass.massValue, labelText: mass.labelText, color: mass.color };
+    }
+    else {
+      assert && assert( mass instanceof HumanMass, 'unexpected mass type' );
+      return { type: 'human', massValue: mass.massValue, humanType: mass.humanType };
+    }
+  }
+
+  /**
+   * Create a mass from its description in a scenario using the group for its type, so that it is part of the PhET-iO
+   * state like the masses that the user adds.  The mass of a person is determined by the type of person, so any mass
+   * value in the description is ignored.
+   * @param {Object} massDescription
+   * @returns {Mass}
+   * @public
+   * @override
+   */
+  createScenarioMass( massDescription ) {
+    const isPositiveNumber = value => typeof value === 'number' && value > 0;
+    const checkMassDescription = isValid => {
+      if ( !isValid ) {
+        throw new Error( StringUtils.format( pattern0InvalidMassPropertiesString, massDescription.type ) );
+      }
+    };
+
+    let mass;
+    if ( massDescription.type === 'brickStack' ) {
+      const numberOfBricks = massDescription.massValue / BrickStack.BRICK_MASS;
+      checkMassDescription( Number.isInteger( numberOfBricks ) && numberOfBricks > 0 );
+      mass = this.brickStackGroup.createNextElement( numberOfBricks, SCENARIO_MASS_POSITION );
+    }
+    else if ( massDescription.type === 'beam' ) {
+      checkMassDescription( isPositiveNumber( massDescription.massValue ) &&
+                            isPositiveNumber( massDescription.length ) &&
+                            massDescription.length <= this.plank.length );
+      mass = this.beamGroup.createNextElement(
+        massDescription.length,
+        massDescription.massValue,
+        SCENARIO_MASS_POSITION
+      );
+    }
+    else if ( massDescription.type === 'customMass' ) {
+
+      // These are the same limits that the user has when creating custom masses.
+      checkMassDescription( Number.isInteger( massDescription.massValue ) &&
+                            CustomMassCreatorNode.MASS_VALUE_RANGE.contains( massDescription.massValue ) &&
+                            typeof massDescription.labelText === 'string' &&
+                            massDescription.labelText.length <= CustomMassCreatorNode.MAX_LABEL_LENGTH &&
+                            typeof massDescription.color === 'string' &&
+                            CustomMassCreatorNode.COLOR_PATTERN.test( massDescription.color ) );
+      mass = this.customMassGroup.createNextElement(
+        massDescription.massValue,
+        massDescription.labelText,
+        massDescription.color,
+        SCENARIO_MASS_POSITION
+      );
+    }
+    else if ( massDescription.type === 'human' ) {
+      checkMassDescription( _.has( HUMAN_MASS_TYPES, massDescription.humanType ) );
+      mass = this.humanMassGroup.createNextElement( massDescription.humanType, SCENARIO_MASS_POSITION );
+    }
+    else if ( massDescription.type === 'mysteryMass' ) {
+      checkMassDescription( Number.isInteger( massDescription.mysteryMassId ) &&
+                            massDescription.mysteryMassId >= 0 &&
+                            massDescription.mysteryMassId < MysteryMass.NUMBER_OF_MYSTERY_MASSES );
+      mass = this.mysteryMassGroup.createNextElement( SCENARIO_MASS_POSITION, massDescription.mysteryMassId );
+    }
+    else {
+      throw new Error( StringUtils.format( pattern0UnknownMassTypeString, massDescription.type ) );
+    }
+
+    // The groups create masses as though the user were dragging them out of the toolbox, which isn't the case here.
+    mass.userControlledProperty.set( false );
+    this.addMass( mass );
+    return mass;
+  }
+
+  /**
+   * Disposing the mass takes it out of the model, see the listeners on the groups.
+   * @param {Mass} mass
+   * @public
+   * @override
+   */
+  removeScenarioMass( mass ) {
+    _.find( this.massGroups, massGroup => massGroup.includes( mass ) ).disposeElement( mass );
+  }
+
   /**
    * @param {Mass} mass
    * @public
@@ -97,6 +331,10 @@ class BalanceLabModel extends BalanceModel {
         // Animation sequence has completed.
         mass.animatingProperty.unlink( removeMass );
         BalanceModel.prototype.removeMass.call( self, mass );
+
+        // Masses are removed from their group too, so that they don't come back when the state is set.
+        const massGroup = _.find( self.massGroups, massGroup => massGroup.includes( mass ) );
+        massGroup && massGroup.disposeElement( mass );
       }
     }
 
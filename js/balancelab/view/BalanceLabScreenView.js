@@ -7,6 +7,8 @@
 import balancingAct from '../../balancingAct.js';
 import BasicBalanceScreenView from '../../common/view/BasicBalanceScreenView.js';
 import MassCarousel from '../../common/view/MassCarousel.js';
+import FrictionControlPanel from './FrictionControlPanel.js';
+import SpringScaleNode from './SpringScaleNode.js';
 
 class BalanceLabScreenView extends BasicBalanceScreenView {
 
@@ -26,6 +28,19 @@ class BalanceLabScreenView extends BasicBalanceScreenView {
       tandem: tandem.createTandem( 'massCarousel' )
     } );
     this.nonMassLayer.addChild( this.massCarousel );
+
+    // Add the panel that controls the friction at the pivot point at the top of the panels in the upper left.
+    this.leftPanelsBox.insertChild( 0, new FrictionControlPanel( model.plank, {
+      tandem: tandem.createTandem( 'frictionControlPanel' )
+    } ) );
+
+    // Add the spring scale.
+    this.nonMassLayer.addChild( new SpringScaleNode(
+      model.springScale,
+      this.modelViewTransform,
+      this.visibleBoundsProperty,
+      tandem.createTandem( 'springScaleNode' )
+    ) );
   }
 
   // @public
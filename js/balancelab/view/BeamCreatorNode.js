@@ -0,0 +1,70 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * This object type represents a uniform beam in a toolbox.  When the user clicks on this node, the corresponding model
+ * element is added to the model at the user's mouse position.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import balancingAct from '../../balancingAct.js';
+import Beam from '../../common/model/masses/Beam.js';
+import BeamNode from '../../common/view/BeamNode.js';
+import MassCreatorNode from './MassCreatorNode.js';
+
+// Model-view transform for scaling the node used in the toolbox.  Beams are long, so they are scaled down more than the
+// other masses so that they fit in the toolbox.
+const SCALING_MVT = ModelViewTransform2.createOffsetScaleMapping( Vector2.ZERO, 60 );
+
+class BeamCreatorNode extends MassCreatorNode {
+
+  /**
+   * @param {number} length - in meters
+   * @param {number} massValue - in kg
+   * @param {BalanceLabModel} model
+   * @param {BasicBalanceScreenView} screenView
+   * @param {Object} [options]
+   */
+  constructor( length, massValue, model, screenView, options ) {
+    super( screenView, massValue, true, options );
+    this.beamLength = length;
+    this.beamMassValue = massValue;
+    this.model = model;
+
+    const selectionNode = new BeamNode(
+      new Beam( length, massValue, Vector2.ZERO, { tandem: Tandem.OPT_OUT } ),
+      SCALING_MVT,
+      false,
+      new Property( false ),
+      false
+    );
+
+    // Make a larger touch area, since beams are thin.
+    selectionNode.touchArea = selectionNode.localBounds.dilatedY( 10 );
+
+    this.setSelectionNode( selectionNode );
+    this.positioningOffset = new Vector2(
+      0,
+      -screenView.modelViewTransform.modelToViewDeltaY( Beam.THICKNESS / 2 )
+    );
+  }
+
+  /**
+   * @param {Vector2} position
+   * @returns {Mass}
+   * @public
+   */
+  addElementToModel( position ) {
+    const mass = this.model.beamGroup.createNextElement( this.beamLength, this.beamMassValue, position );
+    this.model.addMass( mass );
+    return mass;
+  }
+}
+
+balancingAct.register( 'BeamCreatorNode', BeamCreatorNode );
+
+export default BeamCreatorNode;
@@ -11,6 +11,7 @@
 import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
 import Boy from '../../common/model/masses/Boy.js';
 import ImageMassNode from '../../common/view/ImageMassNode.js';
@@ -27,13 +28,23 @@ class BoyCreatorNode extends ImageMassCreatorNode {
    * @param {BasicBalanceScreenView} screenView
    */
   constructor( model, screenView ) {
-    super( model, screenView, new Boy(), true );
+    super( model, screenView, new Boy( Vector2.ZERO, false, { tandem: Tandem.OPT_OUT } ), true );
     this.setSelectionNode( new ImageMassNode( this.prototypeImageMass, SCALING_MVT, false, new Property( false ), false, model.columnStateProperty ) );
     this.positioningOffset = new Vector2(
       0,
       -screenView.modelViewTransform.modelToViewDeltaY( this.prototypeImageMass.heightProperty.get() / 2 )
     );
   }
+
+  /**
+   * People are created through a group so that they can be recreated from the PhET-iO state.
+   * @returns {Boy}
+   * @protected
+   * @override
+   */
+  createImageMassInstance() {
+    return this.model.humanMassGroup.createNextElement( 'boy', Vector2.ZERO );
+  }
 }
 
 balancingAct.register( 'BoyCreatorNode', BoyCreatorNode );
@@ -0,0 +1,98 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Controls for the settings of the boxes created by a CustomMassCreatorNode, i.e. a spinner for the mass, a text field
+ * for the label and a color picker for the color.  These are kept separate from the creator node, since pressing on the
+ * creator node creates a box.  The text field and the color picker are the browser's own, so that any label and any
+ * color can be chosen.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { DOM, VBox } from '../../../../scenery/js/imports.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import CustomMassCreatorNode from './CustomMassCreatorNode.js';
+
+const boxLabelString = BalancingActStrings.boxLabel;
+const kgString = BalancingActStrings.kg;
+const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
+
+// constants
+const FONT = new PhetFont( 12 );
+const INPUT_WIDTH = 90; // in screen coordinates
+
+class CustomMassControls extends VBox {
+
+  /**
+   * @param {CustomMassCreatorNode} customMassCreatorNode
+   * @param {Object} [options]
+   */
+  constructor( customMassCreatorNode, options ) {
+
+    options = merge( {
+      spacing: 5,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const massValueSpinner = new NumberSpinner(
+      customMassCreatorNode.massValueProperty,
+      new Property( CustomMassCreatorNode.MASS_VALUE_RANGE ),
+      {
+        arrowsPosition: 'leftRight',
+        numberDisplayOptions: {
+          valuePattern: StringUtils.format( pattern0Value1UnitsString, '{{value}}', kgString ),
+          textOptions: { font: FONT }
+        },
+        tandem: options.tandem.createTandem( 'massValueSpinner' )
+      }
+    );
+
+    // Text field for the label, which can be any text up to the max length.
+    const labelTextInput = document.createElement( 'input' );
+    labelTextInput.type = 'text';
+    labelTextInput.maxLength = CustomMassCreatorNode.MAX_LABEL_LENGTH;
+    labelTextInput.placeholder = boxLabelString;
+    labelTextInput.style.width = `${INPUT_WIDTH}px`;
+    labelTextInput.style.font = FONT.toCSS();
+    labelTextInput.addEventListener( 'input', () => {
+      customMassCreatorNode.labelTextProperty.set( labelTextInput.value );
+    } );
+    customMassCreatorNode.labelTextProperty.link( labelText => {
+
+      // Only update the text field if the label was changed some other way, e.g. by a reset, so that the cursor doesn't
+      // jump to the end while the user is typing.
+      if ( labelTextInput.value !== labelText ) {
+        labelTextInput.value = labelText;
+      }
+    } );
+
+    // Color picker for the color of the box.
+    const colorInput = document.createElement( 'input' );
+    colorInput.type = 'color';
+    colorInput.style.width = `${INPUT_WIDTH}px`;
+    colorInput.addEventListener( 'input', () => {
+      customMassCreatorNode.colorProperty.set( colorInput.value );
+    } );
+    customMassCreatorNode.colorProperty.link( color => {
+      colorInput.value = color;
+    } );
+
+    options.children = [
+      massValueSpinner,
+      new DOM( labelTextInput, { allowInput: true } ),
+      new DOM( colorInput, { allowInput: true } )
+    ];
+    super( options );
+  }
+}
+
+balancingAct.register( 'CustomMassControls', CustomMassControls );
+
+export default CustomMassControls;
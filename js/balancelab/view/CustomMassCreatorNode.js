@@ -0,0 +1,126 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * This object type represents a box whose mass, label and color are chosen by the user, in a toolbox.  When the user
+ * clicks on this node, a box with the chosen settings is added to the model at the user's mouse position.  The settings
+ * are changed using a CustomMassControls node.
+ *
+ * @author agent
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import balancingAct from '../../balancingAct.js';
+import CustomMass from '../../common/model/masses/CustomMass.js';
+import BalanceDescriber from '../../common/view/BalanceDescriber.js';
+import CustomMassNode from '../../common/view/CustomMassNode.js';
+import MassCreatorNode from './MassCreatorNode.js';
+
+// Model-view transform for scaling the node used in the toolbox.  This may scale the node differently than what is
+// used in the model so that items in the toolbox can be sized differently (generally smaller).
+const SCALING_MVT = ModelViewTransform2.createOffsetScaleMapping( Vector2.ZERO, 100 );
+
+// constants
+const MASS_VALUE_RANGE = new Range( 1, 100 ); // in kg
+const DEFAULT_MASS_VALUE = 10; // in kg
+const MAX_LABEL_LENGTH = 12; // in characters, longer labels wouldn't fit on the smaller boxes
+const DEFAULT_COLOR = '#f08c28';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/; // the format used by color pickers, which the controls use
+
+class CustomMassCreatorNode extends MassCreatorNode {
+
+  /**
+   * @param {BalanceLabModel} model
+   * @param {BasicBalanceScreenView} screenView
+   * @param {Object} [options]
+   */
+  constructor( model, screenView, options ) {
+
+    // The mass is shown on the box itself rather than in a caption, since it changes.
+    super( screenView, DEFAULT_MASS_VALUE, false, options );
+    this.model = model;
+
+    // @public - settings for the boxes that this creates
+    this.massValueProperty = new NumberProperty( DEFAULT_MASS_VALUE, {
+      range: MASS_VALUE_RANGE,
+      numberType: 'Integer',
+      units: 'kg',
+      tandem: this.tandem.createTandem( 'massValueProperty' )
+    } );
+    this.labelTextProperty = new StringProperty( '', {
+      isValidValue: labelText => labelText.length <= MAX_LABEL_LENGTH,
+      tandem: this.tandem.createTandem( 'labelTextProperty' ),
+      phetioDocumentation: `Text shown on the boxes, empty for none, up to ${MAX_LABEL_LENGTH} characters long.`
+    } );
+    this.colorProperty = new StringProperty( DEFAULT_COLOR, {
+      isValidValue: color => COLOR_PATTERN.test( color ),
+      tandem: this.tandem.createTandem( 'colorProperty' ),
+      phetioDocumentation: 'Color of the boxes, in the form #rrggbb.'
+    } );
+
+    // The box in the toolbox is redrawn whenever the settings change, since its size depends on the mass.  The previous
+    // box and the mass that it shows are disposed, since nothing else uses them.
+    const selectionNode = new Node();
+    this.setSelectionNode( selectionNode );
+    let prototypeMass = null;
+    let prototypeMassNode = null;
+    Multilink.multilink(
+      [ this.massValueProperty, this.labelTextProperty, this.colorProperty ],
+      ( massValue, labelText, color ) => {
+        if ( prototypeMassNode ) {
+          prototypeMassNode.dispose();
+          prototypeMass.dispose();
+        }
+        prototypeMass = new CustomMass( massValue, labelText, color, Vector2.ZERO, { tandem: Tandem.OPT_OUT } );
+        prototypeMassNode = new CustomMassNode( prototypeMass, SCALING_MVT, true, new Property( true ), false );
+        selectionNode.children = [ prototypeMassNode ];
+        this.setAccessibleMassDescription( BalanceDescriber.getMassDescription( prototypeMass ) );
+        this.positioningOffset = new Vector2(
+          0,
+          -screenView.modelViewTransform.modelToViewDeltaY( CustomMass.getSize( massValue ) / 2 )
+        );
+      }
+    );
+  }
+
+  /**
+   * @param {Vector2} position
+   * @returns {Mass}
+   * @public
+   */
+  addElementToModel( position ) {
+    const mass = this.model.customMassGroup.createNextElement(
+      this.massValueProperty.get(),
+      this.labelTextProperty.get(),
+      this.colorProperty.get(),
+      position
+    );
+    this.model.addMass( mass );
+    return mass;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.massValueProperty.reset();
+    this.labelTextProperty.reset();
+    this.colorProperty.reset();
+  }
+}
+
+// static constants - the limits on the settings, used by the controls
+CustomMassCreatorNode.MASS_VALUE_RANGE = MASS_VALUE_RANGE;
+CustomMassCreatorNode.MAX_LABEL_LENGTH = MAX_LABEL_LENGTH;
+CustomMassCreatorNode.COLOR_PATTERN = COLOR_PATTERN;
+
+balancingAct.register( 'CustomMassCreatorNode', CustomMassCreatorNode );
+
+export default CustomMassCreatorNode;
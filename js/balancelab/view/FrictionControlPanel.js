@@ -0,0 +1,90 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * This type defines a control panel that controls the amount of friction at the pivot point of the plank, which damps
+ * its rotation.  It also shows the angular velocity of the plank and the period of its oscillation, which are most
+ * interesting when there is little or no friction.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Text, VBox } from '../../../../scenery/js/imports.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import Plank from '../../common/model/Plank.js';
+
+const frictionString = BalancingActStrings.friction;
+const lotsString = BalancingActStrings.lots;
+const noneString = BalancingActStrings.none;
+const pattern0AngularVelocityString = BalancingActStrings.pattern0AngularVelocity;
+const pattern0PeriodString = BalancingActStrings.pattern0Period;
+const periodNotAvailableString = BalancingActStrings.periodNotAvailable;
+
+// constants
+const TITLE_TEXT_OPTIONS = { font: new PhetFont( 16 ) };
+const TICK_LABEL_FONT = new PhetFont( 12 );
+const READOUT_FONT = new PhetFont( 12 );
+const MAX_TEXT_WIDTH = 150;
+
+class FrictionControlPanel extends Panel {
+
+  /**
+   * @param {Plank} plank
+   * @param {Object} [options]
+   */
+  constructor( plank, options ) {
+
+    options = merge( {
+      fill: 'rgb( 240, 240, 240 )',
+      xMargin: 5,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const range = Plank.ANGULAR_DAMPING_RATE_RANGE;
+    const slider = new HSlider( plank.angularDampingRateProperty, range, {
+      trackSize: new Dimension2( 120, 3 ),
+      thumbSize: new Dimension2( 13, 22 ),
+      majorTickLength: 12,
+      tandem: options.tandem.createTandem( 'slider' )
+    } );
+    slider.addMajorTick( range.min, new Text( noneString, { font: TICK_LABEL_FONT, maxWidth: 50 } ) );
+    slider.addMajorTick( range.max, new Text( lotsString, { font: TICK_LABEL_FONT, maxWidth: 50 } ) );
+
+    // Readouts for the motion of the plank.
+    const angularVelocityText = new Text( '', { font: READOUT_FONT, maxWidth: MAX_TEXT_WIDTH } );
+    plank.angularVelocityProperty.link( angularVelocity => {
+      angularVelocityText.text = StringUtils.format( pattern0AngularVelocityString, Utils.toFixed( angularVelocity, 2 ) );
+    } );
+    const periodText = new Text( '', { font: READOUT_FONT, maxWidth: MAX_TEXT_WIDTH } );
+    plank.periodProperty.link( period => {
+      periodText.text = period === null ?
+                        periodNotAvailableString :
+                        StringUtils.format( pattern0PeriodString, Utils.toFixed( period, 1 ) );
+    } );
+
+    const content = new VBox( {
+      children: [
+        new Text( frictionString, merge( { maxWidth: MAX_TEXT_WIDTH }, TITLE_TEXT_OPTIONS ) ),
+        slider,
+        angularVelocityText,
+        periodText
+      ],
+      spacing: 5,
+      align: 'left'
+    } );
+
+    super( content, options );
+  }
+}
+
+balancingAct.register( 'FrictionControlPanel', FrictionControlPanel );
+
+export default FrictionControlPanel;
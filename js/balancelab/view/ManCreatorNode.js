@@ -11,6 +11,7 @@
 import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
 import Man from '../../common/model/masses/Man.js';
 import ImageMassNode from '../../common/view/ImageMassNode.js';
@@ -27,7 +28,7 @@ class ManCreatorNode extends ImageMassCreatorNode {
    * @param {BasicBalanceScreenView} screenView
    */
   constructor( model, screenView ) {
-    super( model, screenView, new Man(), true );
+    super( model, screenView, new Man( Vector2.ZERO, false, { tandem: Tandem.OPT_OUT } ), true );
     this.setSelectionNode(
       new ImageMassNode(
         this.prototypeImageMass,
@@ -43,6 +44,16 @@ class ManCreatorNode extends ImageMassCreatorNode {
       -screenView.modelViewTransform.modelToViewDeltaY( this.prototypeImageMass.heightProperty.get() / 2 )
     );
   }
+
+  /**
+   * People are created through a group so that they can be recreated from the PhET-iO state.
+   * @returns {Man}
+   * @protected
+   * @override
+   */
+  createImageMassInstance() {
+    return this.model.humanMassGroup.createNextElement( 'man', Vector2.ZERO );
+  }
 }
 
 balancingAct.register( 'ManCreatorNode', ManCreatorNode );
@@ -9,9 +9,11 @@
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import balancingAct from '../../balancingAct.js';
 import BalancingActStrings from '../../BalancingActStrings.js';
+import BalanceDescriber from '../../common/view/BalanceDescriber.js';
 import ModelElementCreatorNode from './ModelElementCreatorNode.js';
 
 const kgString = BalancingActStrings.kg;
+const pattern0AddMassString = BalancingActStrings.pattern0AddMass;
 const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
 
 class MassCreatorNode extends ModelElementCreatorNode {
@@ -26,8 +28,19 @@ class MassCreatorNode extends ModelElementCreatorNode {
     super( screenView, options );
     if ( showMassLabel ) {
       this.setCaption( StringUtils.format( pattern0Value1UnitsString, massValue, kgString ) );
+      this.setAccessibleMassDescription( BalanceDescriber.getMassValueDescription( massValue ) );
     }
   }
+
+  /**
+   * Set the name that screen readers use for this creator, e.g. "Add 20 kilogram object".  Creators whose masses
+   * aren't labeled with their value set this themselves, so that the value isn't given away.
+   * @param {string} massDescription - see BalanceDescriber
+   * @protected
+   */
+  setAccessibleMassDescription( massDescription ) {
+    this.accessibleName = StringUtils.format( pattern0AddMassString, massDescription );
+  }
 }
 
 balancingAct.register( 'MassCreatorNode', MassCreatorNode );
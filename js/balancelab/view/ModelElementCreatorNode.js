@@ -28,6 +28,9 @@ class ModelElementCreatorNode extends Node {
   constructor( screenView, options ) {
     options = merge( {
       cursor: 'pointer',
+
+      // pdom - the creator is a button for keyboard users, see the click listener below
+      tagName: 'button',
       tandem: Tandem.REQUIRED
     }, options );
     super( options );
@@ -72,6 +75,18 @@ class ModelElementCreatorNode extends Node {
         tandem: options.tandem.createTandem( 'dragHandler' )
       }
     ) );
+
+    // When this is clicked from the keyboard, add the model element at the position of this node, and pick it up so that
+    // it can be moved onto the plank with the keyboard.
+    this.addInputListener( {
+      click: () => {
+        const globalCenter = this.parentToGlobalPoint( this.center );
+        this.modelElement = this.addElementToModel(
+          modelViewTransform.viewToModelPosition( screenView.globalToLocalPoint( globalCenter ) )
+        );
+        screenView.pickUpMassWithKeyboard( this.modelElement );
+      }
+    } );
   }
 
   /**
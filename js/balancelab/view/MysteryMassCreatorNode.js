@@ -13,6 +13,7 @@ import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransfo
 import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
 import MysteryMass from '../../common/model/masses/MysteryMass.js';
+import BalanceDescriber from '../../common/view/BalanceDescriber.js';
 import MysteryMassNode from '../../common/view/MysteryMassNode.js';
 import ImageMassCreatorNode from './ImageMassCreatorNode.js';
 
@@ -31,6 +32,7 @@ class MysteryMassCreatorNode extends ImageMassCreatorNode {
   constructor( mysteryMassID, model, screenView, options ) {
     super( model, screenView, new MysteryMass( Vector2.ZERO, mysteryMassID, { tandem: Tandem.OPT_OUT } ), false, options );
     this.mysteryMassId = mysteryMassID;
+    this.setAccessibleMassDescription( BalanceDescriber.getMassDescription( this.prototypeImageMass ) );
     this.setSelectionNode(
       new MysteryMassNode(
         this.prototypeImageMass,
@@ -0,0 +1,127 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * View representation of a spring scale.  The scale has a hook at the bottom, which is where it attaches to the plank,
+ * and a body that shows the force reading along with buttons for changing the force.  An arrow at the hook shows the
+ * direction and size of the force that the scale applies.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ArrowNode from '../../../../scenery-phet/js/ArrowNode.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { DragListener, Line, Node, Rectangle, Text, VBox } from '../../../../scenery/js/imports.js';
+import ArrowButton from '../../../../sun/js/buttons/ArrowButton.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import SpringScale from '../../common/model/SpringScale.js';
+
+const newtonsAbbreviationString = BalancingActStrings.newtonsAbbreviation;
+const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
+
+// constants
+const BODY_WIDTH = 44;
+const BODY_HEIGHT = 90;
+const HOOK_LENGTH = 20;
+const READOUT_FONT = new PhetFont( { size: 13, weight: 'bold' } );
+const FORCE_ARROW_SCALE = 0.5; // in screen coordinates per newton, chosen to make the arrows a reasonable size
+const ARROW_BUTTON_OPTIONS = { arrowWidth: 12, arrowHeight: 10, xMargin: 4, yMargin: 3 };
+
+class SpringScaleNode extends Node {
+
+  /**
+   * @param {SpringScale} springScale
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Property.<Bounds2>} visibleBoundsProperty - the visible bounds of the screen view, in view coordinates
+   * @param {Tandem} tandem
+   */
+  constructor( springScale, modelViewTransform, visibleBoundsProperty, tandem ) {
+    super( { tandem: tandem } );
+
+    // The hook, with its end at the origin of this node, which is the position of the spring scale.
+    const hook = new Line( 0, 0, 0, -HOOK_LENGTH, { stroke: 'black', lineWidth: 3, lineCap: 'round' } );
+    this.addChild( hook );
+
+    // The body of the scale, which is where the user grabs it.
+    const body = new Rectangle( -BODY_WIDTH / 2, -HOOK_LENGTH - BODY_HEIGHT, BODY_WIDTH, BODY_HEIGHT, 6, 6, {
+      fill: 'rgb( 250, 210, 50 )',
+      stroke: 'black',
+      lineWidth: 1,
+      cursor: 'pointer'
+    } );
+    this.addChild( body );
+
+    // The reading and the buttons for changing the force.
+    const readout = new Text( '', { font: READOUT_FONT, maxWidth: BODY_WIDTH - 4, pickable: false } );
+    const increaseButton = new ArrowButton( 'up', () => {
+      springScale.forceProperty.set(
+        Math.min( springScale.forceProperty.get() + SpringScale.FORCE_DELTA, SpringScale.FORCE_RANGE.max )
+      );
+    }, merge( { tandem: tandem.createTandem( 'increaseButton' ) }, ARROW_BUTTON_OPTIONS ) );
+    const decreaseButton = new ArrowButton( 'down', () => {
+      springScale.forceProperty.set(
+        Math.max( springScale.forceProperty.get() - SpringScale.FORCE_DELTA, SpringScale.FORCE_RANGE.min )
+      );
+    }, merge( { tandem: tandem.createTandem( 'decreaseButton' ) }, ARROW_BUTTON_OPTIONS ) );
+    const controls = new VBox( {
+      children: [ increaseButton, readout, decreaseButton ],
+      spacing: 4
+    } );
+    this.addChild( controls );
+
+    // The arrow that shows the force.  It starts at the hook and points in the direction of the pull.
+    const forceArrow = new ArrowNode( 0, 0, 0, 0, {
+      fill: 'rgb( 250, 210, 50 )',
+      stroke: 'black',
+      headHeight: 8,
+      headWidth: 12,
+      tailWidth: 5,
+      pickable: false
+    } );
+    this.addChild( forceArrow );
+
+    springScale.forceProperty.link( force => {
+      readout.text = StringUtils.format( pattern0Value1UnitsString, Utils.toFixed( force, 0 ), newtonsAbbreviationString );
+      controls.center = body.center;
+      increaseButton.enabled = force < SpringScale.FORCE_RANGE.max;
+      decreaseButton.enabled = force > SpringScale.FORCE_RANGE.min;
+      forceArrow.setTailAndTip( 0, 0, 0, -force * FORCE_ARROW_SCALE );
+      forceArrow.visible = force !== 0;
+    } );
+
+    // The arrow only makes sense when the scale is hooked onto something.
+    springScale.attachedProperty.link( attached => {
+      forceArrow.opacity = attached ? 1 : 0.3;
+    } );
+
+    springScale.positionProperty.link( position => {
+      this.translation = modelViewTransform.modelToViewPosition( position );
+    } );
+
+    // Keep the whole body of the scale on the screen while it is being dragged.  The bounds are for the position of
+    // the scale, which is at the end of the hook, so they are in model coordinates.
+    const dragBoundsProperty = new DerivedProperty( [ visibleBoundsProperty ], visibleBounds =>
+      modelViewTransform.viewToModelBounds(
+        visibleBounds.erodedX( BODY_WIDTH / 2 ).withMinY( visibleBounds.minY + HOOK_LENGTH + BODY_HEIGHT )
+      )
+    );
+
+    // Drag the scale by its body.  Since the drag listener is on the body, the buttons don't move the scale.
+    body.addInputListener( new DragListener( {
+      transform: modelViewTransform,
+      positionProperty: springScale.positionProperty,
+      dragBoundsProperty: dragBoundsProperty,
+      start: () => springScale.userControlledProperty.set( true ),
+      end: () => springScale.userControlledProperty.set( false ),
+      tandem: tandem.createTandem( 'dragListener' )
+    } ) );
+  }
+}
+
+balancingAct.register( 'SpringScaleNode', SpringScaleNode );
+
+export default SpringScaleNode;
@@ -11,6 +11,7 @@
 import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
 import Woman from '../../common/model/masses/Woman.js';
 import ImageMassNode from '../../common/view/ImageMassNode.js';
@@ -28,7 +29,7 @@ class WomanCreatorNode extends ImageMassCreatorNode {
    * @param {BasicBalanceScreenView} screenView
    */
   constructor( model, screenView ) {
-    super( model, screenView, new Woman(), true );
+    super( model, screenView, new Woman( Vector2.ZERO, false, { tandem: Tandem.OPT_OUT } ), true );
     this.setSelectionNode(
       new ImageMassNode(
         this.prototypeImageMass,
@@ -44,6 +45,16 @@ class WomanCreatorNode extends ImageMassCreatorNode {
       -screenView.modelViewTransform.modelToViewDeltaY( this.prototypeImageMass.heightProperty.get() / 2 )
     );
   }
+
+  /**
+   * People are created through a group so that they can be recreated from the PhET-iO state.
+   * @returns {Woman}
+   * @protected
+   * @override
+   */
+  createImageMassInstance() {
+    return this.model.humanMassGroup.createNextElement( 'woman', Vector2.ZERO );
+  }
 }
 
 balancingAct.register( 'WomanCreatorNode', WomanCreatorNode );
@@ -32,9 +32,7 @@ simLauncher.launch( () => {
   const screens = [
     new BAIntroScreen( tandem.createTandem( 'introScreen' ) ),
     new BalanceLabScreen( tandem.createTandem( 'balanceLabScreen' ) ),
-
-    // Game screen not available in phet-io
-    ...( Tandem.PHET_IO_ENABLED ? [] : [ new BalanceGameScreen( tandem.createTandem( 'gameScreen' ) ) ] )
+    new BalanceGameScreen( tandem.createTandem( 'gameScreen' ) )
   ];
 
   new Sim( balancingActTitleStringProperty, screens, simOptions ).start();
@@ -8,12 +8,76 @@
  */
 
 import balancingAct from '../balancingAct.js';
+import Plank from './model/Plank.js';
 
 const BAQueryParameters = QueryStringMachine.getAll( {
 
   // whether the Stanford University customizations are enabled
-  stanford: { type: 'flag' }
+  stanford: { type: 'flag' },
+
+  // whether the fulcrum can be dragged to different positions along the plank in the Balance Lab screen
+  movableFulcrum: { type: 'flag' },
+
+  // whether masses land exactly where they are dropped on the plank in the Balance Lab screen, rather than at the
+  // nearest snap-to position
+  continuousPlacement: { type: 'flag' },
+
+  // length of the plank in the Balance Lab screen, in meters
+  plankLength: {
+    type: 'number',
+    isValidValue: length => length > 0,
+    defaultValue: Plank.DEFAULT_LENGTH
+  },
+
+  // mass of the plank in the Balance Lab screen, in kg, where zero gives an ideal, massless lever
+  plankMass: {
+    type: 'number',
+    isValidValue: mass => mass >= 0,
+    defaultValue: Plank.DEFAULT_MASS
+  },
+
+  // distance between adjacent snap-to positions on the plank in the Balance Lab screen, in meters, which must leave at
+  // least one snap-to position on each side of the center, and must divide the plank length evenly so that the
+  // positions are centered on the plank, e.g. plankLength=6&snapToSpacing=0.1
+  snapToSpacing: {
+    type: 'number',
+    isValidValue: spacing => spacing > 0,
+    defaultValue: Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE
+  },
+
+  // whether the support columns can be dragged to any position under the plank in the Balance Lab screen, in which case
+  // the force with which each column holds up the plank is shown
+  movableSupports: { type: 'flag' },
+
+  // Game levels, numbered starting at 1, on which the torque equation scratchpad is available.  It is not available on
+  // any of the levels by default, so that teachers can choose when to use it, e.g. torqueEquationLevels=1,2
+  torqueEquationLevels: {
+    type: 'array',
+    elementSchema: {
+      type: 'number',
+      isValidValue: level => Number.isInteger( level ) && level >= 1
+    },
+    defaultValue: []
+  },
+
+  // URL of a challenge file for the custom level of the game, which is played after the built-in levels.  The file can
+  // also be loaded with the button on the level selection screen, see CustomChallengeFactory for the format.
+  customChallenges: {
+    type: 'string',
+    defaultValue: null
+  }
 } );
 
+// The plank length and the snap-to spacing can only be checked together, so if they don't fit, both go back to their
+// defaults.
+if ( BAQueryParameters.snapToSpacing >= BAQueryParameters.plankLength / 2 ||
+     !Plank.isSnapToSpacingCentered( BAQueryParameters.plankLength, BAQueryParameters.snapToSpacing ) ) {
+  QueryStringMachine.addWarning( 'snapToSpacing', BAQueryParameters.snapToSpacing,
+    `snapToSpacing must divide plankLength=${BAQueryParameters.plankLength} evenly and leave a snap-to position on ` +
+    'each side of the center' );
+  BAQueryParameters.plankLength = Plank.DEFAULT_LENGTH;
+  BAQueryParameters.snapToSpacing = Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE;
+}
+
 balancingAct.register( 'BAQueryParameters', BAQueryParameters );
 export default BAQueryParameters;
\ No newline at end of file
@@ -7,7 +7,10 @@ import balancingAct from '../balancingAct.js';
 const BASharedConstants = {
   COMPARISON_TOLERANCE: 1E-6,
   LAYOUT_BOUNDS: new Bounds2( 0, 0, 768, 504 ),
-  RESET_ALL_BUTTON_RADIUS: 20
+  RESET_ALL_BUTTON_RADIUS: 20,
+
+  // distance from each end of the plank to the level support column below it, in meters
+  SUPPORT_COLUMN_INSET: 0.625
 };
 
 balancingAct.register( 'BASharedConstants', BASharedConstants );
@@ -10,30 +10,66 @@
 import createObservableArray from '../../../../axon/js/createObservableArray.js';
 import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import BASharedConstants from '../BASharedConstants.js';
 import ColumnState from './ColumnState.js';
 import Fulcrum from './Fulcrum.js';
 import LevelSupportColumn from './LevelSupportColumn.js';
 import Plank from './Plank.js';
+import PlankEditHistory from './PlankEditHistory.js';
+import SpringScale from './SpringScale.js';
+
+const pattern0Distance1ForceInvalidSpringScaleString = BalancingActStrings.pattern0Distance1ForceInvalidSpringScale;
+const pattern0InvalidMassDistanceString = BalancingActStrings.pattern0InvalidMassDistance;
+const pattern0InvalidPivotDistanceString = BalancingActStrings.pattern0InvalidPivotDistance;
+const pattern0InvalidSupportColumnPositionsString = BalancingActStrings.pattern0InvalidSupportColumnPositions;
+const pattern0Mass1DistanceOccupiedString = BalancingActStrings.pattern0Mass1DistanceOccupied;
+const setupFileInvalidString = BalancingActStrings.setupFileInvalid;
 
 // constants
 const FULCRUM_HEIGHT = 0.85; // In meters.
 const PLANK_HEIGHT = 0.75; // In meters.
+const SETTLING_TIME = 0.25; // In seconds, how long the plank must stay at rest before it is considered to have settled.
 
 class BalanceModel {
 
   /**
    * @param {Tandem} tandem
+   * @param {Object} [options]
    */
-  constructor( tandem ) {
+  constructor( tandem, options ) {
+
+    options = merge( {
+
+      // whether the user can move the fulcrum, and thus the pivot point, along the plank
+      fulcrumMovable: false,
+
+      // Whether the user can move the level support columns to any position under the plank.  In this mode, the
+      // reaction force of each column is computed, as in a statics problem with a beam on two supports.
+      supportsMovable: false,
 
+      // {Object|null} - options passed to the plank, used to configure its length, mass and snap-to spacing
+      plankOptions: null
+    }, options );
+
+    // @public (read-only)
+    this.fulcrumMovable = options.fulcrumMovable;
+    this.supportsMovable = options.supportsMovable;
 
     // Model elements
     this.fulcrum = new Fulcrum( new Dimension2( 1, FULCRUM_HEIGHT ) );
     this.massList = createObservableArray();
     this.userControlledMasses = []; // Masses being controlled by user(s), potentially more than one in touch environment.
 
+    // @public (read-only) {SpringScale[]} - the spring scales that can be hooked onto the plank, added by subtypes
+    this.springScales = [];
+
     this.columnStateProperty = new EnumerationDeprecatedProperty( ColumnState, ColumnState.DOUBLE_COLUMNS, {
       tandem: tandem.createTandem( 'columnStateProperty' ),
       phetioReadOnly: true
@@ -43,12 +79,35 @@ class BalanceModel {
       new Vector2( 0, FULCRUM_HEIGHT ),
       this.columnStateProperty,
       this.userControlledMasses,
-      tandem.createTandem( 'plank' )
+      tandem.createTandem( 'plank' ),
+      options.plankOptions
     );
+
+    // The changes made before the state was set can't be undone, since the state replaces the whole setup.
+    Tandem.PHET_IO_ENABLED && phet.phetio.phetioEngine.phetioStateEngine.stateSetEmitter.addListener( () => {
+      this.editHistory.clear();
+    } );
+
+    // Keep the fulcrum below the pivot point.
+    this.plank.pivotPointProperty.link( pivotPoint => {
+      this.fulcrum.positionProperty.set( new Vector2( pivotPoint.x, 0 ) );
+    } );
+
+    const supportColumnXPos = this.plank.length / 2 - BASharedConstants.SUPPORT_COLUMN_INSET;
     this.supportColumns = [
-      new LevelSupportColumn( PLANK_HEIGHT, -1.625 ),
-      new LevelSupportColumn( PLANK_HEIGHT, 1.625 )
+      new LevelSupportColumn( PLANK_HEIGHT, -supportColumnXPos, tandem.createTandem( 'leftSupportColumn' ) ),
+      new LevelSupportColumn( PLANK_HEIGHT, supportColumnXPos, tandem.createTandem( 'rightSupportColumn' ) )
     ];
+
+    // The reaction forces change as soon as a column is moved, so update them then rather than waiting for a step.
+    if ( this.supportsMovable ) {
+      this.supportColumns.forEach( supportColumn => {
+        supportColumn.centerXProperty.lazyLink( () => this.updateSupportReactionForces() );
+      } );
+    }
+
+    // @public - the changes that the user has made to the setup of the plank, which can be undone and redone
+    this.editHistory = new PlankEditHistory( this );
   }
 
   /**
@@ -61,6 +120,104 @@ class BalanceModel {
     this.massList.forEach( mass => {
       mass.step( dt );
     } );
+    if ( this.supportsMovable ) {
+      this.updateSupportReactionForces();
+    }
+    this.editHistory.step();
+  }
+
+  /**
+   * Move a support column to the provided horizontal position.  The column is kept under the plank, and it can't
+   * overlap the other column.
+   * @param {LevelSupportColumn} supportColumn
+   * @param {number} x - in meters
+   * @public
+   */
+  moveSupportColumn( supportColumn, x ) {
+    assert && assert( this.supportsMovable, 'support columns are not movable' );
+    const halfColumnWidth = LevelSupportColumn.COLUMN_WIDTH / 2;
+    const plankCenterX = this.plank.bottomCenterPositionProperty.get().x;
+    let minCenterX = plankCenterX - this.plank.length / 2 + halfColumnWidth;
+    let maxCenterX = plankCenterX + this.plank.length / 2 - halfColumnWidth;
+
+    // Keep the column on its side of the other one, pushed up against it if necessary.  This limits the range before
+    // the position is clamped so that the column can't end up past the end of the plank or overlapping the other one.
+    const otherSupportColumn = _.find( this.supportColumns, column => column !== supportColumn );
+    const otherCenterX = otherSupportColumn.centerXProperty.get();
+    if ( supportColumn.centerXProperty.get() < otherCenterX ) {
+      maxCenterX = Math.min( maxCenterX, otherCenterX - LevelSupportColumn.COLUMN_WIDTH );
+    }
+    else {
+      minCenterX = Math.max( minCenterX, otherCenterX + LevelSupportColumn.COLUMN_WIDTH );
+    }
+    supportColumn.centerXProperty.set( Utils.clamp( x, minCenterX, maxCenterX ) );
+  }
+
+  /**
+   * Compute the force with which each support column pushes up on the plank when the columns are holding it.  The
+   * plank is treated as a rigid beam resting on the two columns, with the fulcrum carrying no load, so the forces come
+   * from the equilibrium of the vertical forces and of the moments about the first column.
+   * @private
+   */
+  updateSupportReactionForces() {
+    if ( this.columnStateProperty.get() !== ColumnState.DOUBLE_COLUMNS ) {
+      this.supportColumns.forEach( supportColumn => supportColumn.reactionForceProperty.set( null ) );
+      return;
+    }
+    const x1 = this.supportColumns[ 0 ].centerXProperty.get();
+    const x2 = this.supportColumns[ 1 ].centerXProperty.get();
+    const loads = this.plank.getVerticalLoads();
+
+    // Sum of forces: R1 + R2 + sum( F ) = 0.  Sum of moments about x1: R2 * ( x2 - x1 ) + sum( F * ( x - x1 ) ) = 0.
+    const totalLoad = _.sumBy( loads, load => load.force );
+    const momentAboutFirstColumn = _.sumBy( loads, load => load.force * ( load.x - x1 ) );
+    const secondReactionForce = -momentAboutFirstColumn / ( x2 - x1 );
+    this.supportColumns[ 0 ].reactionForceProperty.set( -totalLoad - secondReactionForce );
+    this.supportColumns[ 1 ].reactionForceProperty.set( secondReactionForce );
+  }
+
+  /**
+   * Run the model without a view, using the plank's fixed time step, until the plank has settled or the maximum time
+   * has elapsed.  The plank has settled once it has stayed at rest, with its angular velocity and the net torque on it
+   * within tolerance, for a short time.  The results are reproducible for a given configuration of masses.  The
+   * support columns are not changed, so they should generally be removed first, since the plank can't move when they
+   * are in place.
+   * @param {number} maxTime - in seconds
+   * @returns {{finalTiltAngle: number, settled: boolean, elapsedTime: number,
+   *           timeSeries: Array.<{time: number, tiltAngle: number, angularVelocity: number}>}}
+   * @public
+   */
+  simulateUntilSettled( maxTime ) {
+    const timeStep = this.plank.physicsTimeStep;
+    const maxSteps = Math.floor( maxTime / timeStep + BASharedConstants.COMPARISON_TOLERANCE );
+    const timeSeries = [ {
+      time: 0,
+      tiltAngle: this.plank.tiltAngleProperty.get(),
+      angularVelocity: this.plank.angularVelocityProperty.get()
+    } ];
+
+    const numSettlingSteps = Math.ceil( SETTLING_TIME / timeStep - BASharedConstants.COMPARISON_TOLERANCE );
+    let numStepsAtRest = 0;
+    let numSteps = 0;
+    while ( numStepsAtRest < numSettlingSteps && numSteps < maxSteps ) {
+      numStepsAtRest = this.plank.stepPhysics( timeStep ) ? numStepsAtRest + 1 : 0;
+      this.massList.forEach( mass => {
+        mass.step( timeStep );
+      } );
+      numSteps++;
+      timeSeries.push( {
+        time: numSteps * timeStep,
+        tiltAngle: this.plank.tiltAngleProperty.get(),
+        angularVelocity: this.plank.angularVelocityProperty.get()
+      } );
+    }
+
+    return {
+      finalTiltAngle: this.plank.tiltAngleProperty.get(),
+      settled: numStepsAtRest >= numSettlingSteps,
+      elapsedTime: numSteps * timeStep,
+      timeSeries: timeSeries
+    };
   }
 
   /**
@@ -99,12 +256,249 @@ class BalanceModel {
     }
   }
 
+  /**
+   * Get a description of how the plank is set up, i.e. the column state, the positions of the pivot point and the
+   * support columns, and the masses and spring scales on the plank, that can be saved and later passed to loadScenario.
+   * The masses are listed in the order in which they were put on the plank so that stacks are rebuilt the same way.
+   * Masses and scales that aren't on the plank aren't included.
+   * @returns {{columnState: string, pivotDistance: number, supportColumnPositions: number[], masses: Object[],
+   *            springScales: Object[]}}
+   * @public
+   */
+  getScenario() {
+    return {
+      columnState: this.columnStateProperty.get().name,
+      pivotDistance: this.plank.getPivotOffset(),
+      supportColumnPositions: this.supportColumns.map( supportColumn => supportColumn.centerXProperty.get() ),
+      masses: this.plank.massDistancePairs.map( massDistancePair => merge(
+        this.getScenarioMassDescription( massDistancePair.mass ),
+        { distance: massDistancePair.distance }
+      ) ),
+      springScales: this.plank.springScaleDistancePairs.map( springScaleDistancePair => ( {
+        distance: springScaleDistancePair.distance,
+        force: springScaleDistancePair.springScale.forceProperty.get()
+      } ) )
+    };
+  }
+
+  /**
+   * Set up the plank as described by a scenario from getScenario, which may have been edited by hand since it was
+   * saved.  Only the masses that are on the plank are replaced, so the others stay where they are.  If the scenario
+   * isn't valid, everything is put back the way that it was, using the same masses, and an error with a message that
+   * can be shown to the user is thrown.
+   * @param {Object} scenario - see getScenario
+   * @public
+   */
+  loadScenario( scenario ) {
+    const previousPositions = new Map( this.massList.map( mass => [ mass, mass.positionProperty.get() ] ) );
+    const previousColumnState = this.columnStateProperty.get();
+    const previousPlankSetup = this.plank.getSetup();
+    const previousForces = this.springScales.map( springScale => springScale.forceProperty.get() );
+    const previousPivotDistance = this.plank.getPivotOffset();
+    const previousSupportColumnPositions = this.supportColumns.map(
+      supportColumn => supportColumn.centerXProperty.get()
+    );
+    try {
+      this.setUpScenario( scenario );
+    }
+    catch( error ) {
+      this.columnStateProperty.set( previousColumnState );
+      this.springScales.forEach( ( springScale, index ) => springScale.forceProperty.set( previousForces[ index ] ) );
+      this.supportColumns.forEach( ( supportColumn, index ) => {
+        supportColumn.centerXProperty.set( previousSupportColumnPositions[ index ] );
+      } );
+
+      // The pivot point can only be moved to a position that isn't occupied, so the plank is emptied first.
+      this.plank.restoreSetup( merge( {}, previousPlankSetup, {
+        massDistancePairs: [],
+        springScaleDistancePairs: []
+      } ) );
+      this.plank.movePivotPointToDistance( previousPivotDistance );
+      this.plank.restoreSetup( previousPlankSetup );
+      this.springScales.forEach( springScale => {
+        !springScale.attachedProperty.get() && springScale.returnToRestingPosition();
+      } );
+
+      // Masses that were created for the scenario are removed, and any others that were moved go back to where they
+      // were.
+      this.massList.slice().forEach( mass => {
+        if ( !previousPositions.has( mass ) ) {
+          this.removeScenarioMass( mass );
+        }
+        else if ( !mass.onPlankProperty.get() ) {
+          mass.positionProperty.set( previousPositions.get( mass ) );
+        }
+      } );
+      throw error;
+    }
+
+    // The masses that were on the plank before, and that aren't part of the scenario, are put away.
+    previousPlankSetup.massDistancePairs.forEach( massDistancePair => {
+      if ( !massDistancePair.mass.onPlankProperty.get() ) {
+        this.removeScenarioMass( massDistancePair.mass );
+      }
+    } );
+
+    // Loading a setup isn't a change that can be undone, and the changes before it can't be undone either.
+    this.editHistory.clear();
+  }
+
+  /**
+   * Set up the plank as described by a scenario.  The positions of the pivot point and the support columns and the
+   * spring scales are optional, since setups that were saved before these could be changed don't have them.  The
+   * pivot point and the support columns can only be somewhere other than where they are now if the user can move them
+   * too.  The spring scales are hooked on in the order listed.
+   * @param {Object} scenario - see getScenario
+   * @private
+   */
+  setUpScenario( scenario ) {
+    const springScaleDescriptions = _.isPlainObject( scenario ) && scenario.springScales !== undefined ?
+                                    scenario.springScales : [];
+    if ( !_.isPlainObject( scenario ) || !ColumnState.KEYS.includes( scenario.columnState ) ||
+         !Array.isArray( scenario.masses ) || !_.every( scenario.masses, _.isPlainObject ) ||
+         !Array.isArray( springScaleDescriptions ) || !_.every( springScaleDescriptions, _.isPlainObject ) ||
+         springScaleDescriptions.length > this.springScales.length ) {
+      throw new Error( setupFileInvalidString );
+    }
+
+    this.plank.removeAllMasses();
+    this.plank.removeAllSpringScales();
+    this.springScales.forEach( springScale => springScale.returnToRestingPosition() );
+
+    // The pivot point is moved while the plank is empty, since it can't be moved to a position that is occupied.
+    const pivotDistance = scenario.pivotDistance;
+    if ( pivotDistance !== undefined && !this.movePivotPointTo( pivotDistance ) ) {
+      throw new Error( StringUtils.format( pattern0InvalidPivotDistanceString, pivotDistance ) );
+    }
+    const supportColumnPositions = scenario.supportColumnPositions;
+    if ( supportColumnPositions !== undefined && !this.moveSupportColumnsTo( supportColumnPositions ) ) {
+      throw new Error( StringUtils.format(
+        pattern0InvalidSupportColumnPositionsString,
+        Array.isArray( supportColumnPositions ) ? supportColumnPositions.join( ', ' ) : supportColumnPositions
+      ) );
+    }
+
+    // The plank is held level by the columns while the masses are put on it, so that they land where they should.
+    this.columnStateProperty.set( ColumnState.DOUBLE_COLUMNS );
+    scenario.masses.forEach( massDescription => {
+      const distance = massDescription.distance;
+      if ( typeof distance !== 'number' || !this.plank.isValidMassDistance( distance ) ) {
+        throw new Error( StringUtils.format( pattern0InvalidMassDistanceString, distance ) );
+      }
+      const mass = this.createScenarioMass( massDescription );
+      this.plank.addMassToSurfaceAt( mass, distance );
+
+      // The plank moves masses to the closest open position, so make sure that the mass ended up where it was supposed
+      // to, rather than next to something that was already there.
+      const distanceError = Math.abs( this.plank.getMassDistanceFromCenter( mass ) - distance );
+      if ( !mass.onPlankProperty.get() || distanceError > BASharedConstants.COMPARISON_TOLERANCE ) {
+        throw new Error( StringUtils.format( pattern0Mass1DistanceOccupiedString, massDescription.type, distance ) );
+      }
+    } );
+    springScaleDescriptions.forEach( ( springScaleDescription, index ) => {
+      const springScale = this.springScales[ index ];
+      const distance = springScaleDescription.distance;
+      const force = springScaleDescription.force;
+      if ( typeof force !== 'number' || !SpringScale.FORCE_RANGE.contains( force ) || typeof distance !== 'number' ||
+           !this.plank.addSpringScaleToPlankAt( springScale, distance ) ) {
+        throw new Error( StringUtils.format( pattern0Distance1ForceInvalidSpringScaleString, distance, force ) );
+      }
+      springScale.forceProperty.set( force );
+    } );
+    this.columnStateProperty.set( ColumnState[ scenario.columnState ] );
+  }
+
+  /**
+   * Move the pivot point to the provided distance from the center of the plank, as long as the user could put it there.
+   * If the fulcrum isn't movable, the distance must be where the pivot point already is.
+   * @param {number} distance - in meters
+   * @returns {boolean} - whether the pivot point is now at the provided distance
+   * @private
+   */
+  movePivotPointTo( distance ) {
+    if ( typeof distance !== 'number' ) {
+      return false;
+    }
+    if ( this.fulcrumMovable ) {
+      return this.plank.movePivotPointToDistance( distance );
+    }
+    return Math.abs( this.plank.getPivotOffset() - distance ) < BASharedConstants.COMPARISON_TOLERANCE;
+  }
+
+  /**
+   * Move the support columns to the provided positions, as long as the user could put them there.  If the columns
+   * aren't movable, the positions must be where the columns already are.
+   * @param {number[]} positions - the horizontal position of each column, in meters
+   * @returns {boolean} - whether the columns are now at the provided positions
+   * @private
+   */
+  moveSupportColumnsTo( positions ) {
+    if ( !Array.isArray( positions ) || positions.length !== this.supportColumns.length ||
+         !_.every( positions, position => typeof position === 'number' ) ) {
+      return false;
+    }
+    if ( this.supportsMovable ) {
+
+      // Starting from their initial positions near the ends of the plank, each column can be moved anywhere that leaves
+      // room for the other one.
+      this.supportColumns.forEach( supportColumn => supportColumn.centerXProperty.reset() );
+      this.supportColumns.forEach( ( supportColumn, index ) => {
+        this.moveSupportColumn( supportColumn, positions[ index ] );
+      } );
+    }
+    return _.every( this.supportColumns, ( supportColumn, index ) =>
+      Math.abs( supportColumn.centerXProperty.get() - positions[ index ] ) < BASharedConstants.COMPARISON_TOLERANCE
+    );
+  }
+
+  /**
+   * Get the description of a mass that is saved in a scenario, which says what type of mass it is along with anything
+   * else that is needed to create it again.  The undo history keeps these too, see PlankEditHistory.
+   * @param {Mass} mass
+   * @returns {Object} - with a 'type' key
+   * @public
+   */
+  getScenarioMassDescription( mass ) {
+    throw new Error( 'getScenarioMassDescription should be implemented in descendant types.' );
+  }
+
+  /**
+   * Get a mass that matches the provided description from a scenario or the undo history, ready to be put on the
+   * plank.  Throws an error with a message that can be shown to the user if the description isn't valid for this
+   * model.
+   * @param {Object} massDescription
+   * @returns {Mass}
+   * @public
+   */
+  createScenarioMass( massDescription ) {
+    throw new Error( 'createScenarioMass should be implemented in descendant types.' );
+  }
+
+  /**
+   * Put away a mass that has been taken off of the plank because a scenario was set up or a change was undone, or that
+   * was created for a scenario that couldn't be set up.
+   * @param {Mass} mass
+   * @public
+   */
+  removeScenarioMass( mass ) {
+    throw new Error( 'removeScenarioMass should be implemented in descendant types.' );
+  }
+
   /**
    * @public
    */
   reset() {
     this.plank.removeAllMasses();
+    this.plank.resetPivotPoint();
+    this.plank.angularDampingRateProperty.reset();
     this.columnStateProperty.reset();
+    this.supportColumns.forEach( supportColumn => {
+      supportColumn.centerXProperty.reset();
+      supportColumn.reactionForceProperty.reset();
+    } );
+
+    // Resetting isn't a change that can be undone, and the changes before it can't be undone either.
+    this.editHistory.clear();
   }
 }
 
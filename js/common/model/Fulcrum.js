@@ -8,6 +8,8 @@
  * @author John Blanco
  */
 
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
 import { Shape } from '../../../../kite/js/imports.js';
 import balancingAct from '../../balancingAct.js';
 
@@ -38,6 +40,10 @@ function Fulcrum( size ) {
 
   // The shape property is what will define the shape in the view.
   this.shape = fulcrumShape;
+
+  // Position of the point on the ground below the apex of the fulcrum.  The shape is defined relative to this point,
+  // which only changes when the fulcrum is movable.
+  this.positionProperty = new Vector2Property( Vector2.ZERO );
 }
 
 balancingAct.register( 'Fulcrum', Fulcrum );
@@ -13,6 +13,7 @@
 
 import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
 import Mass from './Mass.js';
 
@@ -64,6 +65,37 @@ class ImageMass extends Mass {
     return new Vector2( position.x, position.y + this.heightProperty.get() / 2 );
   }
 
+  /**
+   * @returns {number}
+   * @public
+   */
+  getFootprintWidth() {
+    return ImageMass.getImageWidth( this.imageProperty.get(), this.heightProperty.get() );
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getHeight() {
+    return this.heightProperty.get();
+  }
+
+  /**
+   * Get the width, in meters, that the provided image will have when shown at the provided height, keeping its aspect
+   * ratio.
+   * @param {HTMLImageElement|Array.<Object>} image - an image or a mipmap
+   * @param {number} height - in meters
+   * @returns {number}
+   * @public
+   */
+  static getImageWidth( image, height ) {
+
+    // Mipmaps are arrays of levels, the first of which has the full resolution.
+    const imageElement = Array.isArray( image ) ? image[ 0 ] : image;
+    return height * imageElement.width / imageElement.height;
+  }
+
   /**
    * @returns {ImageMass}
    * @public
@@ -71,7 +103,7 @@ class ImageMass extends Mass {
    */
   createCopy() {
     // This clever invocation supports the creation of subclassed instances.
-    return new this.constructor( this.positionProperty.get().copy(), this.isMystery );
+    return new this.constructor( this.positionProperty.get().copy(), this.isMystery, { tandem: Tandem.OPT_OUT } );
   }
 }
 
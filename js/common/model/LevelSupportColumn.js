@@ -9,7 +9,10 @@
  * @author John Blanco
  */
 
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import { Shape } from '../../../../kite/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
 
 // constants
@@ -18,12 +21,31 @@ const COLUMN_WIDTH = 0.35; // In meters
 /**
  * @param height
  * @param centerX
+ * @param {Tandem} [tandem]
  * @constructor
  */
-function LevelSupportColumn( height, centerX ) {
+function LevelSupportColumn( height, centerX, tandem = Tandem.OPT_OUT ) {
+
+  // The shape is defined at the initial position of the column.
   this.shape = Shape.rect( centerX - COLUMN_WIDTH / 2, 0, COLUMN_WIDTH, height );
+
+  // Horizontal position of the center of the column, which only changes when the columns are movable.
+  this.centerXProperty = new NumberProperty( centerX, {
+    units: 'm',
+    tandem: tandem.createTandem( 'centerXProperty' ),
+    phetioReadOnly: true,
+    phetioDocumentation: 'Horizontal position of the center of the column, which the user can change when the ' +
+                         'columns are movable.'
+  } );
+
+  // {Property.<number|null>} - Force with which the column pushes up on the plank, in newtons, or null if it isn't
+  // being computed.  Negative values mean that the column would have to pull the plank down to keep it in place.
+  this.reactionForceProperty = new Property( null );
 }
 
+// static constants
+LevelSupportColumn.COLUMN_WIDTH = COLUMN_WIDTH;
+
 balancingAct.register( 'LevelSupportColumn', LevelSupportColumn );
 
 export default LevelSupportColumn;
\ No newline at end of file
@@ -11,8 +11,9 @@ import Vector2 from '../../../../dot/js/Vector2.js';
 import merge from '../../../../phet-core/js/merge.js';
 import PhetioObject from '../../../../tandem/js/PhetioObject.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import BooleanIO from '../../../../tandem/js/types/BooleanIO.js';
 import IOType from '../../../../tandem/js/types/IOType.js';
-import ReferenceIO from '../../../../tandem/js/types/ReferenceIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import balancingAct from '../../balancingAct.js';
 
 // constants
@@ -26,8 +27,7 @@ class Mass extends PhetioObject {
 
     options = merge( {
       tandem: Tandem.REQUIRED,
-      phetioType: ReferenceIO( IOType.ObjectIO ),
-      phetioState: false
+      phetioType: Mass.MassIO
     }, options );
 
     // instrumented so it can be phetioDynamicElement: true for PhetioGroups
@@ -71,6 +71,9 @@ class Mass extends PhetioObject {
     // This is the horizontal offset from the center of the shape or image.
     this.centerOfMassXOffset = 0;
 
+    // Most masses act as a point load at a single position on the plank, but some, such as beams, are spread out along
+    // the plank and cover a range of positions.
+    this.isDistributed = false;
   }
 
   /**
@@ -96,6 +99,45 @@ class Mass extends PhetioObject {
    */
   getMiddlePoint() { throw new Error( 'getMiddlePoint should be implemented in descendant types.' ); }
 
+  /**
+   * Get the width, in meters, of the portion of the plank that this mass covers when it is sitting on the plank.  This
+   * is used to keep masses from overlapping when they can be placed at any position.
+   * @returns {number}
+   * @public
+   */
+  getFootprintWidth() { throw new Error( 'getFootprintWidth should be implemented in descendant types.' ); }
+
+  /**
+   * Get the current height of this mass, in meters, which is used when other masses are stacked on top of it.
+   * @returns {number}
+   * @public
+   */
+  getHeight() { throw new Error( 'getHeight should be implemented in descendant types.' ); }
+
+  /**
+   * Get the position of the center of mass in model coordinates, accounting for the rotation of the mass.  By
+   * convention for this simulation, the horizontal position of a mass is at its center of mass, which is why
+   * centerOfMassXOffset is used by the view to shift images that aren't symmetrical.  The center of mass is assumed to
+   * be half way up the mass.
+   * @returns {Vector2}
+   * @public
+   */
+  getCenterOfMassPosition() {
+    return this.positionProperty.get().plus(
+      new Vector2( 0, this.getHeight() / 2 ).rotated( this.rotationAngleProperty.get() )
+    );
+  }
+
+  /**
+   * Get the moment of inertia of this mass about its own center of mass, in kg*m^2.  Most masses are small enough to be
+   * treated as point masses, so this is zero by default.
+   * @returns {number}
+   * @public
+   */
+  getMomentOfInertiaAboutCenterOfMass() {
+    return 0;
+  }
+
   /**
    * @public
    */
@@ -146,11 +188,44 @@ class Mass extends PhetioObject {
   }
 
   /**
+   * Create a copy of this mass.  Copies are used by the game, where masses aren't instrumented for PhET-iO.
+   * @returns {Mass}
    * @public
    */
   createCopy() { throw new Error( 'createCopy should be implemented in descendant types.' ); }
 }
 
+Mass.MassIO = new IOType( 'MassIO', {
+  valueType: Mass,
+  documentation: 'An object that can be placed on the plank.  The position is in meters and is the bottom center of ' +
+                 'the mass, and the rotation angle is in radians.  Masses that are on the plank are rotated to match ' +
+                 'it.  A mass is user controlled while the user is moving it.  Which masses are on the plank, and ' +
+                 'where, is part of the state of the plank.',
+  stateSchema: {
+    massValue: NumberIO,
+    position: Vector2.Vector2IO,
+    rotationAngle: NumberIO,
+    onPlank: BooleanIO,
+    userControlled: BooleanIO
+  },
+  toStateObject: mass => ( {
+    massValue: mass.massValue,
+    position: Vector2.Vector2IO.toStateObject( mass.positionProperty.get() ),
+    rotationAngle: mass.rotationAngleProperty.get(),
+    onPlank: mass.onPlankProperty.get(),
+    userControlled: mass.userControlledProperty.get()
+  } ),
+
+  // The position is set first, since some masses, such as people, look at it when they are put on or taken off of the
+  // plank.  The mass value is determined when the mass is created, so it isn't set here.
+  applyState: ( mass, stateObject ) => {
+    mass.positionProperty.set( Vector2.Vector2IO.fromStateObject( stateObject.position ) );
+    mass.rotationAngleProperty.set( stateObject.rotationAngle );
+    mass.onPlankProperty.set( stateObject.onPlank );
+    mass.userControlledProperty.set( stateObject.userControlled );
+  }
+} );
+
 balancingAct.register( 'Mass', Mass );
 
 export default Mass;
\ No newline at end of file
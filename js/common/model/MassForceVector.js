@@ -39,13 +39,20 @@ class MassForceVector {
    * @private
    */
   generateVector( mass ) {
+
+    // The weight of a distributed mass acts at its center of mass.
     return {
-      origin: new Vector2( mass.positionProperty.get().x, mass.positionProperty.get().y ),
+      origin: mass.isDistributed ?
+              mass.getCenterOfMassPosition() :
+              new Vector2( mass.positionProperty.get().x, mass.positionProperty.get().y ),
       vector: new Vector2( 0, mass.massValue * ACCELERATION_DUE_TO_GRAVITY )
     };
   }
 }
 
+// static constants
+MassForceVector.ACCELERATION_DUE_TO_GRAVITY = ACCELERATION_DUE_TO_GRAVITY;
+
 balancingAct.register( 'MassForceVector', MassForceVector );
 
 export default MassForceVector;
\ No newline at end of file
@@ -11,27 +11,69 @@ import Emitter from '../../../../axon/js/Emitter.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Matrix3 from '../../../../dot/js/Matrix3.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
 import { Shape } from '../../../../kite/js/imports.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetioObject from '../../../../tandem/js/PhetioObject.js';
 import ArrayIO from '../../../../tandem/js/types/ArrayIO.js';
 import IOType from '../../../../tandem/js/types/IOType.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
 import NumberIO from '../../../../tandem/js/types/NumberIO.js';
-import ObjectLiteralIO from '../../../../tandem/js/types/ObjectLiteralIO.js';
 import StringIO from '../../../../tandem/js/types/StringIO.js';
 import balancingAct from '../../balancingAct.js';
 import BASharedConstants from '../BASharedConstants.js';
 import ColumnState from './ColumnState.js';
+import Mass from './Mass.js';
 import MassForceVector from './MassForceVector.js';
 
 // constants
-const PLANK_LENGTH = 4.5;// meters
+const DEFAULT_PLANK_LENGTH = 4.5;// meters
 const PLANK_THICKNESS = 0.05; // meters
-const PLANK_MASS = 75; // kg
-const INTER_SNAP_TO_MARKER_DISTANCE = 0.25; // meters
-const NUM_SNAP_TO_POSITIONS = Math.floor( PLANK_LENGTH / INTER_SNAP_TO_MARKER_DISTANCE - 1 );
-const MOMENT_OF_INERTIA = PLANK_MASS * ( ( PLANK_LENGTH * PLANK_LENGTH ) + ( PLANK_THICKNESS * PLANK_THICKNESS ) ) / 12;
+const DEFAULT_PLANK_MASS = 75; // kg
+const DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE = 0.25; // meters
+
+const DEFAULT_PHYSICS_TIME_STEP = 1 / 120; // seconds
+const ANGULAR_DAMPING_RATE_RANGE = new Range( 0, 5 ); // 1/seconds
+const MAX_ACCUMULATED_TIME = 0.25; // seconds, prevents a long burst of steps after the sim has been in the background
+const MAX_SPRING_SCALE_HOOK_DISTANCE = 0.3; // meters, how far from the plank surface a spring scale can be hooked on
+
+// The state of one of the masses on the plank, which is identified by its phetioID.
+const MassDistancePairIO = new IOType( 'MassDistancePairIO', {
+  valueType: Object,
+  documentation: 'A mass on the plank, identified by its phetioID, with its mass in kg and its distance from the ' +
+                 'center of the plank in meters, negative to the left of center.',
+  stateSchema: {
+    phetioID: StringIO,
+    mass: NumberIO,
+    distance: NumberIO
+  },
+  toStateObject: massDistancePair => ( {
+    phetioID: massDistancePair.mass.tandem.phetioID,
+    mass: massDistancePair.mass.massValue,
+    distance: massDistancePair.distance
+  } )
+} );
+
+// The state of one of the spring scales hooked onto the plank, which is identified by its phetioID.
+const SpringScaleDistancePairIO = new IOType( 'SpringScaleDistancePairIO', {
+  valueType: Object,
+  documentation: 'A spring scale hooked onto the plank, identified by its phetioID, with its distance from the ' +
+                 'center of the plank in meters, negative to the left of center.  The force is in the state of the ' +
+                 'scale.',
+  stateSchema: {
+    phetioID: StringIO,
+    distance: NumberIO
+  },
+  toStateObject: springScaleDistancePair => ( {
+    phetioID: springScaleDistancePair.springScale.tandem.phetioID,
+    distance: springScaleDistancePair.distance
+  } )
+} );
 
-class Plank {
+class Plank extends PhetioObject {
 
   /**
    * @param position {Vector2} Initial position of the horizontal center, vertical bottom
@@ -39,8 +81,129 @@ class Plank {
    * @param columnState {Property} Property that indicates current state of support columns.
    * @param userControlledMasses {Array} Masses being controlled by the user, used to update active drop positions.
    * @param {Tandem} tandem
+   * @param {Object} [options]
    */
-  constructor( position, pivotPoint, columnState, userControlledMasses, tandem ) {
+  constructor( position, pivotPoint, columnState, userControlledMasses, tandem, options ) {
+
+    options = merge( {
+
+      // {number} - length of the plank, in meters
+      length: DEFAULT_PLANK_LENGTH,
+
+      // {number} - mass of the plank, in kg.  A value of zero produces an ideal, massless lever.
+      mass: DEFAULT_PLANK_MASS,
+
+      // {number} - distance between adjacent snap-to positions, in meters
+      interSnapToMarkerDistance: DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE,
+
+      // {boolean} - whether masses land exactly where they are dropped instead of at the nearest snap-to position
+      continuousPlacement: false,
+
+      // {boolean} - whether a mass that is dropped on another mass is stacked on top of it, rather than needing a
+      // position of its own
+      stackingEnabled: false,
+
+      // {number} - The plank's motion is integrated in steps of this fixed size, in seconds, regardless of the frame
+      // rate, so that the motion is reproducible.
+      physicsTimeStep: DEFAULT_PHYSICS_TIME_STEP,
+
+      // {number} - Rate at which friction at the pivot point slows the rotation of the plank, in 1/seconds.  Zero means
+      // no friction.  The default was empirically chosen so that the plank settles in a few seconds.
+      angularDampingRate: 2,
+
+      // Thresholds used to stop the plank from oscillating forever with small values, since this can cause odd-looking
+      // movements of the planks and masses.  The plank is stopped when both its angular velocity and the angular
+      // acceleration due to the net torque are below these.  The defaults were empirically determined.
+      angularAccelerationThreshold: 1E-4, // {number} - radians per second squared
+      angularVelocityThreshold: 1E-5, // {number} - radians per second
+      levelAngleThreshold: 1E-4, // {number} - radians, the plank is shown as exactly level when closer than this
+
+      // {boolean} - whether the plank and the masses on it are part of the PhET-iO state, which requires the masses to
+      // be instrumented
+      phetioState: true
+    }, options );
+
+    assert && assert( options.length > 0, 'plank length must be positive' );
+    assert && assert( options.mass >= 0, 'plank mass must be non-negative' );
+    assert && assert( options.interSnapToMarkerDistance > 0 && options.interSnapToMarkerDistance < options.length / 2,
+      'snap-to spacing must allow at least one snap-to position on each side of the center' );
+    assert && assert( Plank.isSnapToSpacingCentered( options.length, options.interSnapToMarkerDistance ),
+      'plank length must be a whole number of snap-to spacings, so that the snap-to positions are centered' );
+    assert && assert( options.physicsTimeStep > 0, 'physics time step must be positive' );
+    assert && assert( ANGULAR_DAMPING_RATE_RANGE.contains( options.angularDampingRate ), 'damping rate out of range' );
+
+    super( {
+      tandem: tandem,
+      phetioType: Plank.PlankIO,
+      phetioState: options.phetioState,
+      phetioDocumentation: 'The plank and the masses and spring scales on it.  Setting the state puts the listed ' +
+                           'masses and scales on the plank at the provided distances, and takes any others off of it.'
+    } );
+
+    // @public (read-only) - physical parameters of the plank
+    this.length = options.length;
+    this.mass = options.mass;
+    this.interSnapToMarkerDistance = options.interSnapToMarkerDistance;
+
+    // @public (read-only)
+    this.continuousPlacement = options.continuousPlacement;
+    this.stackingEnabled = options.stackingEnabled;
+
+    // @public (read-only) - parameters for the integration of the plank's motion
+    this.physicsTimeStep = options.physicsTimeStep;
+    this.angularAccelerationThreshold = options.angularAccelerationThreshold;
+    this.angularVelocityThreshold = options.angularVelocityThreshold;
+    this.levelAngleThreshold = options.levelAngleThreshold;
+
+    // @private - time that has been stepped but not yet simulated, always less than one physics time step after a step
+    this.accumulatedTime = 0;
+
+    // @public - Rate at which friction at the pivot point slows the rotation of the plank.  The plank oscillates about
+    // its equilibrium position without ever settling when this is zero.
+    this.angularDampingRateProperty = new NumberProperty( options.angularDampingRate, {
+      range: ANGULAR_DAMPING_RATE_RANGE,
+      tandem: tandem.createTandem( 'angularDampingRateProperty' ),
+      phetioDocumentation: 'Rate at which friction at the pivot point slows the rotation of the plank, in 1/s.  The ' +
+                           'angular velocity is reduced by a factor of e each 1/rate seconds.  Zero means no friction.'
+    } );
+
+    // @public (read-only) - rate of rotation of the plank, positive when rotating such that the left side goes down
+    this.angularVelocityProperty = new NumberProperty( 0, {
+      units: 'radians/s',
+      tandem: tandem.createTandem( 'angularVelocityProperty' ),
+      phetioReadOnly: true,
+      phetioHighFrequency: true
+    } );
+
+    // @public (read-only) {Property.<number|null>} - The period of the plank's oscillation about its equilibrium
+    // position, measured as the time between successive peaks of the tilt angle, in seconds.  Null if the plank isn't
+    // oscillating or if not enough of an oscillation has been seen to measure it.
+    this.periodProperty = new Property( null, {
+      tandem: tandem.createTandem( 'periodProperty' ),
+      phetioValueType: NullableIO( NumberIO ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'Period of the oscillation of the plank in seconds, null when not oscillating'
+    } );
+
+    // @private - used to measure the period of oscillation
+    this.elapsedPhysicsTime = 0;
+    this.previousPeakTime = null;
+
+    // @public (read-only) - Number of positions along the plank where masses can be placed.  A small tolerance is
+    // added before rounding down so that floating point error in the division doesn't lose a position.
+    this.numSnapToPositions = Math.floor(
+      this.length / this.interSnapToMarkerDistance - 1 + BASharedConstants.COMPARISON_TOLERANCE
+    );
+
+    // @public (read-only) - The farthest from the center of the plank that a mass can be placed, in meters.
+    this.maxValidMassDistanceFromCenter = ( this.numSnapToPositions - 1 ) * this.interSnapToMarkerDistance / 2;
+
+    // @private - moment of inertia of the plank about its own center
+    this.momentOfInertia = this.mass * ( ( this.length * this.length ) + ( PLANK_THICKNESS * PLANK_THICKNESS ) ) / 12;
+
+    // @private - used when deciding whether two positions on the plank are the same
+    this.distanceComparisonTolerance = this.interSnapToMarkerDistance / 10;
+
     this.userControlledMasses = userControlledMasses;
 
     // @public (read-only)
@@ -63,14 +226,25 @@ class Plank {
     this.massesOnSurface = createObservableArray();
     this.forceVectors = createObservableArray();
     this.activeDropPositions = createObservableArray(); // Positions where user-controlled masses would land if dropped, in meters from center.
+    this.springScalesOnPlank = createObservableArray();
 
-    // @public (read-only) {Vector2} Other external visible attributes.
-    this.pivotPoint = pivotPoint;
+    // @public (read-only) - Point around which the plank pivots.  This is fixed at the center of the plank unless the
+    // fulcrum is made movable, in which case it can be moved to any of the snap-to positions along the plank.
+    this.pivotPointProperty = new Vector2Property( pivotPoint, {
+      tandem: tandem.createTandem( 'pivotPointProperty' ),
+      phetioReadOnly: true
+    } );
 
-    // @public (read-only) - Map of masses to distance from the plank's center.
+    // @public (read-only) - Map of masses to distance from the plank's center.  The distances are multiples of the
+    // snap-to spacing unless continuous placement is enabled, in which case they can have any value.
     this.massDistancePairs = [];
 
-    // @private - signify in the data stream when masses are placed and removed
+    // @public (read-only) - Map of spring scales that are hooked onto the plank to their distance from the plank's
+    // center.  These distances are always multiples of the snap-to spacing.
+    this.springScaleDistancePairs = [];
+
+    // @public (read-only) - signify in the data stream when masses are placed and removed, also used to update views
+    // that depend on the mass-distance pairs
     this.massDroppedOnPlankEmitter = new Emitter( {
       tandem: tandem.createTandem( 'massDroppedOnPlankEmitter' ),
       parameters: [
@@ -80,7 +254,14 @@ class Plank {
         { name: 'fullState', phetioType: Plank.PlankIO } ]
     } );
 
-    // @private - signify in the data stream when masses are placed and removed
+    // @public (read-only) - emits when the user drops a mass onto the plank, but not when masses are put on it in some
+    // other way, such as when a setup is loaded or a challenge is set up
+    this.userDroppedMassEmitter = new Emitter( {
+      parameters: [ { valueType: Mass } ]
+    } );
+
+    // @public (read-only) - signify in the data stream when masses are placed and removed, also used to update views
+    // that depend on the mass-distance pairs
     this.massRemovedFromPlankEmitter = new Emitter( {
       tandem: tandem.createTandem( 'massRemovedFromPlankEmitter' ),
       parameters: [
@@ -92,26 +273,53 @@ class Plank {
 
     // Variables that need to be retained for dynamic behavior, but are not intended to be accessed externally.
     this.columnState = columnState;
-    this.angularVelocity = 0;
     this.currentNetTorque = 0;
 
-    // @public (read-only) - Calculate the max angle at which the plank can tilt before hitting the ground.  NOTE: This
-    // assumes a small distance between the pivot point and the bottom of the plank.  If this assumption changes, or if
-    // the fulcrum becomes movable, the way this is done will need to change.
-    this.maxTiltAngle = Math.asin( position.y / ( PLANK_LENGTH / 2 ) );
-
     // Unrotated shape of the plank
-    this.unrotatedShape = Shape.rect( position.x - PLANK_LENGTH / 2, position.y, PLANK_LENGTH, PLANK_THICKNESS );
+    this.unrotatedShape = Shape.rect( position.x - this.length / 2, position.y, this.length, PLANK_THICKNESS );
+
+    // @public (read-only) - The max angle at which the plank can tilt before hitting the ground when the pivot point is
+    // at the center of the plank.  NOTE: This assumes a small distance between the pivot point and the bottom of the
+    // plank.  Use getMaxTiltAngle to get the limit for the current pivot point position.
+    this.maxTiltAngle = Math.asin( position.y / ( this.length / 2 ) );
+
+    // @public {Property.<Vector2|null>} - Point where the single support column, used when the column state is
+    // SINGLE_COLUMN, touches the bottom of the plank.  The column only pushes up, so it stops the plank from rotating
+    // down onto it, but the plank lifts off of it if the torque reverses.  If this is null, the plank is simply held in
+    // the max tilted position when there is a single column.
+    this.singleSupportPointProperty = new Property( null );
+
+    // @public (read-only) - How far the plank is from where rotating it about the pivot point would put it.  This is
+    // only non-zero when the plank has tipped over the single support column, i.e. rotated about the point where it
+    // touches the column and lifted off of the fulcrum, see getTippingOffset.
+    this.tippingOffsetProperty = new Vector2Property( Vector2.ZERO );
 
     // Listen to the support column property.  The plank goes to the level position whenever there are two columns
-    // present, and into a tilted position when only one is present.
+    // present, and comes to rest on the column when only one is present.  If the column that the plank had tipped over
+    // is removed, the plank drops back onto the fulcrum.
     columnState.link( newColumnState => {
       if ( newColumnState === ColumnState.SINGLE_COLUMN ) {
-        this.forceToMaxAndStill();
+        this.forceToSingleSupportAndStill();
       }
       else if ( newColumnState === ColumnState.DOUBLE_COLUMNS ) {
         this.forceToLevelAndStill();
       }
+      else if ( !this.tippingOffsetProperty.get().equals( Vector2.ZERO ) ) {
+        this.forceAngle( this.getSingleSupportRestingAngle() );
+      }
+    } );
+
+    // When the single support column moves, the plank is pushed up if the column would otherwise go into it, and goes
+    // back onto the fulcrum if it had tipped over the column.  If the column moves out from under the plank, the plank
+    // comes down onto it in its new position on its own.
+    this.singleSupportPointProperty.lazyLink( () => {
+      if ( columnState.value === ColumnState.SINGLE_COLUMN ) {
+        const angleFromSingleSupport = this.getAngleFromSingleSupport();
+        if ( angleFromSingleSupport === null || angleFromSingleSupport <= 0 ||
+             !this.tippingOffsetProperty.get().equals( Vector2.ZERO ) ) {
+          this.forceToSingleSupportAndStill();
+        }
+      }
     } );
 
     // Listen for when masses are added to the plank and add a listener that removes that mass if the user picks is up.
@@ -134,6 +342,28 @@ class Plank {
         }
       } );
     } );
+
+    // Listen for when spring scales are hooked onto the plank, and unhook them if the user picks them up.  The torque
+    // needs to be updated whenever the user changes the force of an attached scale.
+    this.springScalesOnPlank.addItemAddedListener( addedSpringScale => {
+      const userControlledListener = userControlled => {
+        if ( userControlled ) {
+          this.removeSpringScaleFromPlank( addedSpringScale );
+        }
+      };
+      addedSpringScale.userControlledProperty.link( userControlledListener );
+      const forceListener = () => this.updateNetTorque();
+      addedSpringScale.forceProperty.lazyLink( forceListener );
+
+      const self = this;
+      this.springScalesOnPlank.addItemRemovedListener( function springScaleRemovalListener( removedSpringScale ) {
+        if ( removedSpringScale === addedSpringScale ) {
+          removedSpringScale.userControlledProperty.unlink( userControlledListener );
+          removedSpringScale.forceProperty.unlink( forceListener );
+          self.springScalesOnPlank.removeItemRemovedListener( springScaleRemovalListener );
+        }
+      } );
+    } );
   }
 
   /**
@@ -141,52 +371,108 @@ class Plank {
    * @public
    */
   step( dt ) {
-    let angularAcceleration;
+
+    // Simulate the motion in fixed increments so that it doesn't depend on the frame rate.
+    this.accumulatedTime = Math.min( this.accumulatedTime + dt, MAX_ACCUMULATED_TIME );
+    while ( this.accumulatedTime >= this.physicsTimeStep ) {
+      this.stepPhysics( this.physicsTimeStep );
+      this.accumulatedTime -= this.physicsTimeStep;
+    }
+
+    this.updateActiveDropPositions();
+  }
+
+  /**
+   * Advance the rotational motion of the plank by one fixed time step.
+   * @param {number} dt - in seconds
+   * @returns {boolean} - true if the plank is at rest, meaning that it didn't move and that the net torque on it is
+   *                      within tolerance, see isNetTorqueWithinTolerance
+   * @public
+   */
+  stepPhysics( dt ) {
     this.updateNetTorque();
 
-    // Update the angular acceleration and velocity.  There is some thresholding here to prevent the plank from
-    // oscillating forever with small values, since this can cause odd-looking movements of the planks and masses.  The
-    // thresholds were empirically determined.
-    angularAcceleration = this.currentNetTorque / MOMENT_OF_INERTIA;
-    angularAcceleration = Math.abs( angularAcceleration ) > 0.00001 ? angularAcceleration : 0;
-    this.angularVelocity += angularAcceleration;
-    this.angularVelocity = Math.abs( this.angularVelocity ) > 0.00001 ? this.angularVelocity : 0;
+    // Update the angular velocity.  Friction at the pivot point slows the rotation a little.  To prevent the plank from
+    // creeping or oscillating forever with small values, it is stopped if it is already nearly at rest and the net
+    // torque is too small to move it noticeably.  A velocity that was just built up by the torque is never discarded.
+    const angularAcceleration = this.getAngularAcceleration();
+    const previousAngularVelocity = this.angularVelocityProperty.get();
+    let angularVelocity = 0;
+    if ( Math.abs( previousAngularVelocity ) > this.angularVelocityThreshold ||
+         Math.abs( angularAcceleration ) > this.angularAccelerationThreshold ) {
+      angularVelocity = ( previousAngularVelocity + angularAcceleration * dt ) *
+                        Math.exp( -this.angularDampingRateProperty.get() * dt );
+    }
+
+    // Even a net torque that is only slightly above the tolerance must start the plank moving.
+    assert && assert( angularVelocity !== 0 || Math.abs( angularAcceleration ) <= this.angularAccelerationThreshold,
+      `net torque of ${this.currentNetTorque} didn't move the plank` );
 
     // Update the angle of the plank's tilt based on the angular velocity.
     const previousTiltAngle = this.tiltAngleProperty.get();
-    let newTiltAngle = this.tiltAngleProperty.get() + this.angularVelocity * dt;
-    if ( Math.abs( newTiltAngle ) > this.maxTiltAngle ) {
+    let newTiltAngle = this.tiltAngleProperty.get() + angularVelocity * dt;
+    const tiltAngleRange = this.getTiltAngleRange();
+    if ( !tiltAngleRange.contains( newTiltAngle ) ) {
 
-      // Limit the angle when one end is touching the ground.
-      newTiltAngle = this.maxTiltAngle * ( this.tiltAngleProperty.get() < 0 ? -1 : 1 );
-      this.angularVelocity = 0;
+      // Limit the angle when one end is touching the ground or the plank has come down onto a support column.
+      newTiltAngle = tiltAngleRange.constrainValue( newTiltAngle );
+      angularVelocity = 0;
     }
-    else if ( Math.abs( newTiltAngle ) < 0.0001 ) {
+    else if ( angularVelocity === 0 && Math.abs( newTiltAngle ) < this.levelAngleThreshold ) {
 
-      // Below a certain threshold just force the tilt angle to be zero so that it appears perfectly level.
+      // Once the plank has come to rest below a certain threshold, just force the tilt angle to be zero so that it
+      // appears perfectly level.  This isn't done while the plank is moving, since a slow rotation away from level
+      // would otherwise be undone on every step.
       newTiltAngle = 0;
     }
     this.tiltAngleProperty.set( newTiltAngle );
+    this.angularVelocityProperty.set( angularVelocity );
+
+    // A peak in the tilt angle occurs when the rotation reverses direction from left-side-down to right-side-down, and
+    // the time between successive peaks is the period of the oscillation.
+    this.elapsedPhysicsTime += dt;
+    if ( previousAngularVelocity > 0 && angularVelocity < 0 ) {
+      if ( this.previousPeakTime !== null ) {
+        this.periodProperty.set( this.elapsedPhysicsTime - this.previousPeakTime );
+      }
+      this.previousPeakTime = this.elapsedPhysicsTime;
+    }
 
     // Update the shape of the plank and the positions of the masses on the surface, but only if the tilt angle has
     // changed.
-    if ( this.tiltAngleProperty.get() !== previousTiltAngle ) {
+    const angleChanged = this.tiltAngleProperty.get() !== previousTiltAngle;
+    if ( angleChanged ) {
       this.updatePlank();
       this.updateMassPositions();
     }
 
-    // Simulate friction by slowing down the rotation a little.
-    this.angularVelocity *= 0.91;
+    const atRest = !angleChanged && angularVelocity === 0 && this.isNetTorqueWithinTolerance();
+    if ( atRest ) {
+      this.resetPeriodMeasurement();
+    }
+    return atRest;
+  }
+
+  /**
+   * Clear the measurement of the period of oscillation, done when the plank stops or is forced to a new angle.
+   * @private
+   */
+  resetPeriodMeasurement() {
+    this.previousPeakTime = null;
+    this.periodProperty.set( null );
+  }
 
-    // Update the active drop positions.
+  /**
+   * Update the positions where the masses that are being dragged by the user would land if they were dropped.
+   * @private
+   */
+  updateActiveDropPositions() {
     const tempDropPositions = [];
     this.userControlledMasses.forEach( userControlledMass => {
       if ( this.isPointAbovePlank( userControlledMass.getMiddlePoint() ) ) {
-        const closestOpenPosition = this.getOpenMassDroppedPosition( userControlledMass.positionProperty.get() );
+        const closestOpenPosition = this.getOpenMassDroppedPosition( userControlledMass );
         if ( closestOpenPosition ) {
-          const plankSurfaceCenter = this.getPlankSurfaceCenter();
-          const distanceFromCenter = closestOpenPosition.distance( plankSurfaceCenter ) * ( closestOpenPosition.x < 0 ? -1 : 1 );
-          tempDropPositions.push( distanceFromCenter );
+          tempDropPositions.push( this.getDistanceAlongPlank( closestOpenPosition ) );
         }
       }
     } );
@@ -206,22 +492,35 @@ class Plank {
   }
 
   /**
-   * Add a mass to the surface of the plank, chooses a position below the mass.
+   * Add a mass that the user has dropped to the surface of the plank, chooses a position below the mass.
    * @param {Mass} mass
    * @returns {boolean}
    * @public
    */
   addMassToSurface( mass ) {
+    const massAdded = this.addMassToOpenPosition( mass );
+    if ( massAdded ) {
+      this.userDroppedMassEmitter.emit( mass );
+    }
+    return massAdded;
+  }
+
+  /**
+   * Add a mass to the surface of the plank at the open position closest to below the mass.
+   * @param {Mass} mass
+   * @returns {boolean} - whether there was room for the mass
+   * @private
+   */
+  addMassToOpenPosition( mass ) {
     let massAdded = false;
-    const closestOpenPosition = this.getOpenMassDroppedPosition( mass.positionProperty.get() );
+    const closestOpenPosition = this.getOpenMassDroppedPosition( mass );
     if ( this.isPointAbovePlank( mass.getMiddlePoint() ) && closestOpenPosition !== null ) {
       mass.positionProperty.set( closestOpenPosition );
       mass.onPlankProperty.set( true );
 
       const result = {
         mass: mass,
-        distance: this.getPlankSurfaceCenter().distance( mass.positionProperty.get() ) *
-                  ( mass.positionProperty.get().x > this.getPlankSurfaceCenter().x ? 1 : -1 )
+        distance: this.getDistanceAlongPlank( mass.positionProperty.get() )
       };
       this.massDistancePairs.push( result );
 
@@ -241,22 +540,237 @@ class Plank {
   }
 
   /**
-   * Indicates all of the masses that are currently on the plank
+   * Hook a spring scale onto the plank at the snap-to position closest to its hook.  The hook must be near the surface
+   * of the plank, and the position below the pivot point is not available, since a force there would have no effect.
+   * @param {SpringScale} springScale
+   * @returns {boolean} - true if the scale was hooked onto the plank
+   * @public
+   */
+  addSpringScaleToPlank( springScale ) {
+    const hookPosition = springScale.positionProperty.get();
+    const snapToPositions = this.getSnapToPositions();
+
+    let closestIndex = null;
+    snapToPositions.forEach( ( snapToPosition, index ) => {
+      if ( this.isSpringScaleDistanceAvailable( this.getSnapToPositionDistance( index ) ) &&
+           Math.abs( snapToPosition.x - hookPosition.x ) <= this.interSnapToMarkerDistance &&
+           Math.abs( snapToPosition.y - hookPosition.y ) <= MAX_SPRING_SCALE_HOOK_DISTANCE &&
+           ( closestIndex === null ||
+             snapToPosition.distance( hookPosition ) < snapToPositions[ closestIndex ].distance( hookPosition ) ) ) {
+        closestIndex = index;
+      }
+    } );
+
+    if ( closestIndex === null ) {
+      return false;
+    }
+
+    this.attachSpringScale( springScale, this.getSnapToPositionDistance( closestIndex ) );
+    this.updateSpringScalePositions();
+    this.updateNetTorque();
+    return true;
+  }
+
+  /**
+   * Hook a spring scale onto the plank at the provided distance from its center, which is done when the plank is set
+   * up rather than by the user.
+   * @param {SpringScale} springScale
+   * @param {number} distanceFromCenter
+   * @returns {boolean} - false if a scale can't be hooked on there, see isSpringScaleDistanceAvailable
+   * @public
+   */
+  addSpringScaleToPlankAt( springScale, distanceFromCenter ) {
+    if ( !this.isSpringScaleDistanceAvailable( distanceFromCenter ) ) {
+      return false;
+    }
+    this.attachSpringScale( springScale, distanceFromCenter );
+    this.updateSpringScalePositions();
+    this.updateNetTorque();
+    return true;
+  }
+
+  /**
+   * Whether a spring scale can be hooked onto the plank at the provided distance from its center, which must be one of
+   * the snap-to positions, not the one below the pivot point, since a force there would have no effect, and not one
+   * that another scale is hooked onto.
+   * @param {number} distanceFromCenter
+   * @returns {boolean}
+   * @private
+   */
+  isSpringScaleDistanceAvailable( distanceFromCenter ) {
+    const isSnapToPosition = _.some( _.range( this.numSnapToPositions ), index =>
+      Math.abs( this.getSnapToPositionDistance( index ) - distanceFromCenter ) < this.distanceComparisonTolerance
+    );
+    const isOccupied = _.some( this.springScaleDistancePairs, springScaleDistancePair =>
+      Math.abs( springScaleDistancePair.distance - distanceFromCenter ) < this.distanceComparisonTolerance
+    );
+    return isSnapToPosition && !isOccupied &&
+           Math.abs( distanceFromCenter - this.getPivotOffset() ) > this.distanceComparisonTolerance;
+  }
+
+  /**
+   * @param {SpringScale} springScale
+   * @param {number} distanceFromCenter
+   * @private
+   */
+  attachSpringScale( springScale, distanceFromCenter ) {
+    this.springScaleDistancePairs.push( {
+      springScale: springScale,
+      distance: distanceFromCenter
+    } );
+    springScale.attachedProperty.set( true );
+    this.springScalesOnPlank.push( springScale );
+  }
+
+  /**
+   * Unhook a spring scale from the plank.
+   * @param {SpringScale} springScale
+   * @public
+   */
+  removeSpringScaleFromPlank( springScale ) {
+    this.springScalesOnPlank.remove( springScale );
+    _.remove( this.springScaleDistancePairs, springScaleDistancePair =>
+      springScaleDistancePair.springScale === springScale
+    );
+    springScale.attachedProperty.set( false );
+    this.updateNetTorque();
+  }
+
+  /**
+   * @public
+   */
+  removeAllSpringScales() {
+    this.springScalesOnPlank.slice( 0 ).forEach( springScale => {
+      this.removeSpringScaleFromPlank( springScale );
+    } );
+  }
+
+  /**
+   * Move the spring scales that are hooked onto the plank so that they stay with the plank as it moves.
+   * @private
+   */
+  updateSpringScalePositions() {
+    this.springScaleDistancePairs.forEach( springScaleDistancePair => {
+      springScaleDistancePair.springScale.positionProperty.set(
+        this.getSpringScaleAttachmentPoint( springScaleDistancePair )
+      );
+    } );
+  }
+
+  /**
+   * Get the point on the surface of the plank where a spring scale is hooked on.
+   * @param {{springScale:SpringScale, distance:number}} springScaleDistancePair
+   * @returns {Vector2}
+   * @private
+   */
+  getSpringScaleAttachmentPoint( springScaleDistancePair ) {
+    return this.getPlankSurfaceCenter().plus(
+      Vector2.createPolar( springScaleDistancePair.distance, this.tiltAngleProperty.get() )
+    );
+  }
+
+  /**
+   * Get the state of the plank, which includes its motion and all of the masses and spring scales that are currently
+   * on it.
    * @returns {Object}
    * @private
    */
   toStateObject() {
     return {
-      massDistancePairs: this.massDistancePairs.map( massDistancePair => {
-        return {
-          name: massDistancePair.mass.tandem.phetioID,
-          mass: massDistancePair.mass.massValue,
-          distance: massDistancePair.distance
-        };
-      } )
+      tiltAngle: this.tiltAngleProperty.get(),
+      angularVelocity: this.angularVelocityProperty.get(),
+      massDistancePairs: this.massDistancePairs.map(
+        massDistancePair => MassDistancePairIO.toStateObject( massDistancePair )
+      ),
+      springScaleDistancePairs: this.springScaleDistancePairs.map(
+        springScaleDistancePair => SpringScaleDistancePairIO.toStateObject( springScaleDistancePair )
+      )
+    };
+  }
+
+  /**
+   * Set the state of the plank.  The masses are put on the plank in the order listed, so masses at the same distance
+   * are stacked in that order, and any other masses are taken off of it.  This is the only way that the masses on the
+   * plank are restored from the state, and likewise for the spring scales that are hooked onto it.  When the whole
+   * state is set, the masses that are created by PhET-iO groups already exist, since the dynamic elements are created
+   * before any state is applied.
+   * @param {Object} stateObject - see PlankIO
+   * @private
+   */
+  applyState( stateObject ) {
+    this.restoreSetup( {
+      tiltAngle: stateObject.tiltAngle,
+      angularVelocity: stateObject.angularVelocity,
+      massDistancePairs: stateObject.massDistancePairs.map( massDistancePair => ( {
+        mass: phet.phetio.phetioEngine.getPhetioObject( massDistancePair.phetioID ),
+        distance: massDistancePair.distance
+      } ) ),
+      springScaleDistancePairs: stateObject.springScaleDistancePairs.map( springScaleDistancePair => ( {
+        springScale: phet.phetio.phetioEngine.getPhetioObject( springScaleDistancePair.phetioID ),
+        distance: springScaleDistancePair.distance
+      } ) )
+    } );
+  }
+
+  /**
+   * Get the motion of the plank and the masses and spring scales that are on it, which can be passed to restoreSetup
+   * to put the plank back the way that it is now.  The forces of the scales aren't included, since they belong to the
+   * scales rather than to the plank.
+   * @returns {{tiltAngle:number, angularVelocity:number, massDistancePairs:Array.<{mass:Mass, distance:number}>,
+   *            springScaleDistancePairs:Array.<{springScale:SpringScale, distance:number}>}}
+   * @public
+   */
+  getSetup() {
+    return {
+      tiltAngle: this.tiltAngleProperty.get(),
+      angularVelocity: this.angularVelocityProperty.get(),
+      massDistancePairs: this.massDistancePairs.map( massDistancePair => ( {
+        mass: massDistancePair.mass,
+        distance: massDistancePair.distance
+      } ) ),
+      springScaleDistancePairs: this.springScaleDistancePairs.map( springScaleDistancePair => ( {
+        springScale: springScaleDistancePair.springScale,
+        distance: springScaleDistancePair.distance
+      } ) )
     };
   }
 
+  /**
+   * Put the plank back the way that it was, see getSetup.  The masses are put on the plank in the order listed, so
+   * masses at the same distance are stacked in that order, and any other masses are taken off of it.  Likewise, the
+   * listed spring scales are hooked onto the plank and any others are unhooked, though unhooked scales are left where
+   * they are, so it is up to the caller to move them if needed.
+   * @param {Object} setup - see getSetup
+   * @public
+   */
+  restoreSetup( setup ) {
+    const previousMassesOnSurface = this.massesOnSurface.slice();
+    this.clearMassesOnSurface();
+    this.removeAllSpringScales();
+    this.tiltAngleProperty.set( setup.tiltAngle );
+    this.angularVelocityProperty.set( setup.angularVelocity );
+    this.resetPeriodMeasurement();
+    this.updatePlank();
+
+    setup.massDistancePairs.forEach( massDistancePair => {
+      assert && assert( Math.abs( massDistancePair.distance ) <= this.length / 2, 'mass must be on the plank' );
+      this.placeMassOnSurface( massDistancePair.mass, massDistancePair.distance );
+    } );
+    previousMassesOnSurface.forEach( mass => {
+      if ( !this.massesOnSurface.includes( mass ) ) {
+        mass.rotationAngleProperty.set( 0 );
+        mass.onPlankProperty.set( false );
+      }
+    } );
+    setup.springScaleDistancePairs.forEach( springScaleDistancePair => {
+      assert && assert( Math.abs( springScaleDistancePair.distance ) <= this.length / 2, 'scale must be on the plank' );
+      this.attachSpringScale( springScaleDistancePair.springScale, springScaleDistancePair.distance );
+    } );
+
+    this.updateMassPositions();
+    this.updateNetTorque();
+  }
+
   /**
    * Add a mass to the specified position on the plank.
    * @param {Mass} mass
@@ -264,7 +778,7 @@ class Plank {
    * @public
    */
   addMassToSurfaceAt( mass, distanceFromCenter ) {
-    if ( Math.abs( distanceFromCenter ) > PLANK_LENGTH / 2 ) {
+    if ( Math.abs( distanceFromCenter ) > this.length / 2 ) {
       throw new Error( 'Warning: Attempt to add mass at invalid distance from center' );
     }
     const vectorToPosition = this.getPlankSurfaceCenter().plus(
@@ -275,7 +789,40 @@ class Plank {
     // appropriate distance so that it will drop to the correct place.
     mass.positionProperty.set( new Vector2( vectorToPosition.x, vectorToPosition.y + 0.01 ) );
     assert && assert( this.isPointAbovePlank( mass.positionProperty.get() ) );  // Need to fix this if mass isn't above the surface.
-    this.addMassToSurface( mass );
+    this.addMassToOpenPosition( mass );
+  }
+
+  /**
+   * Put a mass on the plank at exactly the provided distance from its center, on top of any masses that are already
+   * there, which is done when the plank is set up as it was rather than by the user.  Unlike restoreSetup, this shows
+   * up in the data stream like a mass that is dropped onto the plank.
+   * @param {Mass} mass
+   * @param {number} distanceFromCenter
+   * @public
+   */
+  putMassOnSurfaceAt( mass, distanceFromCenter ) {
+    assert && assert( Math.abs( distanceFromCenter ) <= this.length / 2, 'mass must be on the plank' );
+    this.placeMassOnSurface( mass, distanceFromCenter );
+    this.updateMassPositions();
+    this.updateNetTorque();
+    this.massDroppedOnPlankEmitter.emit( mass.tandem.phetioID, mass.massValue, distanceFromCenter, this );
+  }
+
+  /**
+   * Returns true if the provided distance from the center of the plank is somewhere that a mass can be placed, which is
+   * one of the snap-to positions, or anywhere along the plank when continuous placement is enabled.  This doesn't check
+   * whether there is room for a particular mass there.
+   * @param {number} distanceFromCenter
+   * @returns {boolean}
+   * @public
+   */
+  isValidMassDistance( distanceFromCenter ) {
+    if ( this.continuousPlacement ) {
+      return Math.abs( distanceFromCenter ) <= this.length / 2;
+    }
+    return _.some( _.range( this.numSnapToPositions ), index =>
+      Math.abs( this.getSnapToPositionDistance( index ) - distanceFromCenter ) < BASharedConstants.COMPARISON_TOLERANCE
+    );
   }
 
   /**
@@ -284,9 +831,10 @@ class Plank {
   updateMassPositions() {
     this.massesOnSurface.forEach( mass => {
 
-      // Compute the vector from the center of the plank's surface to the bottom of the mass, in meters.
+      // Compute the vector from the center of the plank's surface to the bottom of the mass, in meters.  Masses that
+      // are stacked on other masses ride on top of them.
       const vectorFromCenterToMass = new Vector2(
-        this.getMassDistanceFromCenter( mass ), 0 ).rotated( this.tiltAngleProperty.get()
+        this.getMassDistanceFromCenter( mass ), this.getMassElevation( mass ) ).rotated( this.tiltAngleProperty.get()
       );
 
       // Set the position and rotation of the mass.
@@ -299,6 +847,9 @@ class Plank {
     this.forceVectors.forEach( forceVectors => {
       forceVectors.update();
     } );
+
+    // Spring scales that are hooked onto the plank move with it too.
+    this.updateSpringScalePositions();
   }
 
   /**
@@ -334,10 +885,44 @@ class Plank {
       }
     }
 
+    // Any masses that were stacked on top of the removed mass drop down to fill the gap.
+    this.updateMassPositions();
+
     // Update the torque, since the removal of the mass undoubtedly changed it.
     this.updateNetTorque();
   }
 
+  /**
+   * Put a mass on the plank at exactly the provided distance from its center, on top of any masses that are already
+   * there, without looking for an open position.  The caller is responsible for updating the mass positions and the
+   * torque once all of the masses have been placed.
+   * @param {Mass} mass
+   * @param {number} distanceFromCenter
+   * @private
+   */
+  placeMassOnSurface( mass, distanceFromCenter ) {
+
+    // The position is set before the mass is marked as being on the plank, since some masses, such as people, look at
+    // it when they are put on the plank.
+    mass.positionProperty.set( this.getStackTopPosition( distanceFromCenter ) );
+    mass.onPlankProperty.set( true );
+    this.massDistancePairs.push( { mass: mass, distance: distanceFromCenter } );
+    this.forceVectors.push( new MassForceVector( mass ) );
+    this.massesOnSurface.push( mass );
+  }
+
+  /**
+   * Forget all of the masses on the plank without changing the masses themselves.
+   * @private
+   */
+  clearMassesOnSurface() {
+
+    // The pairs go first, so that listeners to the masses on the surface don't see the pairs of removed masses.
+    this.massDistancePairs.length = 0;
+    this.massesOnSurface.clear();
+    this.forceVectors.clear();
+  }
+
   /**
    * @public
    */
@@ -362,75 +947,223 @@ class Plank {
     return 0;
   }
 
+  /**
+   * Get the height of the bottom of the mass above the surface of the plank, which is non-zero when the mass is stacked
+   * on top of other masses.  Masses at the same position are stacked in the order in which they were added.
+   * @param {Mass} mass
+   * @returns {number}
+   * @public
+   */
+  getMassElevation( mass ) {
+    const distanceFromCenter = this.getMassDistanceFromCenter( mass );
+    let elevation = 0;
+    for ( let i = 0; i < this.massDistancePairs.length && this.massDistancePairs[ i ].mass !== mass; i++ ) {
+      if ( Math.abs( this.massDistancePairs[ i ].distance - distanceFromCenter ) < this.distanceComparisonTolerance ) {
+        elevation += this.massDistancePairs[ i ].mass.getHeight();
+      }
+    }
+    return elevation;
+  }
+
+  /**
+   * Get the position where the bottom of a mass would be if it were placed at the provided distance from the center of
+   * the plank, which is on top of any masses that are already at that distance.
+   * @param {number} distanceFromCenter
+   * @returns {Vector2}
+   * @private
+   */
+  getStackTopPosition( distanceFromCenter ) {
+    let stackHeight = 0;
+    this.massDistancePairs.forEach( massDistancePair => {
+      if ( Math.abs( massDistancePair.distance - distanceFromCenter ) < this.distanceComparisonTolerance ) {
+        stackHeight += massDistancePair.mass.getHeight();
+      }
+    } );
+    return this.getPlankSurfaceCenter().plus(
+      new Vector2( distanceFromCenter, stackHeight ).rotated( this.tiltAngleProperty.get() )
+    );
+  }
+
+  /**
+   * Get the distance from the center of the plank to the provided position, measured along the surface of the plank,
+   * negative if the position is to the left of center.
+   * @param {Vector2} position
+   * @returns {number}
+   * @private
+   */
+  getDistanceAlongPlank( position ) {
+    return position.minus( this.getPlankSurfaceCenter() ).dot( Vector2.createPolar( 1, this.tiltAngleProperty.get() ) );
+  }
+
   /**
    * @private
    */
   updatePlank() {
-    if ( this.pivotPoint.y < this.unrotatedShape.minY ) {
+    const pivotPoint = this.pivotPointProperty.get();
+    if ( pivotPoint.y < this.unrotatedShape.minY ) {
       throw new Error( 'Pivot point cannot be below the plank.' );
     }
-    let attachmentBarVector = new Vector2( 0, this.unrotatedShape.bounds.y - this.pivotPoint.y );
-    attachmentBarVector = attachmentBarVector.rotated( this.tiltAngleProperty.get() );
-    this.bottomCenterPositionProperty.set( this.pivotPoint.plus( attachmentBarVector ) );
+
+    // The vector from the pivot point to the bottom center of the plank, which is only vertical when the pivot point is
+    // at the center of the plank.
+    let pivotToBottomCenterVector = new Vector2(
+      this.unrotatedShape.bounds.centerX - pivotPoint.x,
+      this.unrotatedShape.bounds.y - pivotPoint.y
+    );
+    pivotToBottomCenterVector = pivotToBottomCenterVector.rotated( this.tiltAngleProperty.get() );
+    this.tippingOffsetProperty.set( this.getTippingOffset() );
+    this.bottomCenterPositionProperty.set(
+      pivotPoint.plus( pivotToBottomCenterVector ).plus( this.tippingOffsetProperty.get() )
+    );
+
+    // A plank that has tipped over the single support column rotates about the point where it touches the column, so
+    // it must still be touching it, whichever end of the plank the column is under.
+    assert && !this.tippingOffsetProperty.get().equals( Vector2.ZERO ) && assert(
+      Math.abs( this.getSingleSupportClearance() ) < BASharedConstants.COMPARISON_TOLERANCE,
+      'plank came away from the support column that it tipped over'
+    );
   }
 
   /**
-   * Find the best open position for a mass that was dropped at the given point.  Returns null if no nearby open
+   * Find the best open position for a mass that was dropped at its current position.  Returns null if no nearby open
    * position is available.
-   * @param {Vector2} position
+   * @param {Mass} mass
    * @returns {Vector2|null}
    * @private
    */
-  getOpenMassDroppedPosition( position ) {
-    let closestOpenPosition = null;
-    const validMassPositions = this.getSnapToPositions();
-    if ( NUM_SNAP_TO_POSITIONS % 2 === 1 ) {
-
-      // Remove the position at the center of the plank from the set of candidates, since we don't want to allow users
-      // to place things there.
-      validMassPositions.splice( NUM_SNAP_TO_POSITIONS / 2, 1 );
+  getOpenMassDroppedPosition( mass ) {
+    if ( this.continuousPlacement ) {
+      return this.getContinuousMassDroppedPosition( mass );
     }
 
-    let candidateOpenPositions = [];
-
-    validMassPositions.forEach( validPosition => {
-      let occupiedOrTooFar = false;
-      if ( Math.abs( validPosition.x - position.x ) > INTER_SNAP_TO_MARKER_DISTANCE * 2 ) {
-        occupiedOrTooFar = true;
-      }
-      for ( let i = 0; i < this.massesOnSurface.length && !occupiedOrTooFar; i++ ) {
-        if ( this.massesOnSurface.get( i ).positionProperty.get().distance( validPosition ) < INTER_SNAP_TO_MARKER_DISTANCE / 10 ) {
-          occupiedOrTooFar = true;
-        }
-      }
-      if ( !occupiedOrTooFar ) {
-        candidateOpenPositions.push( validPosition );
+    const position = mass.positionProperty.get();
+    const pivotOffset = this.getPivotOffset();
+    const snapToPositions = this.getSnapToPositions();
+
+    let closestIndex = null;
+    snapToPositions.forEach( ( snapToPosition, index ) => {
+
+      // The position below the pivot point is not a candidate, since we don't want to allow users to place things
+      // there.  Candidates must also be a reasonable distance away in the horizontal direction so that objects don't
+      // appear to fall sideways.
+      const distanceFromCenter = this.getSnapToPositionDistance( index );
+      if ( Math.abs( distanceFromCenter - pivotOffset ) > this.distanceComparisonTolerance &&
+           Math.abs( snapToPosition.x - position.x ) <= this.interSnapToMarkerDistance &&
+           this.isSnapToPositionAvailable( mass, distanceFromCenter ) &&
+           ( closestIndex === null ||
+             snapToPosition.distance( position ) < snapToPositions[ closestIndex ].distance( position ) ) ) {
+        closestIndex = index;
       }
     } );
 
-    // Sort through the positions and eliminate those that are already occupied or too far away.
-    const copyOfCandidatePositions = candidateOpenPositions.slice( 0 );
-    for ( let i = 0; i < copyOfCandidatePositions.length; i++ ) {
-      for ( let j = 0; j < this.massesOnSurface.length; j++ ) {
-        if ( this.massesOnSurface.get( j ).positionProperty.get().distance( copyOfCandidatePositions[ i ] ) < INTER_SNAP_TO_MARKER_DISTANCE / 10 ) {
-          // This position is already occupied.
-          candidateOpenPositions = _.without( candidateOpenPositions, this.massesOnSurface[ j ] );
-        }
+    // If stacking is enabled, masses that are dropped at an occupied position are stacked on top of the masses that are
+    // already there.
+    return closestIndex === null ? null : this.getStackTopPosition( this.getSnapToPositionDistance( closestIndex ) );
+  }
+
+  /**
+   * Returns true if the provided mass could be placed at the provided snap-to position.  Point masses can be stacked on
+   * each other if stacking is enabled, but distributed masses block all of the positions that they cover, and they must
+   * be entirely on the plank.
+   * @param {Mass} mass
+   * @param {number} distanceFromCenter
+   * @returns {boolean}
+   * @private
+   */
+  isSnapToPositionAvailable( mass, distanceFromCenter ) {
+    const halfSpan = mass.isDistributed ? mass.getFootprintWidth() / 2 : 0;
+    if ( Math.abs( distanceFromCenter ) + halfSpan > this.length / 2 + this.distanceComparisonTolerance ) {
+      return false;
+    }
+    return _.every( this.massDistancePairs, massDistancePair => {
+      const otherMass = massDistancePair.mass;
+      if ( otherMass === mass || ( this.stackingEnabled && !mass.isDistributed && !otherMass.isDistributed ) ) {
+        return true;
       }
+      const otherHalfSpan = otherMass.isDistributed ? otherMass.getFootprintWidth() / 2 : 0;
+      return Math.abs( massDistancePair.distance - distanceFromCenter ) >
+             halfSpan + otherHalfSpan + this.distanceComparisonTolerance;
+    } );
+  }
+
+  /**
+   * Find the position on the plank surface directly below the dropped mass, used when continuous placement is enabled.
+   * If stacking is enabled and the mass is dropped near the center of another mass, it is stacked on top of it.
+   * Otherwise, if the mass would overlap with another mass on the plank, it is moved to the closest position where the
+   * two footprints are adjacent, but only if that is a short distance away so that the mass doesn't appear to fall
+   * sideways.  Returns null if no such position is available.
+   * @param {Mass} mass
+   * @returns {Vector2|null}
+   * @private
+   */
+  getContinuousMassDroppedPosition( mass ) {
+    const tiltAngle = this.tiltAngleProperty.get();
+    const plankSurfaceCenter = this.getPlankSurfaceCenter();
+    const halfFootprintWidth = mass.getFootprintWidth() / 2;
+
+    // The entire footprint of the mass must be on the plank.
+    const maxDistanceFromCenter = this.length / 2 - halfFootprintWidth;
+    if ( maxDistanceFromCenter < 0 ) {
+      return null;
     }
 
-    // Find the closest of the open positions.
-    candidateOpenPositions.forEach( candidateOpenPosition => {
+    // Project the position of the mass onto the plank surface to get the distance from the center where it would land.
+    const droppedDistance = Utils.clamp(
+      this.getDistanceAlongPlank( mass.positionProperty.get() ),
+      -maxDistanceFromCenter,
+      maxDistanceFromCenter
+    );
 
-      // Must be a reasonable distance away in the horizontal direction so that objects don't appear to fall sideways.
-      if ( Math.abs( candidateOpenPosition.x - position.x ) <= INTER_SNAP_TO_MARKER_DISTANCE ) {
-        // This position is a potential candidate.  Is it better than what was already found?
-        if ( closestOpenPosition === null || candidateOpenPosition.distance( position ) < closestOpenPosition.distance( position ) ) {
-          closestOpenPosition = candidateOpenPosition;
-        }
+    // If stacking is enabled and the mass was dropped near the center of another mass, stack it on top.  Distributed
+    // masses aren't stacked.
+    let massDistancePairToStackOn = null;
+    if ( this.stackingEnabled && !mass.isDistributed ) {
+      massDistancePairToStackOn = _.find( this.massDistancePairs, massDistancePair =>
+        massDistancePair.mass !== mass &&
+        !massDistancePair.mass.isDistributed &&
+        Math.abs( massDistancePair.distance - droppedDistance ) <= massDistancePair.mass.getFootprintWidth() / 4
+      );
+    }
+    if ( massDistancePairToStackOn ) {
+      return this.getStackTopPosition( massDistancePairToStackOn.distance );
+    }
+
+    // Collect the footprints of the other masses on the plank.
+    const occupiedFootprints = this.massDistancePairs
+      .filter( massDistancePair => massDistancePair.mass !== mass )
+      .map( massDistancePair => {
+        return {
+          distance: massDistancePair.distance,
+          halfWidth: massDistancePair.mass.getFootprintWidth() / 2
+        };
+      } );
+
+    const isOpen = distance => Math.abs( distance ) <= maxDistanceFromCenter &&
+                               _.every( occupiedFootprints, footprint =>
+                                 Math.abs( footprint.distance - distance ) >
+                                 footprint.halfWidth + halfFootprintWidth - BASharedConstants.COMPARISON_TOLERANCE
+                               );
+
+    // The candidates are the drop position itself and the positions just beside each of the other masses.
+    const candidateDistances = [ droppedDistance ];
+    occupiedFootprints.forEach( footprint => {
+      candidateDistances.push( footprint.distance - footprint.halfWidth - halfFootprintWidth );
+      candidateDistances.push( footprint.distance + footprint.halfWidth + halfFootprintWidth );
+    } );
+
+    let closestOpenDistance = null;
+    candidateDistances.forEach( candidateDistance => {
+      if ( isOpen( candidateDistance ) &&
+           Math.abs( candidateDistance - droppedDistance ) <= this.interSnapToMarkerDistance &&
+           ( closestOpenDistance === null ||
+             Math.abs( candidateDistance - droppedDistance ) < Math.abs( closestOpenDistance - droppedDistance ) ) ) {
+        closestOpenDistance = candidateDistance;
       }
     } );
-    return closestOpenPosition;
+
+    return closestOpenDistance === null ?
+           null :
+           plankSurfaceCenter.plus( Vector2.createPolar( closestOpenDistance, tiltAngle ) );
   }
 
   /**
@@ -443,12 +1176,333 @@ class Plank {
   }
 
   /**
-   * Force the plank to the max tilted position.  This is generally done when the single big support column is put into
-   * place.
+   * Force the plank to the position where it rests on the single support column, or to the max tilted position if
+   * there is no single support column.  This is generally done when the single column is put into place.
+   * @private
+   */
+  forceToSingleSupportAndStill() {
+    const restingAngle = this.getSingleSupportRestingAngle();
+    this.forceAngle( restingAngle === null ? this.getMaxTiltAngle( 1 ) : restingAngle );
+
+    // Whichever end of the plank the column is under, the plank now rests on it, or just above it if the other end
+    // reached the ground first.
+    assert && restingAngle !== null && assert(
+      this.getSingleSupportClearance() > -BASharedConstants.COMPARISON_TOLERANCE,
+      'plank went into the support column'
+    );
+  }
+
+  /**
+   * Move the pivot point to the snap-to position that is closest to the provided x value.  The plank is forced to the
+   * level position before the pivot point is moved, since the plank would otherwise need to jump to a new position.
+   * Positions that are occupied by masses are not available.
+   * @param {number} xPosition - in meters
+   * @public
+   */
+  movePivotPoint( xPosition ) {
+    const plankCenterX = this.unrotatedShape.bounds.centerX;
+    const occupiedDistances = this.massDistancePairs.map( massDistancePair => massDistancePair.distance );
+
+    let closestDistance = null;
+    _.times( this.numSnapToPositions, index => {
+      const candidateDistance = this.getSnapToPositionDistance( index );
+      const isOccupied = _.some( occupiedDistances, occupiedDistance =>
+        Math.abs( occupiedDistance - candidateDistance ) < this.distanceComparisonTolerance
+      );
+      if ( !isOccupied && ( closestDistance === null ||
+                            Math.abs( plankCenterX + candidateDistance - xPosition ) <
+                            Math.abs( plankCenterX + closestDistance - xPosition ) ) ) {
+        closestDistance = candidateDistance;
+      }
+    } );
+
+    if ( closestDistance !== null &&
+         Math.abs( closestDistance - this.getPivotOffset() ) > this.distanceComparisonTolerance ) {
+      this.forceToLevelAndStill();
+      this.pivotPointProperty.set( new Vector2( plankCenterX + closestDistance, this.pivotPointProperty.get().y ) );
+      this.updatePlank();
+      this.updateMassPositions();
+      this.updateNetTorque();
+    }
+  }
+
+  /**
+   * Move the pivot point to the provided distance from the center of the plank, see movePivotPoint.
+   * @param {number} distanceFromCenter - in meters
+   * @returns {boolean} - false if the pivot point can't be moved there, i.e. it isn't an open snap-to position
+   * @public
+   */
+  movePivotPointToDistance( distanceFromCenter ) {
+    this.movePivotPoint( this.unrotatedShape.bounds.centerX + distanceFromCenter );
+    return Math.abs( this.getPivotOffset() - distanceFromCenter ) < this.distanceComparisonTolerance;
+  }
+
+  /**
+   * Move the pivot point back to its initial position.
+   * @public
+   */
+  resetPivotPoint() {
+    this.movePivotPoint( this.pivotPointProperty.initialValue.x );
+  }
+
+  /**
+   * Get the horizontal distance from the center of the plank to the pivot point, positive if the pivot point is to the
+   * right of the center.  This is measured along the unrotated plank.
+   * @returns {number}
+   * @public
+   */
+  getPivotOffset() {
+    return this.pivotPointProperty.get().x - this.unrotatedShape.bounds.centerX;
+  }
+
+  /**
+   * Get the max angle at which the plank can tilt in the direction indicated by the sign of the provided angle before
+   * the end of the plank hits the ground.  This depends on the position of the pivot point, since the end that is
+   * farther from the pivot point hits the ground at a smaller angle.  NOTE: This assumes a small distance between the
+   * pivot point and the bottom of the plank.
+   * @param {number} tiltAngle - only the sign is used, positive is tilted left
+   * @returns {number}
+   * @public
+   */
+  getMaxTiltAngle( tiltAngle ) {
+    const pivotOffset = this.getPivotOffset();
+    const distanceToLoweredEnd = tiltAngle >= 0 ? this.length / 2 + pivotOffset : this.length / 2 - pivotOffset;
+    return Math.asin( Math.min( this.unrotatedShape.bounds.minY / distanceToLoweredEnd, 1 ) );
+  }
+
+  /**
+   * Get the angle at which the bottom of the plank touches the top of the single support column, limited to the angles
+   * the plank can reach without going into the ground.  The bottom of the plank is always the same distance from the
+   * pivot point, so this is the angle at which the line that it lies along goes through the top of the column.
+   * @returns {number|null} - null if there is no single support column, or if it's directly under the pivot point
+   * @private
+   */
+  getSingleSupportRestingAngle() {
+    const supportPoint = this.singleSupportPointProperty.get();
+    const pivotPoint = this.pivotPointProperty.get();
+    if ( supportPoint === null || supportPoint.x === pivotPoint.x ) {
+      return null;
+    }
+    const pivotToSupportVector = supportPoint.minus( pivotPoint );
+    const pivotToBottomDistance = pivotPoint.y - this.unrotatedShape.bounds.minY;
+    assert && assert( pivotToSupportVector.magnitude > pivotToBottomDistance,
+      'support column must be below the plank' );
+    const restingAngle = this.getSingleSupportSide() * (
+      Math.atan2( pivotToSupportVector.y, Math.abs( pivotToSupportVector.x ) ) +
+      Math.asin( pivotToBottomDistance / pivotToSupportVector.magnitude )
+    );
+    return Utils.clamp( restingAngle, -this.getMaxTiltAngle( -1 ), this.getMaxTiltAngle( 1 ) );
+  }
+
+  /**
+   * Get the side of the pivot point that the single support column is on.
+   * @returns {number} - 1 if the column is under the right side of the plank, -1 if it's under the left side
+   * @private
+   */
+  getSingleSupportSide() {
+    return this.singleSupportPointProperty.get().x > this.pivotPointProperty.get().x ? 1 : -1;
+  }
+
+  /**
+   * Get how far the plank has rotated away from the single support column.  This is positive when the plank has
+   * lifted off of the column, zero when it is resting on it, and negative when it has tipped over it, i.e. rotated
+   * about the point where it touches the column so that it has lifted off of the fulcrum.
+   * @returns {number|null} - in radians, null if the plank isn't on a single support column
+   * @private
+   */
+  getAngleFromSingleSupport() {
+    const restingAngle = this.columnState.value === ColumnState.SINGLE_COLUMN ?
+                         this.getSingleSupportRestingAngle() :
+                         null;
+    if ( restingAngle === null ) {
+      return null;
+    }
+    return this.getSingleSupportSide() * ( this.tiltAngleProperty.get() - restingAngle );
+  }
+
+  /**
+   * Get the distance from the top of the single support column to the bottom of the plank, measured perpendicular to
+   * the plank, which is zero when the plank is touching the column.
+   * @returns {number} - in meters, negative if the column is poking into the plank
+   * @private
+   */
+  getSingleSupportClearance() {
+    return this.bottomCenterPositionProperty.get().minus( this.singleSupportPointProperty.get() )
+      .dot( Vector2.createPolar( 1, this.tiltAngleProperty.get() + Math.PI / 2 ) );
+  }
+
+  /**
+   * Whether the plank rotates about the point where it touches the single support column instead of about the pivot
+   * point.  This is the case once it has tipped over the column, and when it is resting on the column and the net
+   * torque about the point of contact turns the side of the plank beyond the column down, unless the net torque about
+   * the pivot point lifts the plank off of the column first.
+   * @returns {boolean}
+   * @private
+   */
+  isPivotingOnSingleSupport() {
+    const angleFromSingleSupport = this.getAngleFromSingleSupport();
+    if ( angleFromSingleSupport === null || angleFromSingleSupport > 0 ) {
+      return false;
+    }
+    if ( angleFromSingleSupport < 0 ) {
+      return true;
+    }
+
+    // The plank can only tip over the column if it is touching it, which it isn't if the other end of the plank
+    // reached the ground first.
+    const side = this.getSingleSupportSide();
+    return Math.abs( this.getSingleSupportClearance() ) < BASharedConstants.COMPARISON_TOLERANCE &&
+           side * this.getNetTorqueAbout( this.pivotPointProperty.get() ) < 0 &&
+           side * this.getNetTorqueAbout( this.singleSupportPointProperty.get() ) < 0;
+  }
+
+  /**
+   * Get the point that the plank is currently rotating about, which is the pivot point unless the plank is pivoting
+   * on the single support column, see isPivotingOnSingleSupport.
+   * @returns {Vector2}
+   * @public
+   */
+  getActivePivotPoint() {
+    return this.isPivotingOnSingleSupport() ? this.singleSupportPointProperty.get() : this.pivotPointProperty.get();
+  }
+
+  /**
+   * Get the displacement of the plank from where rotating it about the pivot point by the tilt angle would put it.
+   * When the plank has tipped over the single support column, it has rotated about the pivot point until it came down
+   * on the column and then about the point of contact for the rest of the tilt angle.
+   * @returns {Vector2}
+   * @private
+   */
+  getTippingOffset() {
+    const angleFromSingleSupport = this.getAngleFromSingleSupport();
+    if ( angleFromSingleSupport === null || angleFromSingleSupport >= 0 ) {
+      return Vector2.ZERO;
+    }
+    const pivotPoint = this.pivotPointProperty.get();
+    const supportPoint = this.singleSupportPointProperty.get();
+    const tippedAngle = this.getSingleSupportSide() * angleFromSingleSupport;
+    return supportPoint.minus( pivotPoint ).plus( pivotPoint.minus( supportPoint ).rotated( tippedAngle ) );
+  }
+
+  /**
+   * Get the max tilt angle that the plank can reach by tipping over the single support column before the end of the
+   * plank beyond the column hits the ground.  NOTE: Like getMaxTiltAngle, this ignores the thickness of the plank.
+   * @returns {number} - in radians, the magnitude of the angle
+   * @private
+   */
+  getMaxTippingAngle() {
+    const supportPoint = this.singleSupportPointProperty.get();
+    const distanceToEnd = this.length / 2 - this.getSingleSupportSide() * this.getDistanceAlongPlank( supportPoint );
+    return Math.asin( Math.min( supportPoint.y / distanceToEnd, 1 ) );
+  }
+
+  /**
+   * Get the range of angles through which the plank can currently rotate.  Either end of the plank can come down until
+   * it hits the ground.  When there is a single support column, the side of the plank above it can come down until it
+   * rests on the column.  The contacts only push on the plank, so the plank is free to rotate away from any of them.
+   * Once the plank has tipped over the column, it can rotate about it until the end beyond the column hits the ground,
+   * or back until it lands on the fulcrum again.
+   * @returns {Range} - in radians, positive is tilted left
+   * @private
+   */
+  getTiltAngleRange() {
+    const tiltAngleRange = new Range( -this.getMaxTiltAngle( -1 ), this.getMaxTiltAngle( 1 ) );
+    if ( this.getAngleFromSingleSupport() !== null ) {
+      const restingAngle = this.getSingleSupportRestingAngle();
+      const side = this.getSingleSupportSide();
+      if ( this.isPivotingOnSingleSupport() ) {
+        const tippedAngleLimit = -side * this.getMaxTippingAngle();
+        tiltAngleRange.setMinMax(
+          Math.min( restingAngle, tippedAngleLimit ),
+          Math.max( restingAngle, tippedAngleLimit )
+        );
+      }
+      else if ( side > 0 ) {
+
+        // A column to the right of the pivot point stops the right side from going down, i.e. the angle from going
+        // lower, and a column to the left stops the left side from going down.
+        tiltAngleRange.setMin( restingAngle );
+      }
+      else {
+        tiltAngleRange.setMax( restingAngle );
+      }
+    }
+    return tiltAngleRange;
+  }
+
+  /**
+   * Whether the net torque on the plank is too small to move it noticeably.  A torque that presses the plank against
+   * the ground or a support column that it is resting on is balanced by the push from the contact, so it doesn't count.
+   * @returns {boolean}
+   * @private
+   */
+  isNetTorqueWithinTolerance() {
+    const angularAcceleration = this.getAngularAcceleration();
+    if ( Math.abs( angularAcceleration ) <= this.angularAccelerationThreshold ) {
+      return true;
+    }
+    const tiltAngleRange = this.getTiltAngleRange();
+    const tiltAngle = this.tiltAngleProperty.get();
+    return angularAcceleration > 0 ? tiltAngle >= tiltAngleRange.max : tiltAngle <= tiltAngleRange.min;
+  }
+
+  /**
+   * Get the angular acceleration of the plank due to the current net torque, in radians per second squared, positive if
+   * the left side is accelerating downward.
+   * @returns {number}
+   * @private
+   */
+  getAngularAcceleration() {
+
+    // A massless plank with nothing on it has no inertia, and there is nothing for it to turn.
+    const momentOfInertia = this.getMomentOfInertia();
+    return momentOfInertia > 0 ? this.currentNetTorque / momentOfInertia : 0;
+  }
+
+  /**
+   * Get the moment of inertia of the plank and the masses on its surface about the point that it is rotating about.
+   * The parallel axis theorem is used to account for the centers of the plank and the masses being away from that
+   * point.  The masses must be included so that a massless plank still has a finite angular acceleration, and so that
+   * a heavier load turns more slowly.
+   * @returns {number}
    * @private
    */
-  forceToMaxAndStill() {
-    this.forceAngle( this.maxTiltAngle );
+  getMomentOfInertia() {
+    const pivotPoint = this.getActivePivotPoint();
+    let momentOfInertia = this.momentOfInertia +
+                          this.mass * this.getPlankCenterOfMassPosition().distanceSquared( pivotPoint );
+    this.massesOnSurface.forEach( mass => {
+      momentOfInertia += mass.getMomentOfInertiaAboutCenterOfMass() +
+                         mass.massValue * mass.getCenterOfMassPosition().distanceSquared( pivotPoint );
+    } );
+    return momentOfInertia;
+  }
+
+  /**
+   * Get the position of the center of mass of the plank itself, which is half way between its bottom and top surfaces.
+   * @returns {Vector2}
+   * @private
+   */
+  getPlankCenterOfMassPosition() {
+    return this.bottomCenterPositionProperty.get().plus(
+      Vector2.createPolar( PLANK_THICKNESS / 2, this.tiltAngleProperty.get() + Math.PI / 2 )
+    );
+  }
+
+  /**
+   * Get the combined center of mass of the plank and all of the masses on its surface.  This is directly below the
+   * pivot point when the plank is in equilibrium, since that is where the net torque due to gravity is zero.
+   * @returns {Vector2|null} - null if there is no mass at all, i.e. a massless plank with nothing on it
+   * @public
+   */
+  getSystemCenterOfMassPosition() {
+    let totalMass = this.mass;
+    let weightedPositionSum = this.getPlankCenterOfMassPosition().times( this.mass );
+    this.massesOnSurface.forEach( mass => {
+      totalMass += mass.massValue;
+      weightedPositionSum = weightedPositionSum.plus( mass.getCenterOfMassPosition().times( mass.massValue ) );
+    } );
+    return totalMass > 0 ? weightedPositionSum.dividedScalar( totalMass ) : null;
   }
 
   /**
@@ -456,7 +1510,8 @@ class Plank {
    * @private
    */
   forceAngle( angle ) {
-    this.angularVelocity = 0;
+    this.angularVelocityProperty.set( 0 );
+    this.resetPeriodMeasurement();
     this.tiltAngleProperty.set( angle );
     this.updatePlank();
     this.updateMassPositions();
@@ -498,24 +1553,34 @@ class Plank {
    * @private
    */
   isPointAbovePlank( p ) {
-    const plankSpan = PLANK_LENGTH * Math.cos( this.tiltAngleProperty.get() );
+    const plankSpan = this.length * Math.cos( this.tiltAngleProperty.get() );
     const surfaceCenter = this.getPlankSurfaceCenter();
     return p.x >= surfaceCenter.x - ( plankSpan / 2 ) && p.x <= surfaceCenter.x + ( plankSpan / 2 ) && p.y > this.getSurfaceYValue( p.x );
   }
 
   /**
-   * Returns true if the masses and distances on the plank work out such that the plank is balanced, even if it is not
-   * yet in the level position. This does NOT pay attention to support columns.
+   * Get the distance of the mass from the pivot point as measured along the plank, negative if the mass is to the left
+   * of the pivot point.
+   * @param {Mass} mass
+   * @returns {number}
+   * @public
+   */
+  getMassDistanceFromPivot( mass ) {
+    return this.getMassDistanceFromCenter( mass ) - this.getPivotOffset();
+  }
+
+  /**
+   * Returns true if the net torque on the plank is zero at its current angle, meaning that the plank would stay where
+   * it is if it were released.  This does NOT pay attention to support columns.  When the pivot point is not at the
+   * center of the plank, the weight of the plank itself must be balanced too.  Forces from spring scales count too.
+   * @returns {boolean}
    * @public
    */
   isBalanced() {
-    let unCompensatedTorque = 0;
-    this.massesOnSurface.forEach( mass => {
-      unCompensatedTorque += mass.massValue * this.getMassDistanceFromCenter( mass );
-    } );
 
     // Account for floating point error, just make sure it is close enough.
-    return Math.abs( unCompensatedTorque ) < BASharedConstants.COMPARISON_TOLERANCE;
+    return Math.abs( this.getTorqueDueToMasses() + this.getTorqueDueToPlank() + this.getTorqueDueToSpringScales() ) <
+           BASharedConstants.COMPARISON_TOLERANCE;
   }
 
   /**
@@ -523,63 +1588,194 @@ class Plank {
    */
   updateNetTorque() {
     this.currentNetTorque = 0;
-    if ( this.columnState.value === ColumnState.NO_COLUMNS ) {
-
-      // Add the torque due to the masses on the surface of the plank.
-      this.currentNetTorque += this.getTorqueDueToMasses();
 
-      // Add in torque due to plank.
-      this.currentNetTorque += ( this.pivotPoint.x - this.bottomCenterPositionProperty.get().x ) * PLANK_MASS;
+    // The level support columns hold the plank in place, but a single column can only stop it from rotating one way.
+    if ( this.columnState.value !== ColumnState.DOUBLE_COLUMNS ) {
+      this.currentNetTorque += this.getNetTorqueAbout( this.getActivePivotPoint() );
     }
   }
 
   /**
+   * Get the net torque about the provided point due to the weights of the plank and the masses on it and the forces
+   * from the spring scales, in newton-meters, positive if it would tilt the left side down.
+   * @param {Vector2} point
+   * @returns {number}
+   * @private
+   */
+  getNetTorqueAbout( point ) {
+    let torque = this.getTorqueDueToWeight( this.getPlankCenterOfMassPosition(), this.mass, point ) +
+                 this.getTorqueDueToSpringScales( point );
+    this.massesOnSurface.forEach( mass => {
+      torque += this.getTorqueDueToWeight( mass.getCenterOfMassPosition(), mass.massValue, point );
+    } );
+    return torque;
+  }
+
+  /**
+   * Get the torque about the pivot point due to the weight of the masses on the plank, in newton-meters, positive if it
+   * would tilt the left side down.  This is t = r x F, where r is the vector from the pivot point to the center of mass
+   * of each mass and F is its weight, so it depends on the tilt angle and on how high each center of mass is.
    * @returns {number}
    * @public
    */
   getTorqueDueToMasses() {
     let torque = 0;
     this.massesOnSurface.forEach( mass => {
-      torque += this.pivotPoint.x - mass.positionProperty.get().x * mass.massValue;
+      torque += this.getTorqueDueToMass( mass );
     } );
     return torque;
   }
 
   /**
-   * @returns {Vector2[]}
+   * Get the torque about the pivot point due to the weight of a single mass, in newton-meters, positive if it would tilt
+   * the left side down.
+   * @param {Mass} mass
+   * @returns {number}
+   * @public
+   */
+  getTorqueDueToMass( mass ) {
+    return this.getTorqueDueToWeight( mass.getCenterOfMassPosition(), mass.massValue, this.pivotPointProperty.get() );
+  }
+
+  /**
+   * Get the torque about the pivot point due to the weight of the plank itself, in newton-meters.  Since the pivot
+   * point is above the plank, this torque tends to bring the plank back to the level position.
+   * @returns {number}
+   * @public
+   */
+  getTorqueDueToPlank() {
+    return this.getTorqueDueToWeight( this.getPlankCenterOfMassPosition(), this.mass, this.pivotPointProperty.get() );
+  }
+
+  /**
+   * Get the torque about the pivot point due to the forces applied by the spring scales that are hooked onto the plank,
+   * in newton-meters.  This is t = r x F, where r is the vector from the pivot point to the point where the scale is
+   * hooked on and F is the vertical force with which the scale pulls.
+   * @param {Vector2} [pivotPoint] - point about which the torque is found, the pivot point if not provided
+   * @returns {number}
+   * @public
+   */
+  getTorqueDueToSpringScales( pivotPoint = this.pivotPointProperty.get() ) {
+    let torque = 0;
+    this.springScaleDistancePairs.forEach( springScaleDistancePair => {
+      const displacement = this.getSpringScaleAttachmentPoint( springScaleDistancePair ).minus( pivotPoint );
+      torque += displacement.crossScalar( new Vector2( 0, springScaleDistancePair.springScale.forceProperty.get() ) );
+    } );
+    return torque;
+  }
+
+  /**
+   * Get all of the vertical forces on the plank other than those at the supports, i.e. the weights of the masses and
+   * the plank itself and the forces from the spring scales, along with the horizontal positions where they act.
+   * @returns {{x:number, force:number}[]} - x in meters, force in newtons, positive if upward
+   * @public
+   */
+  getVerticalLoads() {
+    const g = MassForceVector.ACCELERATION_DUE_TO_GRAVITY;
+    const loads = this.massesOnSurface.map( mass => ( {
+      x: mass.getCenterOfMassPosition().x,
+      force: mass.massValue * g
+    } ) );
+    loads.push( { x: this.getPlankCenterOfMassPosition().x, force: this.mass * g } );
+    this.springScaleDistancePairs.forEach( springScaleDistancePair => {
+      loads.push( {
+        x: this.getSpringScaleAttachmentPoint( springScaleDistancePair ).x,
+        force: springScaleDistancePair.springScale.forceProperty.get()
+      } );
+    } );
+    return loads;
+  }
+
+  /**
+   * Get the torque about the provided point, t = r x F, due to the weight of an object of the provided mass whose
+   * center of mass is at the provided position.
+   * @param {Vector2} centerOfMassPosition
+   * @param {number} massValue - in kg
+   * @param {Vector2} pivotPoint
+   * @returns {number} - in newton-meters, positive is counterclockwise, i.e. tilting the left side down
    * @private
    */
+  getTorqueDueToWeight( centerOfMassPosition, massValue, pivotPoint ) {
+    const displacement = centerOfMassPosition.minus( pivotPoint );
+    const force = new Vector2( 0, massValue * MassForceVector.ACCELERATION_DUE_TO_GRAVITY );
+    return displacement.crossScalar( force );
+  }
+
+  /**
+   * Get the positions on the surface of the plank where masses can be placed, from left to right.
+   * @returns {Vector2[]}
+   * @public
+   */
   getSnapToPositions() {
-    const snapToPositions = new Array( NUM_SNAP_TO_POSITIONS );
-    const rotationTransform = Matrix3.rotationAround(
-      this.tiltAngleProperty.get(),
-      this.pivotPoint.x,
-      this.pivotPoint.y
+    const snapToPositions = new Array( this.numSnapToPositions );
+    const pivotPoint = this.pivotPointProperty.get();
+    const tippingOffset = this.tippingOffsetProperty.get();
+    const rotationTransform = Matrix3.translation( tippingOffset.x, tippingOffset.y ).timesMatrix(
+      Matrix3.rotationAround( this.tiltAngleProperty.get(), pivotPoint.x, pivotPoint.y )
     );
     const unrotatedY = this.unrotatedShape.bounds.maxY;
     const unrotatedMinX = this.unrotatedShape.bounds.minX;
-    for ( let i = 0; i < NUM_SNAP_TO_POSITIONS; i++ ) {
-      const unrotatedPoint = new Vector2( unrotatedMinX + ( i + 1 ) * INTER_SNAP_TO_MARKER_DISTANCE, unrotatedY );
+    for ( let i = 0; i < this.numSnapToPositions; i++ ) {
+      const unrotatedPoint = new Vector2( unrotatedMinX + ( i + 1 ) * this.interSnapToMarkerDistance, unrotatedY );
       snapToPositions[ i ] = rotationTransform.timesVector2( unrotatedPoint );
     }
 
     return snapToPositions;
   }
+
+  /**
+   * Get the distance from the center of the plank to the snap-to position with the provided index, negative for
+   * positions to the left of center.
+   * @param {number} index
+   * @returns {number}
+   * @public
+   */
+  getSnapToPositionDistance( index ) {
+    return ( index + 1 ) * this.interSnapToMarkerDistance - this.length / 2;
+  }
+
+  /**
+   * Whether the snap-to positions, which are spaced evenly from the ends of the plank, are centered on a plank with the
+   * provided length, i.e. whether the length is a whole number of snap-to spacings.
+   * @param {number} length - in meters
+   * @param {number} interSnapToMarkerDistance - in meters
+   * @returns {boolean}
+   * @public
+   */
+  static isSnapToSpacingCentered( length, interSnapToMarkerDistance ) {
+    const numberOfSpacings = length / interSnapToMarkerDistance;
+    return Math.abs( numberOfSpacings - Utils.roundSymmetric( numberOfSpacings ) ) <
+           BASharedConstants.COMPARISON_TOLERANCE;
+  }
 }
 
-// static constants
-Plank.LENGTH = PLANK_LENGTH;
+// static constants - The length, mass and snap-to spacing are the values used when no options are provided to the
+// constructor, which is the case for the game, so the challenge factory uses these.
 Plank.THICKNESS = PLANK_THICKNESS;
-Plank.INTER_SNAP_TO_MARKER_DISTANCE = INTER_SNAP_TO_MARKER_DISTANCE;
-Plank.NUM_SNAP_TO_POSITIONS = NUM_SNAP_TO_POSITIONS;
-Plank.MAX_VALID_MASS_DISTANCE_FROM_CENTER = ( NUM_SNAP_TO_POSITIONS - 1 ) * INTER_SNAP_TO_MARKER_DISTANCE / 2;
+Plank.ANGULAR_DAMPING_RATE_RANGE = ANGULAR_DAMPING_RATE_RANGE;
+Plank.DEFAULT_LENGTH = DEFAULT_PLANK_LENGTH;
+Plank.DEFAULT_MASS = DEFAULT_PLANK_MASS;
+Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE = DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE;
+Plank.DEFAULT_MAX_VALID_MASS_DISTANCE_FROM_CENTER =
+  ( Math.floor( DEFAULT_PLANK_LENGTH / DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE - 1 ) - 1 ) *
+  DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE / 2;
 
 Plank.PlankIO = new IOType( 'PlankIO', {
   valueType: Plank,
+  documentation: 'The plank and the masses on it.  The tilt angle is in radians, positive when the left side is ' +
+                 'down, and the angular velocity is in radians/s.  The masses are listed in the order in which they ' +
+                 'were placed, each with its distance from the center of the plank in meters.  The distances are ' +
+                 'multiples of the snap-to spacing unless continuous placement is enabled, but any distance on the ' +
+                 'plank can be set.  The spring scales that are hooked onto the plank are listed the same way, ' +
+                 'though they can only be at snap-to positions.',
   stateSchema: {
-    massDistancePairs: ArrayIO( ObjectLiteralIO ) // TODO https://github.com/phetsims/balancing-act/issues/130 more specific schema
+    tiltAngle: NumberIO,
+    angularVelocity: NumberIO,
+    massDistancePairs: ArrayIO( MassDistancePairIO ),
+    springScaleDistancePairs: ArrayIO( SpringScaleDistancePairIO )
   },
-  toStateObject: plank => plank.toStateObject()
+  toStateObject: plank => plank.toStateObject(),
+  applyState: ( plank, stateObject ) => plank.applyState( stateObject )
 } );
 
 balancingAct.register( 'Plank', Plank );
@@ -0,0 +1,328 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The history of the changes that the user has made to the setup of the plank, i.e. masses put on, taken off of or
+ * moved along the plank, spring scales hooked onto or unhooked from the plank or pulling with a different force, and
+ * changes to the support columns, which allows the changes to be undone and redone.  Each entry holds the column
+ * state, the masses and spring scales that were on the plank and where, and where the other masses were resting.
+ *
+ * The masses on the plank are kept along with their descriptions, see BalanceModel.getScenarioMassDescription, since
+ * a mass that is taken off of the plank may be removed from the model, e.g. when it goes back to the toolbox.  Undoing
+ * or redoing a change that puts such a mass back on the plank creates it again through the model, and the new mass
+ * takes the place of the old one throughout the history.  Masses that come off of the plank go back to where they were
+ * resting, or are put away through the model if they weren't resting anywhere.  The masses are put on and taken off
+ * of the plank one at a time, so undoing and redoing shows up in the data stream like the changes that the user makes.
+ *
+ * Changes are noticed through the plank's emitters and the column state, but they aren't recorded until no masses or
+ * spring scales are being dragged, so that moving a mass from one position on the plank to another, which takes it off
+ * of the plank and puts it back on, is recorded as a single change.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import balancingAct from '../../balancingAct.js';
+
+// constants
+const MAX_UNDO_STEPS = 50; // the most changes that can be undone, older ones are forgotten
+
+class PlankEditHistory {
+
+  /**
+   * @param {BalanceModel} model
+   */
+  constructor( model ) {
+
+    // @private
+    this.model = model;
+
+    // @private {Object[]} - setups that undo and redo go back to, the most recent at the end, see getSetup
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // @private {Object} - the setup that the plank is currently in, as far as the history knows
+    this.currentSetup = this.getSetup();
+
+    // @private - whether something has changed since the current setup was recorded
+    this.changePending = false;
+
+    // @public (read-only) - whether there are any changes that can be undone or redone
+    this.canUndoProperty = new BooleanProperty( false );
+    this.canRedoProperty = new BooleanProperty( false );
+
+    const noteChange = () => { this.changePending = true; };
+    model.plank.massDroppedOnPlankEmitter.addListener( noteChange );
+    model.plank.massRemovedFromPlankEmitter.addListener( noteChange );
+    model.columnStateProperty.lazyLink( noteChange );
+    model.plank.springScalesOnPlank.addItemAddedListener( springScale => {
+      noteChange();
+      springScale.forceProperty.lazyLink( noteChange );
+    } );
+    model.plank.springScalesOnPlank.addItemRemovedListener( springScale => {
+      noteChange();
+      springScale.forceProperty.unlink( noteChange );
+    } );
+
+    // A mass that is removed from the model isn't resting anywhere anymore, though it can still be put back on the
+    // plank from its description.
+    model.massList.addItemRemovedListener( mass => {
+      [ ...this.undoStack, ...this.redoStack, this.currentSetup ].forEach( setup => {
+        setup.massPositions.delete( mass );
+      } );
+    } );
+  }
+
+  /**
+   * Record any change that has been made since the last time this was called, as long as the user isn't in the middle
+   * of moving a mass or spring scale.
+   * @public
+   */
+  step() {
+    if ( this.changePending && !this.isUserMovingSomething() ) {
+      this.changePending = false;
+      const setup = this.getSetup();
+      if ( !isSameSetup( setup, this.currentSetup ) ) {
+        pushLimited( this.undoStack, this.currentSetup );
+        this.redoStack.length = 0;
+        this.currentSetup = setup;
+        this.updateAvailability();
+      }
+    }
+  }
+
+  /**
+   * Go back to the setup before the most recent change.
+   * @public
+   */
+  undo() {
+    this.step();
+    if ( this.undoStack.length > 0 && !this.isUserMovingSomething() ) {
+      pushLimited( this.redoStack, this.currentSetup );
+      this.restore( this.undoStack.pop() );
+    }
+  }
+
+  /**
+   * Make the most recently undone change again.
+   * @public
+   */
+  redo() {
+    this.step();
+    if ( this.redoStack.length > 0 && !this.isUserMovingSomething() ) {
+      pushLimited( this.undoStack, this.currentSetup );
+      this.restore( this.redoStack.pop() );
+    }
+  }
+
+  /**
+   * Forget all of the changes, and start over from the current setup of the plank.  This is done when the plank is set
+   * up in some way other than by the user, such as when the sim is reset or the PhET-iO state is set.
+   * @public
+   */
+  clear() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+    this.currentSetup = this.getSetup();
+    this.changePending = false;
+    this.updateAvailability();
+  }
+
+  /**
+   * @returns {boolean}
+   * @private
+   */
+  isUserMovingSomething() {
+    return this.model.userControlledMasses.length > 0 ||
+           _.some( this.model.springScales, springScale => springScale.userControlledProperty.get() );
+  }
+
+  /**
+   * Get the current setup, i.e. the column state, the masses on the plank along with their descriptions and their
+   * distances from its center in the order that they were put on it, the spring scales on the plank along with their
+   * distances and forces, and the positions of the other masses that are resting somewhere in the model.
+   * @returns {{columnState:ColumnState, massDistancePairs:Array.<{mass:Mass, description:Object, distance:number}>,
+   *            springScaleDistancePairs:Array.<{springScale:SpringScale, distance:number, force:number}>,
+   *            massPositions:Map}}
+   * @private
+   */
+  getSetup() {
+    const massPositions = new Map();
+    this.model.massList.forEach( mass => {
+      if ( !mass.onPlankProperty.get() && !mass.animatingProperty.get() && !mass.userControlledProperty.get() ) {
+        massPositions.set( mass, mass.positionProperty.get() );
+      }
+    } );
+    const plankSetup = this.model.plank.getSetup();
+    return {
+      columnState: this.model.columnStateProperty.get(),
+      massDistancePairs: plankSetup.massDistancePairs.map( massDistancePair => ( {
+        mass: massDistancePair.mass,
+        description: this.model.getScenarioMassDescription( massDistancePair.mass ),
+        distance: massDistancePair.distance
+      } ) ),
+      springScaleDistancePairs: getSpringScaleDistancePairs( this.model.plank ),
+      massPositions: massPositions
+    };
+  }
+
+  /**
+   * Set the plank up as it was.  The masses at the bottom of the order that are where the setup has them stay on the
+   * plank, the masses above them are taken off, and then the rest of the masses in the setup are put on in its order,
+   * so that stacks are rebuilt the same way.  The plank keeps moving as it was, so it reacts to the change.
+   * @param {Object} setup - see getSetup
+   * @private
+   */
+  restore( setup ) {
+    const model = this.model;
+    const plank = model.plank;
+
+    model.columnStateProperty.set( setup.columnState );
+
+    // Masses that have been removed from the model, or that are on their way out of it, e.g. back to the toolbox, are
+    // created again.
+    setup.massDistancePairs.forEach( massDistancePair => {
+      const mass = massDistancePair.mass;
+      if ( !model.massList.includes( mass ) || mass.animatingProperty.get() ) {
+        this.replaceMass( mass, model.createScenarioMass( massDistancePair.description ), setup );
+      }
+    } );
+
+    const currentPairs = plank.massDistancePairs;
+    let numberOfMassesToKeep = 0;
+    while ( numberOfMassesToKeep < Math.min( currentPairs.length, setup.massDistancePairs.length ) &&
+            isSamePair( currentPairs[ numberOfMassesToKeep ], setup.massDistancePairs[ numberOfMassesToKeep ] ) ) {
+      numberOfMassesToKeep++;
+    }
+    const massesToTakeOff = currentPairs.slice( numberOfMassesToKeep ).map( massDistancePair => massDistancePair.mass );
+
+    // The masses are taken off from the top of the order down, so that the masses below them don't move.
+    massesToTakeOff.slice().reverse().forEach( mass => plank.removeMassFromSurface( mass ) );
+    setup.massDistancePairs.slice( numberOfMassesToKeep ).forEach( massDistancePair => {
+      plank.putMassOnSurfaceAt( massDistancePair.mass, massDistancePair.distance );
+    } );
+    massesToTakeOff.forEach( mass => {
+      if ( !mass.onPlankProperty.get() ) {
+        if ( setup.massPositions.has( mass ) ) {
+          mass.positionProperty.set( setup.massPositions.get( mass ) );
+        }
+        else {
+          model.removeScenarioMass( mass );
+        }
+      }
+    } );
+
+    if ( !isSameSpringScaleSetup( setup.springScaleDistancePairs, getSpringScaleDistancePairs( plank ) ) ) {
+      plank.removeAllSpringScales();
+      setup.springScaleDistancePairs.forEach( springScaleDistancePair => {
+        springScaleDistancePair.springScale.forceProperty.set( springScaleDistancePair.force );
+        plank.addSpringScaleToPlankAt( springScaleDistancePair.springScale, springScaleDistancePair.distance );
+      } );
+      model.springScales.forEach( springScale => {
+        !springScale.attachedProperty.get() && springScale.returnToRestingPosition();
+      } );
+    }
+
+    // Setting up the plank triggers the listeners that note changes, but this is not a change to be recorded.
+    this.currentSetup = this.getSetup();
+    this.changePending = false;
+    this.updateAvailability();
+  }
+
+  /**
+   * Use a new mass in place of one that has been removed from the model, in the provided setup and all of the setups
+   * in the history.
+   * @param {Mass} oldMass
+   * @param {Mass} newMass
+   * @param {Object} restoredSetup - see getSetup
+   * @private
+   */
+  replaceMass( oldMass, newMass, restoredSetup ) {
+    [ ...this.undoStack, ...this.redoStack, this.currentSetup, restoredSetup ].forEach( setup => {
+      setup.massDistancePairs.forEach( massDistancePair => {
+        if ( massDistancePair.mass === oldMass ) {
+          massDistancePair.mass = newMass;
+        }
+      } );
+    } );
+  }
+
+  /**
+   * @private
+   */
+  updateAvailability() {
+    this.canUndoProperty.set( this.undoStack.length > 0 );
+    this.canRedoProperty.set( this.redoStack.length > 0 );
+  }
+}
+
+/**
+ * Get the spring scales that are on the plank along with their distances from its center and their forces.
+ * @param {Plank} plank
+ * @returns {Array.<{springScale:SpringScale, distance:number, force:number}>}
+ */
+function getSpringScaleDistancePairs( plank ) {
+  return plank.springScaleDistancePairs.map( springScaleDistancePair => ( {
+    springScale: springScaleDistancePair.springScale,
+    distance: springScaleDistancePair.distance,
+    force: springScaleDistancePair.springScale.forceProperty.get()
+  } ) );
+}
+
+/**
+ * Whether two setups have the same column state, the same masses at the same places on the plank and the same spring
+ * scales at the same places with the same forces.  Where the other masses are doesn't matter, since masses that aren't
+ * on the plank can be moving around, e.g. back to the toolbox.
+ * @param {Object} setup1 - see PlankEditHistory.getSetup
+ * @param {Object} setup2
+ * @returns {boolean}
+ */
+function isSameSetup( setup1, setup2 ) {
+  return setup1.columnState === setup2.columnState &&
+         setup1.massDistancePairs.length === setup2.massDistancePairs.length &&
+         _.every( setup1.massDistancePairs, ( massDistancePair, index ) =>
+           isSamePair( massDistancePair, setup2.massDistancePairs[ index ] )
+         ) &&
+         isSameSpringScaleSetup( setup1.springScaleDistancePairs, setup2.springScaleDistancePairs );
+}
+
+/**
+ * Whether two mass-distance pairs have the same mass at the same distance from the center of the plank.
+ * @param {{mass:Mass, distance:number}} massDistancePair1
+ * @param {{mass:Mass, distance:number}} massDistancePair2
+ * @returns {boolean}
+ */
+function isSamePair( massDistancePair1, massDistancePair2 ) {
+  return massDistancePair1.mass === massDistancePair2.mass &&
+         massDistancePair1.distance === massDistancePair2.distance;
+}
+
+/**
+ * Whether the same spring scales are at the same places on the plank with the same forces.
+ * @param {Object[]} springScaleDistancePairs1 - see getSpringScaleDistancePairs
+ * @param {Object[]} springScaleDistancePairs2
+ * @returns {boolean}
+ */
+function isSameSpringScaleSetup( springScaleDistancePairs1, springScaleDistancePairs2 ) {
+  return springScaleDistancePairs1.length === springScaleDistancePairs2.length &&
+         _.every( springScaleDistancePairs1, ( springScaleDistancePair, index ) =>
+           springScaleDistancePair.springScale === springScaleDistancePairs2[ index ].springScale &&
+           springScaleDistancePair.distance === springScaleDistancePairs2[ index ].distance &&
+           springScaleDistancePair.force === springScaleDistancePairs2[ index ].force
+         );
+}
+
+/**
+ * Add a setup to the end of an undo or redo stack, forgetting the oldest one if the stack is full.
+ * @param {Object[]} stack
+ * @param {Object} setup
+ */
+function pushLimited( stack, setup ) {
+  stack.push( setup );
+  if ( stack.length > MAX_UNDO_STEPS ) {
+    stack.shift();
+  }
+}
+
+balancingAct.register( 'PlankEditHistory', PlankEditHistory );
+
+export default PlankEditHistory;
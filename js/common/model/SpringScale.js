@@ -0,0 +1,89 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model for a spring scale, a tool that can be hooked onto the plank at any of the snap-to positions and that pulls on
+ * the plank with a force that is set by the user.  The force can be upward or downward, so the scale can be used to
+ * balance the plank in place of a mass, or to show that the torque due to a force depends on where it is applied.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import PhetioObject from '../../../../tandem/js/PhetioObject.js';
+import balancingAct from '../../balancingAct.js';
+
+// constants
+const FORCE_RANGE = new Range( -100, 100 ); // in newtons, positive is upward
+const FORCE_DELTA = 5; // in newtons, the amount by which the user can change the force at a time
+
+class SpringScale extends PhetioObject {
+
+  /**
+   * @param {Vector2} initialPosition - position of the hook when the scale is in its resting place
+   * @param {Tandem} tandem
+   */
+  constructor( initialPosition, tandem ) {
+
+    // instrumented so that the plank can refer to the scales that are hooked onto it in its state
+    super( {
+      tandem: tandem,
+      phetioState: false,
+      phetioDocumentation: 'A spring scale that can be hooked onto the plank, see the state of the plank for where.'
+    } );
+
+    // @public - Position of the hook at the bottom of the scale in model space, which is the point where the force is
+    // applied when the scale is hooked onto the plank.
+    this.positionProperty = new Vector2Property( initialPosition, {
+      tandem: tandem.createTandem( 'positionProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public - The force with which the scale pulls on whatever it is hooked onto, positive if the pull is upward.
+    this.forceProperty = new NumberProperty( 0, {
+      range: FORCE_RANGE,
+      units: 'N',
+      tandem: tandem.createTandem( 'forceProperty' )
+    } );
+
+    // @public - whether the scale is currently being moved around by the user
+    this.userControlledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'userControlledProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) - whether the scale is hooked onto the plank, set by the plank
+    this.attachedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'attachedProperty' ),
+      phetioReadOnly: true
+    } );
+  }
+
+  /**
+   * Put the scale back in its resting place, which is done when the user drops it somewhere other than on the plank.
+   * @public
+   */
+  returnToRestingPosition() {
+    this.positionProperty.reset();
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.positionProperty.reset();
+    this.forceProperty.reset();
+    this.userControlledProperty.reset();
+    this.attachedProperty.reset();
+  }
+}
+
+// static constants
+SpringScale.FORCE_RANGE = FORCE_RANGE;
+SpringScale.FORCE_DELTA = FORCE_DELTA;
+
+balancingAct.register( 'SpringScale', SpringScale );
+
+export default SpringScale;
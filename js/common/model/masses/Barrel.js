@@ -14,9 +14,10 @@ class Barrel extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, barrel_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, barrel_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
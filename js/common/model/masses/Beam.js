@@ -0,0 +1,115 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Class that represents a uniform beam, i.e. a long, thin object whose mass is spread evenly along its length.  Unlike
+ * the other masses, which act as point loads, a beam covers a range of positions on the plank.  The torque due to a
+ * uniformly distributed load is the integral of the torques due to each small piece of the beam, which works out to be
+ * the same as the torque due to the entire weight acting at the center of the beam, so the center of mass is used for
+ * the torque calculations.  The beam's moment of inertia about its own center, on the other hand, does affect how the
+ * plank moves.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../../dot/js/Vector2.js';
+import { Shape } from '../../../../../kite/js/imports.js';
+import merge from '../../../../../phet-core/js/merge.js';
+import Tandem from '../../../../../tandem/js/Tandem.js';
+import IOType from '../../../../../tandem/js/types/IOType.js';
+import NumberIO from '../../../../../tandem/js/types/NumberIO.js';
+import balancingAct from '../../../balancingAct.js';
+import Mass from '../Mass.js';
+
+// constants
+const BEAM_THICKNESS = 0.06; // In meters.
+
+class Beam extends Mass {
+
+  /**
+   * @param {number} length - in meters
+   * @param {number} massValue - in kg
+   * @param {Vector2} initialPosition
+   * @param {Object} [options]
+   */
+  constructor( length, massValue, initialPosition, options ) {
+    assert && assert( length > 0, 'beam length must be positive' );
+
+    options = merge( {
+      phetioType: Beam.BeamIO
+    }, options );
+
+    initialPosition = initialPosition || Vector2.ZERO; // Default initial position.
+    super( massValue, initialPosition, false, options );
+
+    // @public (read-only)
+    this.length = length;
+    this.isDistributed = true;
+
+    // @public (read-only) - Shape of the beam, with the origin at the bottom center, which is the position of the mass.
+    this.shape = Shape.rect( -length / 2, 0, length, BEAM_THICKNESS );
+  }
+
+  /**
+   * @public
+   */
+  createCopy() {
+    return new Beam( this.length, this.massValue, this.positionProperty.get(), { tandem: Tandem.OPT_OUT } );
+  }
+
+  /**
+   * @public
+   */
+  getMiddlePoint() {
+    return this.shape.bounds.center.rotated( this.rotationAngleProperty.get() ).plus( this.positionProperty.get() );
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getFootprintWidth() {
+    return this.length;
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getHeight() {
+    return BEAM_THICKNESS;
+  }
+
+  /**
+   * Moment of inertia of a uniform rectangular bar about its center.
+   * @returns {number}
+   * @public
+   * @override
+   */
+  getMomentOfInertiaAboutCenterOfMass() {
+    return this.massValue * ( this.length * this.length + BEAM_THICKNESS * BEAM_THICKNESS ) / 12;
+  }
+}
+
+// static constants
+Beam.THICKNESS = BEAM_THICKNESS;
+
+Beam.BeamIO = new IOType( 'BeamIO', {
+  valueType: Beam,
+  supertype: Mass.MassIO,
+  documentation: 'A uniform beam whose mass is spread evenly along its length, which is in meters.',
+  stateSchema: {
+    length: NumberIO
+  },
+  toStateObject: beam => merge( Mass.MassIO.toStateObject( beam ), {
+    length: beam.length
+  } ),
+  stateToArgsForConstructor: stateObject => [
+    stateObject.length,
+    stateObject.massValue,
+    Vector2.Vector2IO.fromStateObject( stateObject.position )
+  ]
+} );
+
+balancingAct.register( 'Beam', Beam );
+
+export default Beam;
@@ -8,6 +8,10 @@
 
 import Vector2 from '../../../../../dot/js/Vector2.js';
 import { Shape } from '../../../../../kite/js/imports.js';
+import merge from '../../../../../phet-core/js/merge.js';
+import Tandem from '../../../../../tandem/js/Tandem.js';
+import IOType from '../../../../../tandem/js/types/IOType.js';
+import NumberIO from '../../../../../tandem/js/types/NumberIO.js';
 import balancingAct from '../../../balancingAct.js';
 import Mass from '../Mass.js';
 
@@ -27,6 +31,10 @@ class BrickStack extends Mass {
 
     if ( numBricks <= 0 ) { throw new Error( 'Must have at least one brick in stack' ); }
 
+    options = merge( {
+      phetioType: BrickStack.BrickStackIO
+    }, options );
+
     initialPosition = initialPosition || Vector2.ZERO; // Default initial position.
     super( numBricks * BRICK_MASS, initialPosition, false, options );
 
@@ -47,7 +55,23 @@ class BrickStack extends Mass {
    * @public
    */
   createCopy() {
-    return new BrickStack( this.numBricks, this.positionProperty.get() );
+    return new BrickStack( this.numBricks, this.positionProperty.get(), { tandem: Tandem.OPT_OUT } );
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getFootprintWidth() {
+    return BRICK_WIDTH;
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getHeight() {
+    return this.shape.bounds.height;
   }
 
   /**
@@ -62,6 +86,22 @@ class BrickStack extends Mass {
 BrickStack.BRICK_MASS = BRICK_MASS;
 BrickStack.BRICK_HEIGHT = BRICK_HEIGHT;
 
+BrickStack.BrickStackIO = new IOType( 'BrickStackIO', {
+  valueType: BrickStack,
+  supertype: Mass.MassIO,
+  documentation: 'A stack of one or more bricks, each of which has a mass of ' + BRICK_MASS + ' kg.',
+  stateSchema: {
+    numberOfBricks: NumberIO
+  },
+  toStateObject: brickStack => merge( Mass.MassIO.toStateObject( brickStack ), {
+    numberOfBricks: brickStack.numBricks
+  } ),
+  stateToArgsForConstructor: stateObject => [
+    stateObject.numberOfBricks,
+    Vector2.Vector2IO.fromStateObject( stateObject.position )
+  ]
+} );
+
 balancingAct.register( 'BrickStack', BrickStack );
 
 export default BrickStack;
\ No newline at end of file
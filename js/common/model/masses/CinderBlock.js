@@ -14,12 +14,15 @@ class CinderBlock extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, cinderBlock_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, cinderBlock_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
+CinderBlock.HEIGHT = HEIGHT;
+
 balancingAct.register( 'CinderBlock', CinderBlock );
 
 export default CinderBlock;
\ No newline at end of file
@@ -14,9 +14,10 @@ class Crate extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, woodCrateTall_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, woodCrateTall_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -0,0 +1,116 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Class that represents a box whose mass, label and color are chosen by the user.  The box gets bigger as the mass
+ * increases, as if all of the boxes were made of the same material, so that heavier boxes look heavier.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../../dot/js/Vector2.js';
+import { Shape } from '../../../../../kite/js/imports.js';
+import merge from '../../../../../phet-core/js/merge.js';
+import Tandem from '../../../../../tandem/js/Tandem.js';
+import IOType from '../../../../../tandem/js/types/IOType.js';
+import StringIO from '../../../../../tandem/js/types/StringIO.js';
+import balancingAct from '../../../balancingAct.js';
+import Mass from '../Mass.js';
+
+// constants
+const REFERENCE_MASS = 10; // In kg.
+const REFERENCE_SIZE = 0.25; // Width and height of a box with the reference mass, in meters.
+
+class CustomMass extends Mass {
+
+  /**
+   * @param {number} massValue - in kg
+   * @param {string} labelText - text shown on the box, empty for none
+   * @param {string} color - fill color of the box
+   * @param {Vector2} initialPosition
+   * @param {Object} [options]
+   */
+  constructor( massValue, labelText, color, initialPosition, options ) {
+    assert && assert( massValue > 0, 'mass must be positive' );
+
+    options = merge( {
+      phetioType: CustomMass.CustomMassIO
+    }, options );
+
+    initialPosition = initialPosition || Vector2.ZERO; // Default initial position.
+    super( massValue, initialPosition, false, options );
+
+    // @public (read-only)
+    this.labelText = labelText;
+    this.color = color;
+
+    // @public (read-only) - Shape of the box, with the origin at the bottom center, which is the position of the mass.
+    const size = CustomMass.getSize( massValue );
+    this.shape = Shape.rect( -size / 2, 0, size, size );
+  }
+
+  /**
+   * @public
+   */
+  createCopy() {
+    return new CustomMass( this.massValue, this.labelText, this.color, this.positionProperty.get(), {
+      tandem: Tandem.OPT_OUT
+    } );
+  }
+
+  /**
+   * @public
+   */
+  getMiddlePoint() {
+    return this.shape.bounds.center.rotated( this.rotationAngleProperty.get() ).plus( this.positionProperty.get() );
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getFootprintWidth() {
+    return this.shape.bounds.width;
+  }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getHeight() {
+    return this.shape.bounds.height;
+  }
+
+  /**
+   * Get the width and height of a box with the provided mass.  The volume is proportional to the mass.
+   * @param {number} massValue - in kg
+   * @returns {number} - in meters
+   * @public
+   */
+  static getSize( massValue ) {
+    return REFERENCE_SIZE * Math.cbrt( massValue / REFERENCE_MASS );
+  }
+}
+
+CustomMass.CustomMassIO = new IOType( 'CustomMassIO', {
+  valueType: CustomMass,
+  supertype: Mass.MassIO,
+  documentation: 'A box with a mass, label and color chosen by the user.',
+  stateSchema: {
+    labelText: StringIO,
+    color: StringIO
+  },
+  toStateObject: customMass => merge( Mass.MassIO.toStateObject( customMass ), {
+    labelText: customMass.labelText,
+    color: customMass.color
+  } ),
+  stateToArgsForConstructor: stateObject => [
+    stateObject.massValue,
+    stateObject.labelText,
+    stateObject.color,
+    Vector2.Vector2IO.fromStateObject( stateObject.position )
+  ]
+} );
+
+balancingAct.register( 'CustomMass', CustomMass );
+
+export default CustomMass;
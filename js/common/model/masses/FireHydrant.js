@@ -14,9 +14,10 @@ class FireHydrant extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, fireHydrant_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, fireHydrant_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -14,9 +14,10 @@ class FlowerPot extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, flowerPot_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, flowerPot_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -22,9 +22,17 @@ const SITTING_CENTER_OF_MASS_X_OFFSET = 0.11; // In meters, determined visually.
 
 class Girl extends HumanMass {
 
-  constructor() {
+  /**
+   * @param {Vector2} [initialPosition]
+   * @param {boolean} [isMystery]
+   * @param {Object} [options]
+   */
+  constructor( initialPosition, isMystery, options ) {
     super( MASS, girlStanding_png, STANDING_HEIGHT, girlSitting_png, SITTING_HEIGHT,
-      Vector2.ZERO, SITTING_CENTER_OF_MASS_X_OFFSET, false );
+      initialPosition || Vector2.ZERO, SITTING_CENTER_OF_MASS_X_OFFSET, !!isMystery, options );
+
+    // @public (read-only) - used to recreate this person when the PhET-iO state is set
+    this.humanType = 'girl';
   }
 }
 
@@ -8,8 +8,13 @@
  * @author John Blanco
  */
 
+import Vector2 from '../../../../../dot/js/Vector2.js';
+import merge from '../../../../../phet-core/js/merge.js';
+import IOType from '../../../../../tandem/js/types/IOType.js';
+import StringIO from '../../../../../tandem/js/types/StringIO.js';
 import balancingAct from '../../../balancingAct.js';
 import ImageMass from '../ImageMass.js';
+import Mass from '../Mass.js';
 
 class HumanMass extends ImageMass {
 
@@ -22,9 +27,23 @@ class HumanMass extends ImageMass {
    * @param {Vector2} initialPosition
    * @param {number} sittingCenterOfMassXOffset
    * @param {boolean} isMystery
+   * @param {Object} [options]
    */
-  constructor( massValue, standingImage, standingHeight, sittingImage, sittingHeight, initialPosition, sittingCenterOfMassXOffset, isMystery ) {
-    super( massValue, standingImage, standingHeight, initialPosition, isMystery );
+  constructor( massValue, standingImage, standingHeight, sittingImage, sittingHeight, initialPosition, sittingCenterOfMassXOffset, isMystery, options ) {
+
+    options = merge( {
+      phetioType: HumanMass.HumanMassIO
+    }, options );
+
+    super( massValue, standingImage, standingHeight, initialPosition, isMystery, options );
+
+    // @public (read-only) {string} - identifies the type of person so that it can be recreated from the PhET-iO state,
+    // set by subclasses
+    this.humanType = null;
+
+    // @private - used to determine the footprint, since humans always sit when placed on the plank
+    this.sittingImage = sittingImage;
+    this.sittingHeight = sittingHeight;
 
     // Monitor the 'onPlank' property and update the image as changes occur.
     this.onPlankProperty.link( onPlank => {
@@ -43,8 +62,36 @@ class HumanMass extends ImageMass {
       }
     } );
   }
+
+  /**
+   * Humans sit down when placed on the plank, so the footprint is always that of the sitting image, even while the
+   * human is being dragged and is shown standing.
+   * @returns {number}
+   * @public
+   * @override
+   */
+  getFootprintWidth() {
+    return ImageMass.getImageWidth( this.sittingImage, this.sittingHeight );
+  }
 }
 
+HumanMass.HumanMassIO = new IOType( 'HumanMassIO', {
+  valueType: HumanMass,
+  supertype: Mass.MassIO,
+  documentation: 'A person who can be placed on the plank.  People stand when they are off of the plank and sit when ' +
+                 'they are on it.',
+  stateSchema: {
+    humanType: StringIO
+  },
+  toStateObject: humanMass => merge( Mass.MassIO.toStateObject( humanMass ), {
+    humanType: humanMass.humanType
+  } ),
+  stateToArgsForConstructor: stateObject => [
+    stateObject.humanType,
+    Vector2.Vector2IO.fromStateObject( stateObject.position )
+  ]
+} );
+
 balancingAct.register( 'HumanMass', HumanMass );
 
 export default HumanMass;
\ No newline at end of file
@@ -14,9 +14,10 @@ class LargeBucket extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, metalBucket_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, metalBucket_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -20,9 +20,17 @@ const SITTING_CENTER_OF_MASS_X_OFFSET = 0.1; // In meters, determined visually.
 
 class Man extends HumanMass {
 
-  constructor() {
+  /**
+   * @param {Vector2} [initialPosition]
+   * @param {boolean} [isMystery]
+   * @param {Object} [options]
+   */
+  constructor( initialPosition, isMystery, options ) {
     super( MASS, manStanding_png, STANDING_HEIGHT, manSitting_png, SITTING_HEIGHT,
-      Vector2.ZERO, SITTING_CENTER_OF_MASS_X_OFFSET, false );
+      initialPosition || Vector2.ZERO, SITTING_CENTER_OF_MASS_X_OFFSET, !!isMystery, options );
+
+    // @public (read-only) - used to recreate this person when the PhET-iO state is set
+    this.humanType = 'man';
   }
 }
 
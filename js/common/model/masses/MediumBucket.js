@@ -14,9 +14,10 @@ class MediumBucket extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, yellowBucket_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, yellowBucket_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
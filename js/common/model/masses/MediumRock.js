@@ -14,9 +14,10 @@ class MediumRock extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, rock1_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, rock1_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -14,9 +14,10 @@ class MediumTrashCan extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, trashCan_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, trashCan_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
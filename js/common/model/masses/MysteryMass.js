@@ -6,7 +6,11 @@
  * mass values.
  */
 
+import Vector2 from '../../../../../dot/js/Vector2.js';
 import merge from '../../../../../phet-core/js/merge.js';
+import Tandem from '../../../../../tandem/js/Tandem.js';
+import IOType from '../../../../../tandem/js/types/IOType.js';
+import NumberIO from '../../../../../tandem/js/types/NumberIO.js';
 import mysteryObject01_png from '../../../../images/mysteryObject01_png.js';
 import mysteryObject02_png from '../../../../images/mysteryObject02_png.js';
 import mysteryObject03_png from '../../../../images/mysteryObject03_png.js';
@@ -18,6 +22,7 @@ import mysteryObject08_png from '../../../../images/mysteryObject08_png.js';
 import balancingAct from '../../../balancingAct.js';
 import BalancingActStrings from '../../../BalancingActStrings.js';
 import BAQueryParameters from '../../BAQueryParameters.js';
+import Mass from '../Mass.js';
 import LabeledImageMass from './LabeledImageMass.js';
 
 const massLabelAString = BalancingActStrings.massLabelA;
@@ -103,7 +108,9 @@ class MysteryMass extends LabeledImageMass {
    */
   constructor( initialPosition, mysteryMassId, options ) {
     assert && assert( typeof mysteryMassId === 'number', 'mysteryMassId must be a number' );
-    const config = merge( options, MYSTERY_MASS_CONFIGURATIONS[ mysteryMassId ] );
+    const config = merge( {
+      phetioType: MysteryMass.MysteryMassIO
+    }, options, MYSTERY_MASS_CONFIGURATIONS[ mysteryMassId ] );
 
     super( initialPosition, config );
     this.mysteryMassId = mysteryMassId;
@@ -113,10 +120,30 @@ class MysteryMass extends LabeledImageMass {
    * @public
    */
   createCopy() {
-    return new MysteryMass( this.positionProperty.get(), this.mysteryMassId );
+    return new MysteryMass( this.positionProperty.get(), this.mysteryMassId, { tandem: Tandem.OPT_OUT } );
   }
 }
 
+// static constants
+MysteryMass.NUMBER_OF_MYSTERY_MASSES = MYSTERY_MASS_CONFIGURATIONS.length;
+
+MysteryMass.MysteryMassIO = new IOType( 'MysteryMassIO', {
+  valueType: MysteryMass,
+  supertype: Mass.MassIO,
+  documentation: 'A mass whose value is not shown, so that it must be determined using the balance.  The ID ' +
+                 'identifies which of the mystery masses it is.',
+  stateSchema: {
+    mysteryMassId: NumberIO
+  },
+  toStateObject: mysteryMass => merge( Mass.MassIO.toStateObject( mysteryMass ), {
+    mysteryMassId: mysteryMass.mysteryMassId
+  } ),
+  stateToArgsForConstructor: stateObject => [
+    Vector2.Vector2IO.fromStateObject( stateObject.position ),
+    stateObject.mysteryMassId
+  ]
+} );
+
 balancingAct.register( 'MysteryMass', MysteryMass );
 
 export default MysteryMass;
\ No newline at end of file
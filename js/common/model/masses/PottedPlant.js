@@ -14,9 +14,10 @@ class PottedPlant extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, pottedPlant_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, pottedPlant_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -14,9 +14,10 @@ class Puppy extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, puppy_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, puppy_png, HEIGHT, initialPosition, isMystery, options );
     this.centerOfMassXOffset = 0.03; // Empirically determined.
   }
 }
@@ -14,9 +14,10 @@ class SmallBucket extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, blueBucket_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, blueBucket_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -14,9 +14,10 @@ class SodaBottle extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, sodaBottle_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, sodaBottle_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
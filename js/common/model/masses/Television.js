@@ -14,9 +14,10 @@ class Television extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, oldTelevision_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, oldTelevision_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -14,9 +14,10 @@ class TinyRock extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, tinyRock_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, tinyRock_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -14,9 +14,10 @@ class Tire extends ImageMass {
   /**
    * @param initialPosition
    * @param isMystery
+   * @param {Object} [options]
    */
-  constructor( initialPosition, isMystery ) {
-    super( MASS, tire_png, HEIGHT, initialPosition, isMystery );
+  constructor( initialPosition, isMystery, options ) {
+    super( MASS, tire_png, HEIGHT, initialPosition, isMystery, options );
   }
 }
 
@@ -20,9 +20,17 @@ const SITTING_HEIGHT = 0.825; // In meters.
 const SITTING_CENTER_OF_MASS_X_OFFSET = 0.1; // In meters, determined visually.  Update if image changes.
 
 class Woman extends HumanMass {
-  constructor() {
+  /**
+   * @param {Vector2} [initialPosition]
+   * @param {boolean} [isMystery]
+   * @param {Object} [options]
+   */
+  constructor( initialPosition, isMystery, options ) {
     super( MASS, womanStanding_png, STANDING_HEIGHT, womanSitting_png, SITTING_HEIGHT,
-      Vector2.ZERO, SITTING_CENTER_OF_MASS_X_OFFSET, false );
+      initialPosition || Vector2.ZERO, SITTING_CENTER_OF_MASS_X_OFFSET, !!isMystery, options );
+
+    // @public (read-only) - used to recreate this person when the PhET-iO state is set
+    this.humanType = 'woman';
   }
 }
 
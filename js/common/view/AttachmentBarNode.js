@@ -7,6 +7,8 @@
  * @author John Blanco
  */
 
+import Multilink from '../../../../axon/js/Multilink.js';
+import Matrix3 from '../../../../dot/js/Matrix3.js';
 import { Circle, Node, Rectangle } from '../../../../scenery/js/imports.js';
 import balancingAct from '../../balancingAct.js';
 
@@ -22,36 +24,42 @@ class AttachmentBarNode extends Node {
    */
   constructor( modelViewTransform, plank ) {
     super();
-    const pivotPointPosInView = modelViewTransform.modelToViewPosition( plank.pivotPoint );
 
-    // Add the bar, which goes from the pivot point to the bottom of the plank.
+    // Add the bar, which goes from the pivot point to the bottom of the plank.  It is defined relative to the pivot
+    // point so that it can follow the pivot point if it moves.
     const attachmentBarLength = modelViewTransform.modelToViewDeltaY(
-      plank.bottomCenterPositionProperty.get().y - plank.pivotPoint.y
+      plank.unrotatedShape.bounds.minY - plank.pivotPointProperty.get().y
     );
-    const attachmentBar = new Rectangle( pivotPointPosInView.x - ATTACHMENT_BAR_WIDTH / 2, pivotPointPosInView.y, ATTACHMENT_BAR_WIDTH,
-      attachmentBarLength, 0, 0, { fill: 'rgb( 200, 200, 200 )', stroke: 'rgb( 50, 50, 50 )' } );
+    const attachmentBar = new Rectangle( -ATTACHMENT_BAR_WIDTH / 2, 0, ATTACHMENT_BAR_WIDTH, attachmentBarLength, 0, 0, {
+      fill: 'rgb( 200, 200, 200 )',
+      stroke: 'rgb( 50, 50, 50 )'
+    } );
     this.addChild( attachmentBar );
 
-    // Rotate the bar as the plank tilts.
-    let nodeRotation = 0;
-    plank.tiltAngleProperty.link( angle => {
-      attachmentBar.rotateAround( pivotPointPosInView, nodeRotation - angle );
-      nodeRotation = angle;
+    // Add the pivot point, which is represented as a circle with a point in the middle.
+    const pivotNode = new Node( {
+      children: [
+        new Circle( PIVOT_RADIUS, {
+          fill: 'rgb( 220, 220, 220 )',
+          stroke: 'black',
+          lineWidth: 1
+        } ),
+        new Circle( 1, { fill: 'black' } )
+      ]
     } );
+    this.addChild( pivotNode );
 
-    // Add the pivot point, which is represented as a circle with a point in the middle.
-    this.addChild( new Circle( PIVOT_RADIUS,
-      {
-        fill: 'rgb( 220, 220, 220 )',
-        stroke: 'black',
-        lineWidth: 1,
-        center: pivotPointPosInView
-      } ) );
-    this.addChild( new Circle( 1,
-      {
-        fill: 'black',
-        center: pivotPointPosInView
-      } ) );
+    // Move the bar and pivot with the pivot point, and rotate the bar as the plank tilts.  The bar is attached to the
+    // plank, so both lift off of the fulcrum with it when it tips over a support column.
+    Multilink.multilink(
+      [ plank.tiltAngleProperty, plank.pivotPointProperty, plank.tippingOffsetProperty ],
+      ( tiltAngle, pivotPoint, tippingOffset ) => {
+        const pivotPointPosInView = modelViewTransform.modelToViewPosition( pivotPoint.plus( tippingOffset ) );
+        attachmentBar.matrix = Matrix3.translation( pivotPointPosInView.x, pivotPointPosInView.y )
+          .timesMatrix( Matrix3.rotation2( -tiltAngle ) );
+        pivotNode.center = pivotPointPosInView;
+      }
+    );
   }
 }
 
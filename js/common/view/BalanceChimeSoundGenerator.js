@@ -0,0 +1,78 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A chime that is played when the plank comes to rest level with nothing holding it up, i.e. when the masses on it are
+ * balanced.  Being held level by the support columns doesn't count, but taking the columns away from a balanced plank
+ * does, since the plank then stays level on its own.  An empty plank doesn't chime, since nothing is being balanced.
+ *
+ * @author agent
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import merge from '../../../../phet-core/js/merge.js';
+import SoundGenerator from '../../../../tambo/js/sound-generators/SoundGenerator.js';
+import balancingAct from '../../balancingAct.js';
+import ColumnState from '../model/ColumnState.js';
+
+// constants
+const PARTIAL_FREQUENCIES = [ 880, 1320, 1760 ]; // Hz, a fundamental and two harmonics, like a small bell
+const PARTIAL_LEVELS = [ 1, 0.5, 0.25 ];
+const DURATION = 1.2; // seconds
+
+class BalanceChimeSoundGenerator extends SoundGenerator {
+
+  /**
+   * @param {Plank} plank
+   * @param {Property.<ColumnState>} columnStateProperty
+   * @param {Object} [options]
+   */
+  constructor( plank, columnStateProperty, options ) {
+
+    options = merge( {
+      initialOutputLevel: 0.2
+    }, options );
+
+    super( options );
+
+    // The tilt angle and the angular velocity are set one after the other, so the plank is only at rest once both are
+    // zero.
+    let restingBalanced = null;
+    Multilink.multilink(
+      [ plank.tiltAngleProperty, plank.angularVelocityProperty, columnStateProperty ],
+      ( tiltAngle, angularVelocity, columnState ) => {
+        const wasRestingBalanced = restingBalanced;
+        restingBalanced = tiltAngle === 0 && angularVelocity === 0 && columnState === ColumnState.NO_COLUMNS &&
+                          plank.massesOnSurface.length > 0;
+        if ( restingBalanced && wasRestingBalanced === false ) {
+          this.playChime();
+        }
+      }
+    );
+  }
+
+  /**
+   * @private
+   */
+  playChime() {
+    const now = this.audioContext.currentTime;
+    PARTIAL_FREQUENCIES.forEach( ( frequency, index ) => {
+      const oscillator = this.audioContext.createOscillator();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      const envelope = this.audioContext.createGain();
+      envelope.gain.setValueAtTime( PARTIAL_LEVELS[ index ], now );
+
+      // The higher partials die away sooner, as they do for a real bell.
+      envelope.gain.exponentialRampToValueAtTime( 0.001, now + DURATION / ( index + 1 ) );
+
+      oscillator.connect( envelope );
+      envelope.connect( this.soundSourceDestination );
+      oscillator.start( now );
+      oscillator.stop( now + DURATION );
+    } );
+  }
+}
+
+balancingAct.register( 'BalanceChimeSoundGenerator', BalanceChimeSoundGenerator );
+
+export default BalanceChimeSoundGenerator;
@@ -0,0 +1,145 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Creates the descriptions of the masses, the plank and the supports that are read by screen readers.  The values of
+ * mystery masses are never included, since finding them out is the point of the screens that have them.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import ColumnState from '../model/ColumnState.js';
+
+const mysteryObjectString = BalancingActStrings.mysteryObject;
+const pattern0KilogramObject1LabelString = BalancingActStrings.pattern0KilogramObject1Label;
+const pattern0KilogramObjectString = BalancingActStrings.pattern0KilogramObject;
+const pattern0LeftSideMassesString = BalancingActStrings.pattern0LeftSideMasses;
+const pattern0Mass1DistanceString = BalancingActStrings.pattern0Mass1Distance;
+const pattern0MassAtPivotString = BalancingActStrings.pattern0MassAtPivot;
+const pattern0MysteryObjectString = BalancingActStrings.pattern0MysteryObject;
+const pattern0RightSideMassesString = BalancingActStrings.pattern0RightSideMasses;
+const plankBalancedDescriptionString = BalancingActStrings.plankBalancedDescription;
+const plankEmptyDescriptionString = BalancingActStrings.plankEmptyDescription;
+const plankLeftOnGroundDescriptionString = BalancingActStrings.plankLeftOnGroundDescription;
+const plankLevelDescriptionString = BalancingActStrings.plankLevelDescription;
+const plankRightOnGroundDescriptionString = BalancingActStrings.plankRightOnGroundDescription;
+const plankTiltedLeftDescriptionString = BalancingActStrings.plankTiltedLeftDescription;
+const plankTiltedRightDescriptionString = BalancingActStrings.plankTiltedRightDescription;
+const singleSupportDescriptionString = BalancingActStrings.singleSupportDescription;
+const supportsOffDescriptionString = BalancingActStrings.supportsOffDescription;
+const supportsOnDescriptionString = BalancingActStrings.supportsOnDescription;
+
+// constants
+const DISTANCE_DECIMAL_PLACES = 2; // matches the distance labels, see MassDistanceLabelNode
+
+const BalanceDescriber = {
+
+  /**
+   * Describe a mass with a known value, such as one that is still in a toolbox.
+   * @param {number} massValue - in kg
+   * @returns {string}
+   * @public
+   */
+  getMassValueDescription( massValue ) {
+    return StringUtils.format( pattern0KilogramObjectString, massValue );
+  },
+
+  /**
+   * Describe a mass, e.g. "20 kilogram object" or "mystery object A".
+   * @param {Mass} mass
+   * @returns {string}
+   * @public
+   */
+  getMassDescription( mass ) {
+    if ( mass.isMystery ) {
+      return mass.labelText ? StringUtils.format( pattern0MysteryObjectString, mass.labelText ) : mysteryObjectString;
+    }
+    else if ( mass.labelText ) {
+      return StringUtils.format( pattern0KilogramObject1LabelString, mass.massValue, mass.labelText );
+    }
+    return BalanceDescriber.getMassValueDescription( mass.massValue );
+  },
+
+  /**
+   * Describe what is on each side of the pivot, with the distance of each mass from the pivot, nearest first.
+   * @param {Plank} plank
+   * @returns {string}
+   * @public
+   */
+  getMassesDescription( plank ) {
+    const massDescriptions = plank.massesOnSurface.map( mass => {
+      const distance = Utils.toFixedNumber( plank.getMassDistanceFromPivot( mass ), DISTANCE_DECIMAL_PLACES );
+      const massDescription = BalanceDescriber.getMassDescription( mass );
+      const description = distance === 0 ?
+                          StringUtils.format( pattern0MassAtPivotString, massDescription ) :
+                          StringUtils.format(
+                            pattern0Mass1DistanceString,
+                            massDescription,
+                            Utils.toFixed( Math.abs( distance ), DISTANCE_DECIMAL_PLACES )
+                          );
+      return { description: description, distance: distance };
+    } );
+    if ( massDescriptions.length === 0 ) {
+      return plankEmptyDescriptionString;
+    }
+
+    const sortedDescriptions = _.sortBy( massDescriptions, massDescription => Math.abs( massDescription.distance ) );
+
+    // Masses directly above the pivot are listed with the left side.
+    const sideDescriptions = [];
+    const leftSide = sortedDescriptions.filter( massDescription => massDescription.distance <= 0 );
+    const rightSide = sortedDescriptions.filter( massDescription => massDescription.distance > 0 );
+    if ( leftSide.length > 0 ) {
+      sideDescriptions.push( StringUtils.format(
+        pattern0LeftSideMassesString,
+        leftSide.map( massDescription => massDescription.description ).join( '; ' )
+      ) );
+    }
+    if ( rightSide.length > 0 ) {
+      sideDescriptions.push( StringUtils.format(
+        pattern0RightSideMassesString,
+        rightSide.map( massDescription => massDescription.description ).join( '; ' )
+      ) );
+    }
+    return sideDescriptions.join( ' ' );
+  },
+
+  /**
+   * @param {ColumnState} columnState
+   * @returns {string}
+   * @public
+   */
+  getColumnStateDescription( columnState ) {
+    return columnState === ColumnState.DOUBLE_COLUMNS ? supportsOnDescriptionString :
+           columnState === ColumnState.SINGLE_COLUMN ? singleSupportDescriptionString :
+           supportsOffDescriptionString;
+  },
+
+  /**
+   * Describe how the plank is tilted.  A level plank is only described as balanced when nothing is holding it up.
+   * @param {Plank} plank
+   * @param {ColumnState} columnState
+   * @returns {string}
+   * @public
+   */
+  getTiltDescription( plank, columnState ) {
+    const tiltAngle = plank.tiltAngleProperty.get();
+    if ( Math.abs( tiltAngle ) < plank.levelAngleThreshold ) {
+      return columnState === ColumnState.NO_COLUMNS ? plankBalancedDescriptionString : plankLevelDescriptionString;
+    }
+    const onGround = Math.abs( tiltAngle ) >= plank.getMaxTiltAngle( tiltAngle ) - plank.levelAngleThreshold;
+    if ( tiltAngle > 0 ) {
+      return onGround ? plankLeftOnGroundDescriptionString : plankTiltedLeftDescriptionString;
+    }
+    else {
+      return onGround ? plankRightOnGroundDescriptionString : plankTiltedRightDescriptionString;
+    }
+  }
+};
+
+balancingAct.register( 'BalanceDescriber', BalanceDescriber );
+
+export default BalanceDescriber;
@@ -20,28 +20,49 @@ import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import { HBox, HStrut, Node, Text, VBox, VStrut } from '../../../../scenery/js/imports.js';
 import Panel from '../../../../sun/js/Panel.js';
 import VerticalCheckboxGroup from '../../../../sun/js/VerticalCheckboxGroup.js';
+import SoundLevelEnum from '../../../../tambo/js/SoundLevelEnum.js';
+import soundManager from '../../../../tambo/js/soundManager.js';
 import balancingAct from '../../balancingAct.js';
 import BalancingActStrings from '../../BalancingActStrings.js';
 import BASharedConstants from '../BASharedConstants.js';
 import PositionIndicatorChoice from '../model/PositionIndicatorChoice.js';
 import AttachmentBarNode from './AttachmentBarNode.js';
+import BalanceChimeSoundGenerator from './BalanceChimeSoundGenerator.js';
+import BalanceDescriber from './BalanceDescriber.js';
+import CenterOfMassNode from './CenterOfMassNode.js';
 import ColumnOnOffController from './ColumnOnOffController.js';
+import FulcrumDragHandler from './FulcrumDragHandler.js';
 import FulcrumNode from './FulcrumNode.js';
 import LevelIndicatorNode from './LevelIndicatorNode.js';
 import LevelSupportColumnNode from './LevelSupportColumnNode.js';
+import MassDistanceLabelNode from './MassDistanceLabelNode.js';
+import MassKeyboardDragListener from './MassKeyboardDragListener.js';
+import MassLandingSoundGenerator from './MassLandingSoundGenerator.js';
 import MassNodeFactory from './MassNodeFactory.js';
+import MassTorqueLabelNode from './MassTorqueLabelNode.js';
 import MysteryVectorNode from './MysteryVectorNode.js';
+import PlankCreakSoundGenerator from './PlankCreakSoundGenerator.js';
+import PlankDescriptionNode from './PlankDescriptionNode.js';
 import PlankNode from './PlankNode.js';
 import PositionedVectorNode from './PositionedVectorNode.js';
 import PositionIndicatorControlPanel from './PositionIndicatorControlPanel.js';
 import PositionMarkerSetNode from './PositionMarkerSetNode.js';
 import RotatingRulerNode from './RotatingRulerNode.js';
+import ScenarioFileButtons from './ScenarioFileButtons.js';
+import SupportColumnDragHandler from './SupportColumnDragHandler.js';
+import SupportReactionForceNode from './SupportReactionForceNode.js';
+import TiltToneSoundGenerator from './TiltToneSoundGenerator.js';
+import TorqueEquationAccordionBox from './TorqueEquationAccordionBox.js';
+import TorquePanel from './TorquePanel.js';
+import UndoRedoButtons from './UndoRedoButtons.js';
 
 // strings
+const centerOfMassString = BalancingActStrings.centerOfMass;
 const forcesFromObjectsString = BalancingActStrings.forcesFromObjects;
 const levelString = BalancingActStrings.level;
 const massLabelsString = BalancingActStrings.massLabels;
 const showString = BalancingActStrings.show;
+const torquesString = BalancingActStrings.torques;
 
 // constants
 const X_MARGIN_IN_PANELS = 5;
@@ -55,7 +76,10 @@ class BasicBalanceScreenView extends ScreenView {
    * @param {Tandem} tandem
    */
   constructor( model, tandem ) {
-    super( { layoutBounds: BASharedConstants.LAYOUT_BOUNDS } );
+    super( {
+      layoutBounds: BASharedConstants.LAYOUT_BOUNDS,
+      screenSummaryContent: new PlankDescriptionNode( model.plank, model.columnStateProperty )
+    } );
     const self = this;
     this.model = model;
 
@@ -70,6 +94,15 @@ class BasicBalanceScreenView extends ScreenView {
       levelIndicatorVisibleProperty: new BooleanProperty( false, {
         tandem: tandem.createTandem( 'levelIndicatorVisibleProperty' )
       } ),
+      torquesVisibleProperty: new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'torquesVisibleProperty' )
+      } ),
+      centerOfMassVisibleProperty: new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'centerOfMassVisibleProperty' )
+      } ),
+      torqueEquationExpandedProperty: new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'torqueEquationExpandedProperty' )
+      } ),
       positionMarkerStateProperty: new EnumerationDeprecatedProperty( PositionIndicatorChoice, PositionIndicatorChoice.NONE, {
         tandem: tandem.createTandem( 'positionMarkerStateProperty' )
       } )
@@ -113,6 +146,9 @@ class BasicBalanceScreenView extends ScreenView {
     // @private {Map.<Mass,Node>} - a map of masses to their corresponding view elements
     this.massesToNodesMap = new Map();
 
+    // @private {Map.<Mass,MassKeyboardDragListener>} - the listeners that allow the masses to be moved with the keyboard
+    this.massesToKeyboardDragListenersMap = new Map();
+
     const handleMassAdded = addedMass => {
 
       // Create and add the view representation for this mass.
@@ -126,6 +162,14 @@ class BasicBalanceScreenView extends ScreenView {
       massesLayer.addChild( massNode );
       this.massesToNodesMap.set( addedMass, massNode );
 
+      // Allow the mass to be picked up and moved along the plank with the keyboard.
+      const keyboardDragListener = new MassKeyboardDragListener( addedMass, model.plank );
+      massNode.tagName = 'div';
+      massNode.focusable = true;
+      massNode.accessibleName = BalanceDescriber.getMassDescription( addedMass );
+      massNode.addInputListener( keyboardDragListener );
+      this.massesToKeyboardDragListenersMap.set( addedMass, keyboardDragListener );
+
       // Move the mass to the front when grabbed so that layering stays reasonable.
       addedMass.userControlledProperty.link( userControlled => {
         if ( userControlled ) {
@@ -138,6 +182,7 @@ class BasicBalanceScreenView extends ScreenView {
         if ( removedMass === addedMass ) {
           massesLayer.removeChild( massNode );
           this.massesToNodesMap.delete( removedMass );
+          this.massesToKeyboardDragListenersMap.delete( removedMass );
           model.massList.removeItemRemovedListener( removalListener );
         }
       };
@@ -151,16 +196,31 @@ class BasicBalanceScreenView extends ScreenView {
     model.massList.addItemAddedListener( handleMassAdded );
 
     // Add graphics for the plank, the fulcrum, the attachment bar, and the columns.
-    this.nonMassLayer.addChild( new FulcrumNode( modelViewTransform, model.fulcrum ) );
+    const fulcrumNode = new FulcrumNode( modelViewTransform, model.fulcrum );
+    if ( model.fulcrumMovable ) {
+      fulcrumNode.cursor = 'pointer';
+      fulcrumNode.addInputListener( new FulcrumDragHandler( model.plank, modelViewTransform ) );
+    }
+    this.nonMassLayer.addChild( fulcrumNode );
     const plankNode = new PlankNode( modelViewTransform, model.plank );
     this.nonMassLayer.addChild( plankNode );
     this.nonMassLayer.addChild( new AttachmentBarNode( modelViewTransform, model.plank ) );
     model.supportColumns.forEach( supportColumn => {
-      this.nonMassLayer.addChild( new LevelSupportColumnNode(
+      const levelSupportColumnNode = new LevelSupportColumnNode(
         modelViewTransform,
         supportColumn,
         model.columnStateProperty
-      ) );
+      );
+      if ( model.supportsMovable ) {
+        levelSupportColumnNode.cursor = 'pointer';
+        levelSupportColumnNode.addInputListener(
+          new SupportColumnDragHandler( model, supportColumn, modelViewTransform )
+        );
+      }
+      this.nonMassLayer.addChild( levelSupportColumnNode );
+      if ( model.supportsMovable ) {
+        this.nonMassLayer.addChild( new SupportReactionForceNode( supportColumn, modelViewTransform ) );
+      }
     } );
 
     // Add the ruler.
@@ -184,6 +244,54 @@ class BasicBalanceScreenView extends ScreenView {
     } );
     this.nonMassLayer.addChild( levelIndicatorNode );
 
+    // When masses can be placed anywhere on the plank, label each mass on the plank with its distance from the pivot.
+    if ( model.plank.continuousPlacement ) {
+      const massDistanceLabelLayer = new Node();
+      this.nonMassLayer.addChild( massDistanceLabelLayer );
+      model.plank.massesOnSurface.addItemAddedListener( addedMass => {
+        const massDistanceLabelNode = new MassDistanceLabelNode( addedMass, model.plank, modelViewTransform );
+        massDistanceLabelLayer.addChild( massDistanceLabelNode );
+
+        // Remove the label when the mass is removed from the plank.
+        model.plank.massesOnSurface.addItemRemovedListener( function massRemovalListener( removedMass ) {
+          if ( removedMass === addedMass ) {
+            massDistanceLabelLayer.removeChild( massDistanceLabelNode );
+            massDistanceLabelNode.dispose();
+            model.plank.massesOnSurface.removeItemRemovedListener( massRemovalListener );
+          }
+        } );
+      } );
+    }
+
+    // Label each mass on the plank with the torque due to its weight.  These labels go in front of the masses, since they
+    // are centered on them.
+    const massTorqueLabelLayer = new Node();
+    root.addChild( massTorqueLabelLayer );
+    this.viewProperties.torquesVisibleProperty.link( visible => {
+      massTorqueLabelLayer.visible = visible;
+    } );
+    model.plank.massesOnSurface.addItemAddedListener( addedMass => {
+      const massTorqueLabelNode = new MassTorqueLabelNode( addedMass, model.plank, modelViewTransform );
+      massTorqueLabelLayer.addChild( massTorqueLabelNode );
+
+      // Remove the label when the mass is removed from the plank.
+      model.plank.massesOnSurface.addItemRemovedListener( function massRemovalListener( removedMass ) {
+        if ( removedMass === addedMass ) {
+          massTorqueLabelLayer.removeChild( massTorqueLabelNode );
+          massTorqueLabelNode.dispose();
+          model.plank.massesOnSurface.removeItemRemovedListener( massRemovalListener );
+        }
+      } );
+    } );
+
+    // @private - Add the marker for the center of mass of the plank and the masses on it, in front of the masses so that
+    // it can always be seen.
+    this.centerOfMassNode = new CenterOfMassNode( model.plank, modelViewTransform );
+    this.viewProperties.centerOfMassVisibleProperty.link( visible => {
+      this.centerOfMassNode.visible = visible;
+    } );
+    root.addChild( this.centerOfMassNode );
+
     // Listen to the list of force vectors and manage their representations.
     model.plank.forceVectors.addItemAddedListener( addedMassForceVector => {
       // Add a representation for the new vector.
@@ -239,6 +347,16 @@ class BasicBalanceScreenView extends ScreenView {
       property: this.viewProperties.levelIndicatorVisibleProperty,
       label: levelString,
       tandemName: 'levelCheckbox'
+    }, {
+      createNode: tandem => new Text( torquesString, PANEL_OPTION_FONT ),
+      property: this.viewProperties.torquesVisibleProperty,
+      label: torquesString,
+      tandemName: 'torquesCheckbox'
+    }, {
+      createNode: tandem => new Text( centerOfMassString, PANEL_OPTION_FONT ),
+      property: this.viewProperties.centerOfMassVisibleProperty,
+      label: centerOfMassString,
+      tandemName: 'centerOfMassCheckbox'
     }
     ], {
       checkboxOptions: { boxWidth: 15 },
@@ -278,18 +396,71 @@ class BasicBalanceScreenView extends ScreenView {
     this.controlPanelBounds = new Bounds2( indicatorVisibilityControlPanel.bounds.minX, positionControlPanel.bounds.minY,
       indicatorVisibilityControlPanel.bounds.maxX, positionControlPanel.bounds.maxY );
 
+    // @private - the panel that shows the torques on the plank
+    this.torquePanel = new TorquePanel( model.plank );
+    this.viewProperties.torquesVisibleProperty.link( visible => {
+      this.torquePanel.visible = visible;
+    } );
+
+    // @protected - Panels that go in the upper left, where there is room.  Descendant types can add to these.
+    this.leftPanelsBox = new VBox( {
+      children: [
+        this.torquePanel,
+        new TorqueEquationAccordionBox( model.plank, {
+          expandedProperty: this.viewProperties.torqueEquationExpandedProperty,
+          tandem: tandem.createTandem( 'torqueEquationAccordionBox' )
+        } )
+      ],
+      align: 'left',
+      spacing: 5,
+      left: this.layoutBounds.minX + 10,
+      top: this.layoutBounds.minY + 5
+    } );
+    this.nonMassLayer.addChild( this.leftPanelsBox );
+
+    // Add the buttons for saving the setup to a file and loading it again.
+    this.nonMassLayer.addChild( new ScenarioFileButtons( model, this.viewProperties, {
+      left: this.layoutBounds.minX + 10,
+      bottom: this.layoutBounds.maxY - 10,
+      tandem: tandem.createTandem( 'scenarioFileButtons' )
+    } ) );
+
     // Reset All button.
     function resetClosure() {
       self.reset();
     }
 
-    this.nonMassLayer.addChild( new ResetAllButton( {
+    const resetAllButton = new ResetAllButton( {
       listener: resetClosure,
       radius: BASharedConstants.RESET_ALL_BUTTON_RADIUS,
       right: indicatorVisibilityControlPanel.right,
       bottom: this.layoutBounds.height - 10,
       tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+    this.nonMassLayer.addChild( resetAllButton );
+
+    // Add the buttons for undoing and redoing changes to the plank next to the Reset All button.
+    this.nonMassLayer.addChild( new UndoRedoButtons( model.editHistory, {
+      right: resetAllButton.left - 15,
+      centerY: resetAllButton.centerY,
+      tandem: tandem.createTandem( 'undoRedoButtons' )
     } ) );
+
+    // Add the sounds for the plank and the masses, which are only heard while this screen is showing.  The tone that
+    // follows the tilt of the plank is a sonification, so it can be turned off separately as an extra sound.
+    // @private
+    this.tiltToneSoundGenerator = new TiltToneSoundGenerator( model.plank );
+    soundManager.addSoundGenerator( this.tiltToneSoundGenerator, {
+      sonificationLevel: SoundLevelEnum.EXTRA,
+      associatedViewNode: this
+    } );
+    [
+      new MassLandingSoundGenerator( model.plank ),
+      new PlankCreakSoundGenerator( model.plank ),
+      new BalanceChimeSoundGenerator( model.plank, model.columnStateProperty )
+    ].forEach( soundGenerator => {
+      soundManager.addSoundGenerator( soundGenerator, { associatedViewNode: this } );
+    } );
   }
 
   /**
@@ -302,6 +473,33 @@ class BasicBalanceScreenView extends ScreenView {
     return this.massesToNodesMap.get( mass );
   }
 
+  /**
+   * Give the keyboard focus to the node for the provided mass and pick the mass up, so that it can be moved onto the
+   * plank with the keyboard.  This is used for masses that are created from the keyboard.
+   * @param {Mass} mass
+   * @public
+   */
+  pickUpMassWithKeyboard( mass ) {
+    this.massesToNodesMap.get( mass ).focus();
+    this.massesToKeyboardDragListenersMap.get( mass ).pickUp();
+  }
+
+  /**
+   * The torques and the center of mass depend on nearly everything in the model and change as the plank moves, so the
+   * nodes that show them are updated on every step.
+   * @param {number} dt
+   * @public
+   */
+  step( dt ) {
+    this.tiltToneSoundGenerator.step( dt );
+    if ( this.torquePanel.visible ) {
+      this.torquePanel.update();
+    }
+    if ( this.centerOfMassNode.visible ) {
+      this.centerOfMassNode.update();
+    }
+  }
+
   // @public
   reset() {
     this.model.reset();
@@ -0,0 +1,90 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A node that represents a uniform beam in the view.
+ *
+ * @author agent
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Node, Rectangle, Text } from '../../../../scenery/js/imports.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import Beam from '../model/masses/Beam.js';
+import MassDragHandler from './MassDragHandler.js';
+
+const kgString = BalancingActStrings.kg;
+const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
+
+// constants
+const LABEL_FONT = new PhetFont( 12 );
+
+class BeamNode extends Node {
+
+  /**
+   * @param {Beam} beam
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {boolean} isLabeled
+   * @param {Property} labelVisibleProperty
+   * @param {boolean} draggable
+   */
+  constructor( beam, modelViewTransform, isLabeled, labelVisibleProperty, draggable ) {
+    super( { cursor: 'pointer' } );
+
+    // The beam is drawn in its own coordinate frame, with the origin at its bottom center, which is the position of
+    // the mass.  This node is then translated and rotated to match the beam in the model.
+    const width = modelViewTransform.modelToViewDeltaX( beam.length );
+    const height = Math.abs( modelViewTransform.modelToViewDeltaY( Beam.THICKNESS ) );
+    const shapeNode = new Rectangle( -width / 2, -height, width, height, {
+      fill: 'rgb( 184, 134, 11 )',
+      stroke: 'black',
+      lineWidth: 1,
+      touchArea: new Bounds2( -width / 2, -height, width / 2, 0 ).dilatedY( 10 )
+    } );
+    this.addChild( shapeNode );
+
+    // Create and add the mass label.
+    if ( isLabeled ) {
+      const massLabel = new Text( StringUtils.format( pattern0Value1UnitsString, beam.massValue, kgString ), {
+        font: LABEL_FONT,
+        maxWidth: shapeNode.width,
+        centerX: shapeNode.centerX,
+        bottom: shapeNode.top - 1
+      } );
+      this.addChild( massLabel );
+
+      // Control label visibility.
+      labelVisibleProperty.link( visible => {
+        massLabel.visible = visible;
+      } );
+    }
+
+    // Monitor the beam for position and angle changes.
+    beam.rotationAngleProperty.link( rotationAngle => {
+      this.rotation = -rotationAngle;
+    } );
+    beam.positionProperty.link( position => {
+      this.translation = modelViewTransform.modelToViewPosition( position );
+    } );
+
+    // Make this non-pickable when animating so that users can't grab it mid-flight.
+    beam.animatingProperty.link( animating => {
+      this.pickable = !animating;
+    } );
+
+    // Add the drag handler if this is intended to be draggable.
+    if ( draggable ) {
+
+      // @public (read-only) {MassDragHandler} - drag handler, made available for use by creator nodes
+      this.dragHandler = new MassDragHandler( beam, modelViewTransform );
+
+      this.addInputListener( this.dragHandler );
+    }
+  }
+}
+
+balancingAct.register( 'BeamNode', BeamNode );
+
+export default BeamNode;
@@ -0,0 +1,97 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A node that marks the combined center of mass of the plank and the masses on it, with a vertical line dropped from
+ * the marker to the ground and a note that tells whether the center of mass is to the left of, to the right of, or
+ * under the pivot point.
+ *
+ * @author agent
+ */
+
+import { Shape } from '../../../../kite/js/imports.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Circle, Line, Node, Path, Rectangle, Text } from '../../../../scenery/js/imports.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+
+const leftOfPivotString = BalancingActStrings.leftOfPivot;
+const rightOfPivotString = BalancingActStrings.rightOfPivot;
+const underPivotString = BalancingActStrings.underPivot;
+
+// constants
+const MARKER_RADIUS = 8; // in screen coordinates
+const NOTE_FONT = new PhetFont( 12 );
+const NOTE_SPACING = 4; // in screen coordinates
+const UNDER_PIVOT_TOLERANCE = 0.005; // in meters, centers of mass closer than this horizontally are under the pivot
+
+class CenterOfMassNode extends Node {
+
+  /**
+   * @param {Plank} plank
+   * @param {ModelViewTransform2} modelViewTransform
+   */
+  constructor( plank, modelViewTransform ) {
+    super( { pickable: false } );
+
+    // The traditional center-of-mass symbol, a circle with two opposite quarters filled in.
+    const quartersShape = new Shape()
+      .moveTo( 0, 0 ).arc( 0, 0, MARKER_RADIUS, 0, Math.PI / 2 ).close()
+      .moveTo( 0, 0 ).arc( 0, 0, MARKER_RADIUS, Math.PI, 3 * Math.PI / 2 ).close();
+    const marker = new Node( {
+      children: [
+        new Circle( MARKER_RADIUS, { fill: 'white' } ),
+        new Path( quartersShape, { fill: 'black' } ),
+        new Circle( MARKER_RADIUS, { stroke: 'black', lineWidth: 1.5 } )
+      ]
+    } );
+
+    const dropLine = new Line( 0, 0, 0, 0, { stroke: 'black', lineWidth: 1.5, lineDash: [ 4, 3 ] } );
+
+    const noteText = new Text( '', { font: NOTE_FONT, maxWidth: 120 } );
+    const noteBackground = new Rectangle( 0, 0, 1, 1, 3, 3, { fill: 'rgba( 255, 255, 255, 0.8 )' } );
+
+    this.children = [ dropLine, marker, noteBackground, noteText ];
+
+    // @private
+    this.plank = plank;
+    this.modelViewTransform = modelViewTransform;
+    this.marker = marker;
+    this.dropLine = dropLine;
+    this.noteText = noteText;
+    this.noteBackground = noteBackground;
+
+    this.update();
+  }
+
+  /**
+   * Move the marker to the current center of mass.  This changes whenever the plank or the masses on it move, so it
+   * should be called on every step while this node is showing.
+   * @public
+   */
+  update() {
+    const centerOfMassPosition = this.plank.getSystemCenterOfMassPosition();
+    const children = [ this.dropLine, this.marker, this.noteBackground, this.noteText ];
+    children.forEach( child => { child.visible = centerOfMassPosition !== null; } );
+    if ( centerOfMassPosition === null ) {
+      return;
+    }
+
+    const markerPosition = this.modelViewTransform.modelToViewPosition( centerOfMassPosition );
+    this.marker.center = markerPosition;
+    this.dropLine.setLine( markerPosition.x, markerPosition.y, markerPosition.x, this.modelViewTransform.modelToViewY( 0 ) );
+
+    // The note is about the point that the plank is actually turning about, which is where it touches the single
+    // support column when it is pivoting on the column.
+    const horizontalOffset = centerOfMassPosition.x - this.plank.getActivePivotPoint().x;
+    this.noteText.text = Math.abs( horizontalOffset ) < UNDER_PIVOT_TOLERANCE ? underPivotString :
+                         horizontalOffset < 0 ? leftOfPivotString :
+                         rightOfPivotString;
+    this.noteText.left = this.marker.right + NOTE_SPACING;
+    this.noteText.centerY = markerPosition.y;
+    this.noteBackground.setRectBounds( this.noteText.bounds.dilatedXY( 3, 1 ) );
+  }
+}
+
+balancingAct.register( 'CenterOfMassNode', CenterOfMassNode );
+
+export default CenterOfMassNode;
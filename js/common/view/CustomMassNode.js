@@ -0,0 +1,124 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A node that represents a box with a user-chosen mass, label and color in the view.
+ *
+ * @author agent
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Node, Rectangle, Text } from '../../../../scenery/js/imports.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import MassDragHandler from './MassDragHandler.js';
+
+const kgString = BalancingActStrings.kg;
+const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
+
+// constants
+const LABEL_FONT = new PhetFont( 12 );
+const BOX_LABEL_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+
+class CustomMassNode extends Node {
+
+  /**
+   * @param {CustomMass} customMass
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {boolean} isLabeled
+   * @param {Property} labelVisibleProperty
+   * @param {boolean} draggable
+   */
+  constructor( customMass, modelViewTransform, isLabeled, labelVisibleProperty, draggable ) {
+    super( { cursor: 'pointer' } );
+
+    // The box is drawn in its own coordinate frame, with the origin at its bottom center, which is the position of the
+    // mass.  This node is then translated and rotated to match the box in the model.
+    const width = modelViewTransform.modelToViewDeltaX( customMass.shape.bounds.width );
+    const height = Math.abs( modelViewTransform.modelToViewDeltaY( customMass.shape.bounds.height ) );
+    const boxNode = new Rectangle( -width / 2, -height, width, height, {
+      fill: customMass.color,
+      stroke: 'black',
+      lineWidth: 1,
+      touchArea: new Bounds2( -width / 2, -height, width / 2, 0 ).dilated( 5 )
+    } );
+    this.addChild( boxNode );
+
+    // The user's label is always shown, since it is part of the object, like the letters on the mystery masses.
+    if ( customMass.labelText.length > 0 ) {
+      this.addChild( new Text( customMass.labelText, {
+        font: BOX_LABEL_FONT,
+        maxWidth: width * 0.8,
+        maxHeight: height * 0.8,
+        center: boxNode.center
+      } ) );
+    }
+
+    // Create and add the mass label.
+    let labelVisibleListener = null;
+    if ( isLabeled ) {
+      const massLabel = new Text( StringUtils.format( pattern0Value1UnitsString, customMass.massValue, kgString ), {
+        font: LABEL_FONT,
+        maxWidth: Math.max( width, 30 ),
+        centerX: boxNode.centerX,
+        bottom: boxNode.top - 1
+      } );
+      this.addChild( massLabel );
+
+      // Control label visibility.
+      labelVisibleListener = visible => {
+        massLabel.visible = visible;
+      };
+      labelVisibleProperty.link( labelVisibleListener );
+    }
+
+    // Monitor the box for position and angle changes.
+    const rotationAngleListener = rotationAngle => {
+      this.rotation = -rotationAngle;
+    };
+    customMass.rotationAngleProperty.link( rotationAngleListener );
+    const positionListener = position => {
+      this.translation = modelViewTransform.modelToViewPosition( position );
+    };
+    customMass.positionProperty.link( positionListener );
+
+    // Make this non-pickable when animating so that users can't grab it mid-flight.
+    const animatingListener = animating => {
+      this.pickable = !animating;
+    };
+    customMass.animatingProperty.link( animatingListener );
+
+    // Add the drag handler if this is intended to be draggable.
+    if ( draggable ) {
+
+      // @public (read-only) {MassDragHandler} - drag handler, made available for use by creator nodes
+      this.dragHandler = new MassDragHandler( customMass, modelViewTransform );
+
+      this.addInputListener( this.dragHandler );
+    }
+
+    // @private
+    this.disposeCustomMassNode = () => {
+      if ( labelVisibleListener ) {
+        labelVisibleProperty.unlink( labelVisibleListener );
+      }
+      customMass.rotationAngleProperty.unlink( rotationAngleListener );
+      customMass.positionProperty.unlink( positionListener );
+      customMass.animatingProperty.unlink( animatingListener );
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeCustomMassNode();
+    super.dispose();
+  }
+}
+
+balancingAct.register( 'CustomMassNode', CustomMassNode );
+
+export default CustomMassNode;
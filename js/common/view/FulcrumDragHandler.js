@@ -0,0 +1,44 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Drag handler for the fulcrum node.  Moves the pivot point of the plank to the snap-to position that is closest to the
+ * pointer, which in turn moves the fulcrum.
+ *
+ * @author agent
+ */
+
+import { DragListener } from '../../../../scenery/js/imports.js';
+import balancingAct from '../../balancingAct.js';
+
+class FulcrumDragHandler extends DragListener {
+
+  /**
+   * @param {Plank} plank
+   * @param {ModelViewTransform2} modelViewTransform
+   */
+  constructor( plank, modelViewTransform ) {
+
+    // {number} - horizontal offset for dragging, in model coordinate frame
+    let dragOffsetX = 0;
+
+    super( {
+
+      // Allow moving a finger (touch) across a node to pick it up.
+      allowTouchSnag: true,
+
+      start: event => {
+        const parentPoint = this.globalToParentPoint( event.pointer.point );
+        dragOffsetX = plank.pivotPointProperty.get().x - modelViewTransform.viewToModelX( parentPoint.x );
+      },
+
+      drag: event => {
+        const parentPoint = this.globalToParentPoint( event.pointer.point );
+        plank.movePivotPoint( modelViewTransform.viewToModelX( parentPoint.x ) + dragOffsetX );
+      }
+    } );
+  }
+}
+
+balancingAct.register( 'FulcrumDragHandler', FulcrumDragHandler );
+
+export default FulcrumDragHandler;
@@ -11,6 +11,10 @@ import balancingAct from '../../balancingAct.js';
 
 class FulcrumNode extends Node {
 
+  /**
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Fulcrum} fulcrum
+   */
   constructor( modelViewTransform, fulcrum ) {
     super();
     this.addChild( new Path( modelViewTransform.modelToViewShape( fulcrum.shape ),
@@ -18,6 +22,12 @@ class FulcrumNode extends Node {
         fill: 'rgb( 240, 240, 0 )',
         stroke: 'black'
       } ) );
+
+    // Follow the fulcrum if it moves.
+    const initialViewX = modelViewTransform.modelToViewX( fulcrum.positionProperty.get().x );
+    fulcrum.positionProperty.link( position => {
+      this.x = modelViewTransform.modelToViewX( position.x ) - initialViewX;
+    } );
   }
 }
 
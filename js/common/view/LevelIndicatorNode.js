@@ -13,7 +13,6 @@ import Vector2 from '../../../../dot/js/Vector2.js';
 import { Shape } from '../../../../kite/js/imports.js';
 import { Node, Path } from '../../../../scenery/js/imports.js';
 import balancingAct from '../../balancingAct.js';
-import Plank from '../model/Plank.js';
 
 // constants
 const PLANK_TO_INDICATOR_SPACING = 5;
@@ -31,11 +30,11 @@ class LevelIndicatorNode extends Node {
 
     // Positions for left and right edge
     const leftEdgeOfPlank = modelViewTransform.modelToViewPosition( new Vector2(
-      plank.pivotPoint.x - Plank.LENGTH / 2,
+      plank.unrotatedShape.bounds.centerX - plank.length / 2,
       plank.getPlankSurfaceCenter().y
     ) );
     const rightEdgeOfPlank = modelViewTransform.modelToViewPosition( new Vector2(
-      plank.pivotPoint.x + Plank.LENGTH / 2,
+      plank.unrotatedShape.bounds.centerX + plank.length / 2,
       plank.getPlankSurfaceCenter().y
     ) );
 
@@ -53,6 +53,12 @@ class LevelSupportColumnNode extends Node {
     columnState.link( state => {
       this.visible = state === ColumnState.DOUBLE_COLUMNS;
     } );
+
+    // The shape is at the initial position of the column, so follow the column by moving this node relative to that.
+    const initialViewX = modelViewTransform.modelToViewX( levelSupportColumn.centerXProperty.get() );
+    levelSupportColumn.centerXProperty.link( centerX => {
+      this.x = modelViewTransform.modelToViewX( centerX ) - initialViewX;
+    } );
   }
 }
 
@@ -12,8 +12,11 @@ import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import { AlignGroup, HBox, Node, Text, VBox } from '../../../../scenery/js/imports.js';
 import Carousel from '../../../../sun/js/Carousel.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import BeamCreatorNode from '../../balancelab/view/BeamCreatorNode.js';
 import BoyCreatorNode from '../../balancelab/view/BoyCreatorNode.js';
 import BrickStackCreatorNode from '../../balancelab/view/BrickStackCreatorNode.js';
+import CustomMassControls from '../../balancelab/view/CustomMassControls.js';
+import CustomMassCreatorNode from '../../balancelab/view/CustomMassCreatorNode.js';
 import GirlCreatorNode from '../../balancelab/view/GirlCreatorNode.js';
 import ManCreatorNode from '../../balancelab/view/ManCreatorNode.js';
 import MysteryMassCreatorNode from '../../balancelab/view/MysteryMassCreatorNode.js';
@@ -22,7 +25,9 @@ import balancingAct from '../../balancingAct.js';
 import BalancingActStrings from '../../BalancingActStrings.js';
 import BAQueryParameters from '../BAQueryParameters.js';
 
+const beamsString = BalancingActStrings.beams;
 const bricksString = BalancingActStrings.bricks;
+const customString = BalancingActStrings.custom;
 const mysteryObjectsString = BalancingActStrings.mysteryObjects;
 const peopleString = BalancingActStrings.people;
 
@@ -106,6 +111,59 @@ class MassCarousel extends Carousel {
       }
     );
 
+    // Create the kit node for creating beams, which span several positions on the plank.
+    const beamCreatorKit = new Node(
+      {
+        children: [
+          new VBox(
+            {
+              children: [
+                new BeamCreatorNode(
+                  1,
+                  10,
+                  model,
+                  screenView,
+                  { tandem: options.tandem.createTandem( 'beamCreatorNode1' ) }
+                ),
+                new BeamCreatorNode(
+                  2,
+                  20,
+                  model,
+                  screenView,
+                  { tandem: options.tandem.createTandem( 'beamCreatorNode2' ) }
+                )
+              ],
+              spacing: 20
+            } )
+        ]
+      }
+    );
+
+    // Create the kit node for creating boxes with a mass, label and color chosen by the user.  This isn't available in
+    // the Stanford version, which has a fixed set of masses.
+    const customMassCreatorNode = BAQueryParameters.stanford ? null : new CustomMassCreatorNode(
+      model,
+      screenView,
+      { tandem: options.tandem.createTandem( 'customMassCreatorNode' ) }
+    );
+    const customMassKit = BAQueryParameters.stanford ? null : new Node(
+      {
+        children: [
+          new HBox(
+            {
+              children: [
+                customMassCreatorNode,
+                new CustomMassControls(
+                  customMassCreatorNode,
+                  { tandem: options.tandem.createTandem( 'customMassControls' ) }
+                )
+              ],
+              spacing: 10
+            } )
+        ]
+      }
+    );
+
     // Create the 1st kit node for creating people.
     const peopleKit1 = new Node(
       {
@@ -239,6 +297,14 @@ class MassCarousel extends Carousel {
         title: new Text( bricksString, { font: TITLE_FONT } ),
         content: brickCreatorKit
       },
+      ...BAQueryParameters.stanford ? [] : [ {
+        title: new Text( beamsString, { font: TITLE_FONT } ),
+        content: beamCreatorKit
+      } ],
+      ...BAQueryParameters.stanford ? [] : [ {
+        title: new Text( customString, { font: TITLE_FONT } ),
+        content: customMassKit
+      } ],
       ...BAQueryParameters.stanford ? [] : [ {
         title: new Text( peopleString, { font: TITLE_FONT } ),
         content: peopleKit1
@@ -282,6 +348,18 @@ class MassCarousel extends Carousel {
     } );
 
     super( pages, options );
+
+    // @private
+    this.customMassCreatorNode = customMassCreatorNode;
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  reset() {
+    super.reset();
+    this.customMassCreatorNode && this.customMassCreatorNode.reset();
   }
 }
 
@@ -0,0 +1,84 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A label that shows the distance between a mass on the plank and the pivot point.  It sits just below the plank,
+ * directly beneath the mass, and rotates with the plank.  This is used when masses can be placed at any position on the
+ * plank, since there are no snap-to positions that can be counted in that case.
+ *
+ * @author agent
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Node, Rectangle, Text } from '../../../../scenery/js/imports.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import Plank from '../model/Plank.js';
+
+const metersAbbreviationString = BalancingActStrings.metersAbbreviation;
+const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
+
+// constants
+const LABEL_FONT = new PhetFont( 11 );
+const BACKGROUND_X_MARGIN = 2;
+const BACKGROUND_Y_MARGIN = 1;
+const SPACING_BELOW_PLANK = 3; // In screen coordinates, empirically chosen.
+const DECIMAL_PLACES = 2;
+
+class MassDistanceLabelNode extends Node {
+
+  /**
+   * @param {Mass} mass
+   * @param {Plank} plank
+   * @param {ModelViewTransform2} modelViewTransform
+   */
+  constructor( mass, plank, modelViewTransform ) {
+    super( { pickable: false } );
+
+    const text = new Text( '', { font: LABEL_FONT } );
+    const background = new Rectangle( 0, 0, 1, 1, 2, 2, { fill: 'rgba( 255, 255, 255, 0.8 )' } );
+    this.addChild( background );
+    this.addChild( text );
+
+    const plankThickness = Math.abs( modelViewTransform.modelToViewDeltaY( Plank.THICKNESS ) );
+
+    // Update the text and position whenever the mass or the pivot point moves.
+    const multilink = Multilink.multilink(
+      [ mass.positionProperty, mass.rotationAngleProperty, plank.pivotPointProperty ],
+      ( position, rotationAngle ) => {
+        text.text = StringUtils.format(
+          pattern0Value1UnitsString,
+          Utils.toFixed( Math.abs( plank.getMassDistanceFromPivot( mass ) ), DECIMAL_PLACES ),
+          metersAbbreviationString
+        );
+        text.centerX = 0;
+        text.top = plankThickness + SPACING_BELOW_PLANK + BACKGROUND_Y_MARGIN;
+        background.setRectBounds( text.bounds.dilatedXY( BACKGROUND_X_MARGIN, BACKGROUND_Y_MARGIN ) );
+
+        // Recall that the position of a mass is its bottom center, which is on the surface of the plank.
+        this.rotation = -rotationAngle;
+        this.translation = modelViewTransform.modelToViewPosition( position );
+      }
+    );
+
+    // @private
+    this.disposeMassDistanceLabelNode = () => {
+      multilink.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeMassDistanceLabelNode();
+    super.dispose();
+  }
+}
+
+balancingAct.register( 'MassDistanceLabelNode', MassDistanceLabelNode );
+
+export default MassDistanceLabelNode;
@@ -0,0 +1,143 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Keyboard alternative to MassDragHandler.  When the node for a mass has focus, Space or Enter picks the mass up and
+ * holds it above one of the plank's snap-to positions, the arrow keys move it from one snap-to position to the next,
+ * and Space or Enter drops it, or Escape puts it back where it was.  While the mass is held, it is user-controlled,
+ * just as when it is dragged with a pointer, so the plank highlights where it would land and the model handles the
+ * drop in the usual way.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import { KeyboardUtils } from '../../../../scenery/js/imports.js';
+import balancingAct from '../../balancingAct.js';
+
+// constants
+const HOLD_HEIGHT = 0.3; // height above the plank at which a held mass is shown, in meters
+const PICK_UP_AND_DROP_KEYS = [ KeyboardUtils.KEY_SPACE, KeyboardUtils.KEY_ENTER ];
+const PREVIOUS_POSITION_KEYS = [ KeyboardUtils.KEY_LEFT_ARROW, KeyboardUtils.KEY_DOWN_ARROW ];
+const NEXT_POSITION_KEYS = [ KeyboardUtils.KEY_RIGHT_ARROW, KeyboardUtils.KEY_UP_ARROW ];
+
+class MassKeyboardDragListener {
+
+  /**
+   * @param {Mass} mass
+   * @param {Plank} plank
+   */
+  constructor( mass, plank ) {
+
+    // @private
+    this.mass = mass;
+    this.plank = plank;
+
+    // @private {number|null} - index of the snap-to position that the mass is being held above, null if not held
+    this.snapToPositionIndex = null;
+
+    // @private {Vector2|null} - where the mass was when it was picked up, so that it can be put back there
+    this.pickUpPosition = null;
+  }
+
+  /**
+   * @param {SceneryEvent} event
+   * @public (scenery-internal)
+   */
+  keydown( event ) {
+    const domEvent = event.domEvent;
+
+    // A mass that is on its way back to the toolbox can't be picked up.
+    if ( this.mass.animatingProperty.get() ) {
+      return;
+    }
+    if ( KeyboardUtils.isAnyKeyEvent( domEvent, PICK_UP_AND_DROP_KEYS ) ) {
+      if ( this.isHeld() ) {
+        this.drop();
+      }
+      else {
+        this.pickUp();
+      }
+      domEvent.preventDefault();
+    }
+    else if ( this.isHeld() && KeyboardUtils.isAnyKeyEvent( domEvent, PREVIOUS_POSITION_KEYS ) ) {
+      this.holdAbove( this.snapToPositionIndex - 1 );
+      domEvent.preventDefault();
+    }
+    else if ( this.isHeld() && KeyboardUtils.isAnyKeyEvent( domEvent, NEXT_POSITION_KEYS ) ) {
+      this.holdAbove( this.snapToPositionIndex + 1 );
+      domEvent.preventDefault();
+    }
+    else if ( this.isHeld() && KeyboardUtils.isKeyEvent( domEvent, KeyboardUtils.KEY_ESCAPE ) ) {
+      this.cancel();
+      domEvent.preventDefault();
+    }
+  }
+
+  /**
+   * A mass that is held when the focus moves elsewhere is dropped, so that it isn't left hanging in the air.
+   * @public (scenery-internal)
+   */
+  blur() {
+    if ( this.isHeld() ) {
+      this.drop();
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   * @public
+   */
+  isHeld() {
+    return this.snapToPositionIndex !== null;
+  }
+
+  /**
+   * Pick the mass up and hold it above the snap-to position that is closest to it horizontally.  This is also used by
+   * the creator nodes, which pick up the masses that they create.
+   * @public
+   */
+  pickUp() {
+    const snapToPositions = this.plank.getSnapToPositions();
+    const massX = this.mass.positionProperty.get().x;
+    const closestIndex = _.minBy(
+      _.range( snapToPositions.length ),
+      index => Math.abs( snapToPositions[ index ].x - massX )
+    );
+    this.pickUpPosition = this.mass.positionProperty.get();
+    this.mass.userControlledProperty.set( true );
+    this.holdAbove( closestIndex );
+  }
+
+  /**
+   * @param {number} snapToPositionIndex
+   * @private
+   */
+  holdAbove( snapToPositionIndex ) {
+    const snapToPositions = this.plank.getSnapToPositions();
+    this.snapToPositionIndex = Utils.clamp( snapToPositionIndex, 0, snapToPositions.length - 1 );
+    this.mass.positionProperty.set( snapToPositions[ this.snapToPositionIndex ].plus( new Vector2( 0, HOLD_HEIGHT ) ) );
+  }
+
+  /**
+   * Release the mass, which puts it on the plank below it if there is room.
+   * @private
+   */
+  drop() {
+    this.snapToPositionIndex = null;
+    this.mass.userControlledProperty.set( false );
+  }
+
+  /**
+   * Put the mass back where it was picked up, which for a mass that was just created is the toolbox.
+   * @private
+   */
+  cancel() {
+    this.mass.positionProperty.set( this.pickUpPosition );
+    this.drop();
+  }
+}
+
+balancingAct.register( 'MassKeyboardDragListener', MassKeyboardDragListener );
+
+export default MassKeyboardDragListener;
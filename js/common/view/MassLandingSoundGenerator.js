@@ -0,0 +1,70 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A thud that is played when the user drops a mass onto the plank.  Heavier masses make louder thuds, except for
+ * mystery masses, which all make the same thud so that the sound doesn't give their values away.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import SoundGenerator from '../../../../tambo/js/sound-generators/SoundGenerator.js';
+import balancingAct from '../../balancingAct.js';
+
+// constants
+const START_FREQUENCY = 120; // Hz, the pitch drops quickly, which makes it sound like a thud rather than a tone
+const END_FREQUENCY = 45; // Hz
+const DURATION = 0.3; // seconds
+const MIN_LEVEL = 0.2; // for the lightest masses
+const MAX_LEVEL = 1; // for masses as heavy as the reference mass or heavier
+const REFERENCE_MASS = 100; // kg
+const MYSTERY_MASS_LEVEL = 0.6;
+
+class MassLandingSoundGenerator extends SoundGenerator {
+
+  /**
+   * @param {Plank} plank
+   * @param {Object} [options]
+   */
+  constructor( plank, options ) {
+
+    options = merge( {
+      initialOutputLevel: 0.7
+    }, options );
+
+    super( options );
+
+    // Only the masses that the user drops make a sound, not the ones that are put on the plank when it is set up.
+    plank.userDroppedMassEmitter.addListener( mass => {
+      this.playThud( mass.isMystery ? MYSTERY_MASS_LEVEL : Utils.linear(
+        0, REFERENCE_MASS, MIN_LEVEL, MAX_LEVEL, Math.min( mass.massValue, REFERENCE_MASS )
+      ) );
+    } );
+  }
+
+  /**
+   * @param {number} level - from 0 to 1
+   * @private
+   */
+  playThud( level ) {
+    const now = this.audioContext.currentTime;
+
+    const oscillator = this.audioContext.createOscillator();
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime( START_FREQUENCY, now );
+    oscillator.frequency.exponentialRampToValueAtTime( END_FREQUENCY, now + DURATION );
+    const envelope = this.audioContext.createGain();
+    envelope.gain.setValueAtTime( level, now );
+    envelope.gain.exponentialRampToValueAtTime( 0.001, now + DURATION );
+
+    oscillator.connect( envelope );
+    envelope.connect( this.soundSourceDestination );
+    oscillator.start( now );
+    oscillator.stop( now + DURATION );
+  }
+}
+
+balancingAct.register( 'MassLandingSoundGenerator', MassLandingSoundGenerator );
+
+export default MassLandingSoundGenerator;
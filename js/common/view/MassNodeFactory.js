@@ -11,9 +11,13 @@
 import { Rectangle, Text } from '../../../../scenery/js/imports.js';
 import balancingAct from '../../balancingAct.js';
 import ImageMass from '../model/ImageMass.js';
+import Beam from '../model/masses/Beam.js';
 import BrickStack from '../model/masses/BrickStack.js';
+import CustomMass from '../model/masses/CustomMass.js';
 import MysteryMass from '../model/masses/MysteryMass.js';
+import BeamNode from './BeamNode.js';
 import BrickStackNode from './BrickStackNode.js';
+import CustomMassNode from './CustomMassNode.js';
 import ImageMassNode from './ImageMassNode.js';
 import MysteryMassNode from './MysteryMassNode.js';
 
@@ -29,6 +33,12 @@ const MassNodeFactory = {
     else if ( mass instanceof BrickStack ) {
       massNode = new BrickStackNode( mass, modelViewTransform, isLabeled, labelVisibleProperty, true, columnStateProperty );
     }
+    else if ( mass instanceof Beam ) {
+      massNode = new BeamNode( mass, modelViewTransform, isLabeled, labelVisibleProperty, true );
+    }
+    else if ( mass instanceof CustomMass ) {
+      massNode = new CustomMassNode( mass, modelViewTransform, isLabeled, labelVisibleProperty, true );
+    }
     else {
       assert && assert( true, 'Error: Unrecognized mass type sent to MassNodeFactory.' );
       // In case the ever happens out in the wild, create a fake node.
@@ -0,0 +1,81 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A label that shows the torque about the pivot point due to the weight of a mass on the plank.  It is centered on the
+ * mass's center of mass so that the labels of stacked masses don't overlap, and is colored to match the direction of
+ * the torque in the torque panel.  The value is hidden for mystery masses, since it would give away the mass.
+ *
+ * @author agent
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Node, Rectangle, Text } from '../../../../scenery/js/imports.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import TorquePanel from './TorquePanel.js';
+
+const newtonMetersAbbreviationString = BalancingActStrings.newtonMetersAbbreviation;
+const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
+const unknownMassLabelString = BalancingActStrings.unknownMassLabel;
+
+// constants
+const LABEL_FONT = new PhetFont( { size: 11, weight: 'bold' } );
+const BACKGROUND_X_MARGIN = 2;
+const BACKGROUND_Y_MARGIN = 1;
+
+class MassTorqueLabelNode extends Node {
+
+  /**
+   * @param {Mass} mass
+   * @param {Plank} plank
+   * @param {ModelViewTransform2} modelViewTransform
+   */
+  constructor( mass, plank, modelViewTransform ) {
+    super( { pickable: false } );
+
+    const text = new Text( '', { font: LABEL_FONT } );
+    const background = new Rectangle( 0, 0, 1, 1, 2, 2, { fill: 'rgba( 255, 255, 255, 0.8 )' } );
+    this.addChild( background );
+    this.addChild( text );
+
+    // The torque changes whenever the mass moves, which includes when the plank tilts, or the pivot point moves.
+    const multilink = Multilink.multilink( [ mass.positionProperty, plank.pivotPointProperty ], () => {
+      const torque = plank.getTorqueDueToMass( mass );
+      if ( mass.isMystery ) {
+        text.text = unknownMassLabelString;
+        text.fill = 'black';
+      }
+      else {
+        text.text = StringUtils.format(
+          pattern0Value1UnitsString,
+          Utils.toFixed( Math.abs( torque ), 0 ),
+          newtonMetersAbbreviationString
+        );
+        text.fill = torque >= 0 ? TorquePanel.COUNTERCLOCKWISE_COLOR : TorquePanel.CLOCKWISE_COLOR;
+      }
+      background.setRectBounds( text.bounds.dilatedXY( BACKGROUND_X_MARGIN, BACKGROUND_Y_MARGIN ) );
+      this.center = modelViewTransform.modelToViewPosition( mass.getCenterOfMassPosition() );
+    } );
+
+    // @private
+    this.disposeMassTorqueLabelNode = () => {
+      multilink.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeMassTorqueLabelNode();
+    super.dispose();
+  }
+}
+
+balancingAct.register( 'MassTorqueLabelNode', MassTorqueLabelNode );
+
+export default MassTorqueLabelNode;
@@ -0,0 +1,84 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Creaking of the plank as it rotates.  A short, filtered burst of noise is played each time the plank turns through a
+ * small angle, so the creaks come faster when the plank moves faster, like a wooden plank turning on its pivot.
+ *
+ * @author agent
+ */
+
+import dotRandom from '../../../../dot/js/dotRandom.js';
+import merge from '../../../../phet-core/js/merge.js';
+import SoundGenerator from '../../../../tambo/js/sound-generators/SoundGenerator.js';
+import balancingAct from '../../balancingAct.js';
+
+// constants
+const ANGLE_PER_CREAK = 0.03; // radians that the plank turns between creaks
+const CREAK_DURATION = 0.06; // seconds
+const MIN_FILTER_FREQUENCY = 350; // Hz, the creaks are varied a little so that they don't sound mechanical
+const MAX_FILTER_FREQUENCY = 600; // Hz
+const FILTER_Q = 12;
+const ATTACK_TIME = 0.005; // seconds
+
+class PlankCreakSoundGenerator extends SoundGenerator {
+
+  /**
+   * @param {Plank} plank
+   * @param {Object} [options]
+   */
+  constructor( plank, options ) {
+
+    options = merge( {
+      initialOutputLevel: 0.3
+    }, options );
+
+    super( options );
+
+    // @private {AudioBuffer} - white noise that each creak is filtered from
+    const sampleRate = this.audioContext.sampleRate;
+    this.noiseBuffer = this.audioContext.createBuffer( 1, Math.ceil( sampleRate * CREAK_DURATION ), sampleRate );
+    const noiseData = this.noiseBuffer.getChannelData( 0 );
+    for ( let i = 0; i < noiseData.length; i++ ) {
+      noiseData[ i ] = dotRandom.nextDouble() * 2 - 1;
+    }
+
+    // @private - how far the plank has turned since the last creak
+    this.angleSinceCreak = 0;
+
+    plank.tiltAngleProperty.lazyLink( ( tiltAngle, previousTiltAngle ) => {
+      this.angleSinceCreak += Math.abs( tiltAngle - previousTiltAngle );
+      if ( this.angleSinceCreak >= ANGLE_PER_CREAK ) {
+        this.angleSinceCreak = 0;
+        this.playCreak();
+      }
+    } );
+  }
+
+  /**
+   * @private
+   */
+  playCreak() {
+    const now = this.audioContext.currentTime;
+
+    const noiseSource = this.audioContext.createBufferSource();
+    noiseSource.buffer = this.noiseBuffer;
+    const filter = this.audioContext.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = dotRandom.nextDoubleBetween( MIN_FILTER_FREQUENCY, MAX_FILTER_FREQUENCY );
+    filter.Q.value = FILTER_Q;
+    const envelope = this.audioContext.createGain();
+    envelope.gain.setValueAtTime( 0, now );
+    envelope.gain.linearRampToValueAtTime( 1, now + ATTACK_TIME );
+    envelope.gain.linearRampToValueAtTime( 0, now + CREAK_DURATION );
+
+    noiseSource.connect( filter );
+    filter.connect( envelope );
+    envelope.connect( this.soundSourceDestination );
+    noiseSource.start( now );
+    noiseSource.stop( now + CREAK_DURATION );
+  }
+}
+
+balancingAct.register( 'PlankCreakSoundGenerator', PlankCreakSoundGenerator );
+
+export default PlankCreakSoundGenerator;
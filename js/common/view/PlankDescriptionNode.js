@@ -0,0 +1,67 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Screen summary for the screens that have a plank.  It describes which masses are on each side of the plank and how
+ * far they are from the pivot, whether the supports are in place, and how the plank is tilted.  When the plank tilts,
+ * comes to a balance or hits the ground, this is also announced, so that screen reader users hear what happened without
+ * having to read the summary again.
+ *
+ * @author agent
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import Utterance from '../../../../utterance-queue/js/Utterance.js';
+import balancingAct from '../../balancingAct.js';
+import BalanceDescriber from './BalanceDescriber.js';
+
+// constants
+const TILT_ALERT_STABLE_DELAY = 500; // ms, so that a plank that is still swinging isn't announced at every change
+
+class PlankDescriptionNode extends Node {
+
+  /**
+   * @param {Plank} plank
+   * @param {Property.<ColumnState>} columnStateProperty
+   * @param {Object} [options]
+   */
+  constructor( plank, columnStateProperty, options ) {
+    super( options );
+
+    const massesParagraph = new Node( { tagName: 'p' } );
+    const supportsParagraph = new Node( { tagName: 'p' } );
+    const tiltParagraph = new Node( { tagName: 'p' } );
+    this.children = [ massesParagraph, supportsParagraph, tiltParagraph ];
+
+    // The masses are described relative to the pivot, so their description changes when the pivot moves too.
+    const updateMassesDescription = () => {
+      massesParagraph.innerContent = BalanceDescriber.getMassesDescription( plank );
+    };
+    plank.massesOnSurface.addItemAddedListener( updateMassesDescription );
+    plank.massesOnSurface.addItemRemovedListener( updateMassesDescription );
+    plank.pivotPointProperty.link( updateMassesDescription );
+
+    columnStateProperty.link( columnState => {
+      supportsParagraph.innerContent = BalanceDescriber.getColumnStateDescription( columnState );
+    } );
+
+    // The tilt angle changes on nearly every step while the plank moves, but the description only changes when the
+    // plank goes from one state to another, e.g. from tilted to resting on the ground, and those changes are announced.
+    const tiltUtterance = new Utterance( { alertStableDelay: TILT_ALERT_STABLE_DELAY } );
+    Multilink.multilink( [ plank.tiltAngleProperty, columnStateProperty ], ( tiltAngle, columnState ) => {
+      const tiltDescription = BalanceDescriber.getTiltDescription( plank, columnState );
+      if ( tiltDescription !== tiltParagraph.innerContent ) {
+        const isInitialDescription = tiltParagraph.innerContent === null;
+        tiltParagraph.innerContent = tiltDescription;
+        if ( !isInitialDescription ) {
+          tiltUtterance.alert = tiltDescription;
+          this.alertDescriptionUtterance( tiltUtterance );
+        }
+      }
+    } );
+  }
+}
+
+balancingAct.register( 'PlankDescriptionNode', PlankDescriptionNode );
+
+export default PlankDescriptionNode;
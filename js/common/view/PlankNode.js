@@ -6,6 +6,8 @@
  * @author John Blanco
  */
 
+import Multilink from '../../../../axon/js/Multilink.js';
+import Matrix3 from '../../../../dot/js/Matrix3.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import { Shape } from '../../../../kite/js/imports.js';
@@ -42,7 +44,7 @@ class PlankNode extends Node {
     // Function for mapping plank distance relative to the center point to a highlight.
     function mapPositionToHighlightIndex( distanceFromCenter ) {
       return Utils.roundSymmetric(
-        ( distanceFromCenter + Plank.LENGTH / 2 ) * ( ( Plank.NUM_SNAP_TO_POSITIONS + 1 ) / Plank.LENGTH )
+        ( distanceFromCenter + plank.length / 2 ) / plank.interSnapToMarkerDistance
       ) - 1;
     }
 
@@ -51,8 +53,22 @@ class PlankNode extends Node {
       self.highlights.forEach( highlight => {
         highlight.visible = false;
       } );
+      dropPositionHighlightLayer.removeAllChildren();
       plank.activeDropPositions.forEach( position => {
-        self.highlights[ mapPositionToHighlightIndex( position ) ].visible = true;
+        if ( plank.continuousPlacement ) {
+
+          // Masses can land anywhere on the plank, so highlight the exact position where the mass would land.
+          dropPositionHighlightLayer.addChild( new Rectangle(
+            plankLeftEdge.x + modelViewTransform.modelToViewDeltaX( position + plank.length / 2 ) - HIGHLIGHT_WIDTH / 2,
+            plankLeftEdge.y,
+            HIGHLIGHT_WIDTH,
+            Math.abs( modelViewTransform.modelToViewDeltaY( Plank.THICKNESS ) ),
+            { fill: HIGHLIGHT_COLOR }
+          ) );
+        }
+        else {
+          self.highlights[ mapPositionToHighlightIndex( position ) ].visible = true;
+        }
       } );
     }
 
@@ -63,11 +79,11 @@ class PlankNode extends Node {
     // Create and add the tick mark layer.
     const tickMarkLayer = new Node();
     const tickMarkShape = Shape.lineSegment( 0, 0, 0, modelViewTransform.modelToViewDeltaY( Plank.THICKNESS ) );
-    const plankLeftEdge = new Vector2( modelViewTransform.modelToViewX( plank.getPlankSurfaceCenter().x - Plank.LENGTH / 2 ),
+    const plankLeftEdge = new Vector2( modelViewTransform.modelToViewX( plank.getPlankSurfaceCenter().x - plank.length / 2 ),
       modelViewTransform.modelToViewY( plank.getPlankSurfaceCenter().y ) );
-    const tickMarkDeltaX = modelViewTransform.modelToViewDeltaX( Plank.INTER_SNAP_TO_MARKER_DISTANCE );
+    const tickMarkDeltaX = modelViewTransform.modelToViewDeltaX( plank.interSnapToMarkerDistance );
     this.highlights = [];
-    for ( let i = 0; i < Plank.NUM_SNAP_TO_POSITIONS; i++ ) {
+    for ( let i = 0; i < plank.numSnapToPositions; i++ ) {
       let tickMarkStroke = NORMAL_TICK_MARK_LINE_WIDTH;
       if ( i % 2 === 0 ) {
         // Make some marks bold for easier placement of masses.
@@ -95,15 +111,22 @@ class PlankNode extends Node {
       this.highlights.push( highlight );
       tickMarkLayer.addChild( tickMark );
     }
+
+    // Layer for the highlights that are used when continuous placement is enabled, behind the tick marks.
+    const dropPositionHighlightLayer = new Node();
+    plankNode.addChild( dropPositionHighlightLayer );
     plankNode.addChild( tickMarkLayer );
 
-    // Track the rotational angle of the plank and update this node accordingly.
-    let nodeRotation = 0;
-    const rotationPoint = modelViewTransform.modelToViewPosition( plank.pivotPoint );
-    plank.tiltAngleProperty.link( tiltAngle => {
-      plankNode.rotateAround( rotationPoint, nodeRotation - tiltAngle );
-      nodeRotation = tiltAngle;
-    } );
+    // Track the rotational angle of the plank and the position of the pivot point and update this node accordingly.
+    Multilink.multilink(
+      [ plank.tiltAngleProperty, plank.pivotPointProperty, plank.tippingOffsetProperty ],
+      ( tiltAngle, pivotPoint, tippingOffset ) => {
+        const rotationPoint = modelViewTransform.modelToViewPosition( pivotPoint );
+        const viewTippingOffset = modelViewTransform.modelToViewDelta( tippingOffset );
+        plankNode.matrix = Matrix3.translation( viewTippingOffset.x, viewTippingOffset.y )
+          .timesMatrix( Matrix3.rotationAround( -tiltAngle, rotationPoint.x, rotationPoint.y ) );
+      }
+    );
   }
 }
 
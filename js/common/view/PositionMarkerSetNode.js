@@ -5,9 +5,11 @@
  * the various snap-to positions on the plank.
  */
 
+import Multilink from '../../../../axon/js/Multilink.js';
+import Matrix3 from '../../../../dot/js/Matrix3.js';
+import Utils from '../../../../dot/js/Utils.js';
 import { Node } from '../../../../scenery/js/imports.js';
 import balancingAct from '../../balancingAct.js';
-import Plank from '../model/Plank.js';
 import PositionMarkerNode from './PositionMarkerNode.js';
 
 class PositionMarkerSetNode extends Node {
@@ -20,34 +22,41 @@ class PositionMarkerSetNode extends Node {
   constructor( plank, modelViewTransform, visibleProperty ) {
     super();
 
-    // Add the individual position markers.
-    const numTickMarks = Plank.LENGTH / Plank.INTER_SNAP_TO_MARKER_DISTANCE - 1;
-    const interMarkerDistance = modelViewTransform.modelToViewDeltaX( Plank.INTER_SNAP_TO_MARKER_DISTANCE );
-    for ( let i = 0; i < numTickMarks; i++ ) {
-      const label = Math.abs( i - Math.floor( numTickMarks / 2 ) );
-      if ( label !== 0 ) {
-        this.addChild( new PositionMarkerNode( label, { centerX: i * interMarkerDistance } ) );
+    // Add the individual position markers, labeled with their distance from the pivot point in units of snap-to
+    // positions.  These are recreated if the pivot point moves.
+    const markerTop = modelViewTransform.modelToViewY( plank.unrotatedShape.bounds.minY );
+    plank.pivotPointProperty.link( () => {
+      this.removeAllChildren();
+      const pivotOffset = plank.getPivotOffset();
+      for ( let i = 0; i < plank.numSnapToPositions; i++ ) {
+        const distanceFromCenter = plank.getSnapToPositionDistance( i );
+        const label = Utils.roundSymmetric(
+          Math.abs( distanceFromCenter - pivotOffset ) / plank.interSnapToMarkerDistance
+        );
+        if ( label !== 0 ) {
+          this.addChild( new PositionMarkerNode( label, {
+            centerX: modelViewTransform.modelToViewX( plank.unrotatedShape.bounds.centerX + distanceFromCenter ),
+            top: markerTop
+          } ) );
+        }
       }
-    }
+    } );
 
     // Observe visibility.
     visibleProperty.link( visible => {
       this.visible = visible;
     } );
 
-    // Set initial position.
-    const topCenter = modelViewTransform.modelToViewPosition( plank.bottomCenterPositionProperty.get() );
-    this.top = topCenter.y;
-    this.centerX = topCenter.x;
-
     // Rotate with the plank.
-    let rotationAngle = 0;
-    const rotationPoint = modelViewTransform.modelToViewPosition( plank.pivotPoint );
-    plank.tiltAngleProperty.link( angle => {
-      const deltaAngle = rotationAngle - angle;
-      rotationAngle = angle;
-      this.rotateAround( rotationPoint, deltaAngle );
-    } );
+    Multilink.multilink(
+      [ plank.tiltAngleProperty, plank.pivotPointProperty, plank.tippingOffsetProperty ],
+      ( tiltAngle, pivotPoint, tippingOffset ) => {
+        const rotationPoint = modelViewTransform.modelToViewPosition( pivotPoint );
+        const viewTippingOffset = modelViewTransform.modelToViewDelta( tippingOffset );
+        this.matrix = Matrix3.translation( viewTippingOffset.x, viewTippingOffset.y )
+          .timesMatrix( Matrix3.rotationAround( -tiltAngle, rotationPoint.x, rotationPoint.y ) );
+      }
+    );
   }
 }
 
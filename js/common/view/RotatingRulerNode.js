@@ -7,18 +7,21 @@
  * @author John Blanco
  */
 
+import Multilink from '../../../../axon/js/Multilink.js';
+import Matrix3 from '../../../../dot/js/Matrix3.js';
+import Utils from '../../../../dot/js/Utils.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import RulerNode from '../../../../scenery-phet/js/RulerNode.js';
 import { Line, Node, Text } from '../../../../scenery/js/imports.js';
 import balancingAct from '../../balancingAct.js';
 import BalancingActStrings from '../../BalancingActStrings.js';
-import Plank from '../model/Plank.js';
 
 const metersString = BalancingActStrings.meters;
 
 // constants
 const RULER_HEIGHT = 50; // Empirically determined
 const UNITS_FONT = new PhetFont( 14 ); // Empirically determined
+const MIN_LABEL_SPACING = 0.25; // In meters, prevents the labels from overlapping when the snap-to spacing is small
 
 class RotatingRulerNode extends Node {
 
@@ -30,63 +33,90 @@ class RotatingRulerNode extends Node {
   constructor( plank, modelViewTransform, visibleProperty ) {
     super();
 
-    // Set up the tick mark labels.
-    const rulerLengthInModel = Plank.LENGTH - 0.5; // Take 1/2 meter off end of ruler so it doesn't exceed plank length.
-    const numTickMarks = rulerLengthInModel * 4 + 1; // Tick marks every 1/4 meter.
-    const tickMarkLabels = [];
-    for ( let i = 0; i < numTickMarks; i++ ) {
-      const labelValue = Math.abs( ( i - ( ( numTickMarks - 1 ) / 2 ) ) / 4 );
-      if ( labelValue !== 0 ) {
-        tickMarkLabels.push( labelValue );
-      }
-      else {
-        tickMarkLabels.push( '' ); // No label at zero.
-      }
-    }
+    // Node that contains the ruler, which is rebuilt if the pivot point moves so that the distances are always
+    // measured from the pivot point.
+    const rulerLayer = new Node();
+    this.addChild( rulerLayer );
 
-    // Create and add the ruler node.
+    // The ruler spans the snap-to positions, with a tick mark at each one, so that it doesn't exceed the plank length.
+    const tickMarkSpacing = plank.interSnapToMarkerDistance;
+    const numTickMarks = plank.numSnapToPositions;
+    const rulerLengthInModel = ( numTickMarks - 1 ) * tickMarkSpacing;
+    const rulerCenterDistance = ( plank.getSnapToPositionDistance( 0 ) +
+                                  plank.getSnapToPositionDistance( numTickMarks - 1 ) ) / 2;
     const rulerLength = modelViewTransform.modelToViewDeltaX( rulerLengthInModel );
-    const majorTickMarkWidth = rulerLength / ( numTickMarks - 1 );
-    const rulerNode = new RulerNode( rulerLength, RULER_HEIGHT, majorTickMarkWidth, tickMarkLabels, '', {
-      backgroundFill: 'rgba( 236, 225, 113, 0.5)',
-      majorTickFont: new PhetFont( 11 ),
-      tickMarksOnBottom: false
+
+    // Only some of the tick marks are labeled if they are close together.
+    const tickMarksPerLabel = Math.max( Utils.roundSymmetric( MIN_LABEL_SPACING / tickMarkSpacing ), 1 );
+
+    plank.pivotPointProperty.link( () => {
+      rulerLayer.removeAllChildren();
+
+      // Set up the tick mark labels, which show the distance from the pivot point.
+      const pivotOffset = plank.getPivotOffset();
+      const tickMarkLabels = [];
+      for ( let i = 0; i < numTickMarks; i++ ) {
+        const distanceFromPivot = plank.getSnapToPositionDistance( i ) - pivotOffset;
+        const tickMarksFromPivot = Utils.roundSymmetric( distanceFromPivot / tickMarkSpacing );
+        if ( tickMarksFromPivot !== 0 && tickMarksFromPivot % tickMarksPerLabel === 0 ) {
+          tickMarkLabels.push( Utils.toFixedNumber( Math.abs( distanceFromPivot ), 2 ) );
+        }
+        else {
+          tickMarkLabels.push( '' ); // No label at zero or between labeled tick marks.
+        }
+      }
+
+      // Create and add the ruler node.
+      const majorTickMarkWidth = rulerLength / ( numTickMarks - 1 );
+      const rulerNode = new RulerNode( rulerLength, RULER_HEIGHT, majorTickMarkWidth, tickMarkLabels, '', {
+        backgroundFill: 'rgba( 236, 225, 113, 0.5)',
+        majorTickFont: new PhetFont( 11 ),
+        tickMarksOnBottom: false
+      } );
+      rulerLayer.addChild( rulerNode );
+
+      // Add a line below the pivot point to make it look like two separate rulers.
+      const pivotX = rulerNode.centerX + modelViewTransform.modelToViewDeltaX( pivotOffset - rulerCenterDistance );
+      rulerLayer.addChild( new Line( pivotX, 0, pivotX, RULER_HEIGHT, { stroke: 'black' } ) );
+
+      // Add a units label on each side of the pivot point.
+      rulerLayer.addChild( new Text( metersString, {
+        font: UNITS_FONT,
+        centerX: ( rulerNode.left + pivotX ) / 2,
+        bottom: RULER_HEIGHT,
+        maxWidth: Math.max( pivotX - rulerNode.left, 1 )
+      } ) );
+      rulerLayer.addChild( new Text( metersString, {
+        font: UNITS_FONT,
+        centerX: ( pivotX + rulerNode.right ) / 2,
+        bottom: RULER_HEIGHT,
+        maxWidth: Math.max( rulerNode.right - pivotX, 1 )
+      } ) );
+
+      // Position the ruler just below the plank, which doesn't move horizontally when the pivot point moves.
+      const topCenter = modelViewTransform.modelToViewXY(
+        plank.unrotatedShape.bounds.centerX + rulerCenterDistance,
+        plank.unrotatedShape.bounds.minY
+      );
+      rulerLayer.x = topCenter.x - rulerNode.centerX;
+      rulerLayer.y = topCenter.y;
     } );
-    this.addChild( rulerNode );
-
-    // Add a line in the center of the ruler to make it look like two separate rulers.
-    this.addChild( new Line( rulerNode.centerX, 0, rulerNode.centerX, RULER_HEIGHT, { stroke: 'black' } ) );
-
-    // Add a units label on each side.
-    this.addChild( new Text( metersString, {
-      font: UNITS_FONT,
-      centerX: rulerNode.width * 0.25,
-      bottom: RULER_HEIGHT
-    } ) );
-    this.addChild( new Text( metersString, {
-      font: UNITS_FONT,
-      centerX: rulerNode.width * 0.75,
-      bottom: RULER_HEIGHT
-    } ) );
 
     // Observe visibility.
     visibleProperty.link( visible => {
       this.visible = visible;
     } );
 
-    // Set initial position.
-    const topCenter = modelViewTransform.modelToViewPosition( plank.bottomCenterPositionProperty.get() );
-    this.top = topCenter.y;
-    this.centerX = topCenter.x;
-
     // Rotate with the plank.
-    let rulerRotationAngle = 0;
-    const rotationPoint = modelViewTransform.modelToViewPosition( plank.pivotPoint );
-    plank.tiltAngleProperty.link( angle => {
-      const deltaAngle = rulerRotationAngle - angle;
-      rulerRotationAngle = angle;
-      this.rotateAround( rotationPoint, deltaAngle );
-    } );
+    Multilink.multilink(
+      [ plank.tiltAngleProperty, plank.pivotPointProperty, plank.tippingOffsetProperty ],
+      ( tiltAngle, pivotPoint, tippingOffset ) => {
+        const rotationPoint = modelViewTransform.modelToViewPosition( pivotPoint );
+        const viewTippingOffset = modelViewTransform.modelToViewDelta( tippingOffset );
+        this.matrix = Matrix3.translation( viewTippingOffset.x, viewTippingOffset.y )
+          .timesMatrix( Matrix3.rotationAround( -tiltAngle, rotationPoint.x, rotationPoint.y ) );
+      }
+    );
   }
 }
 
@@ -0,0 +1,200 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Buttons for saving the setup of a screen to a JSON file and loading it again, so that a setup can be prepared once
+ * and shared, e.g. by a teacher with a class.  The file is a versioned document that holds the masses and spring scales
+ * on the plank, the column state, the positions of the pivot point and the support columns, and the visibility of the
+ * various indicators, like this:
+ *
+ * {
+ *   "version": 1,
+ *   "columnState": "NO_COLUMNS",
+ *   "pivotDistance": 0,
+ *   "supportColumnPositions": [ -1.625, 1.625 ],
+ *   "masses": [
+ *     { "type": "brickStack", "massValue": 10, "distance": -1.5 },
+ *     { "type": "mysteryMass", "mysteryMassId": 2, "distance": 0.75 }
+ *   ],
+ *   "springScales": [ { "distance": 1, "force": -20 } ],
+ *   "viewOptions": { "massLabelsVisible": true, "positionMarkerState": "RULERS", ... }
+ * }
+ *
+ * The masses and spring scales are described by the model, see BalanceModel.getScenario.  If a file can't be loaded, a
+ * dialog says why, and the setup is left as it was.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox, Text } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import PositionIndicatorChoice from '../model/PositionIndicatorChoice.js';
+
+const loadSetupString = BalancingActStrings.loadSetup;
+const pattern0UnsupportedSetupVersionString = BalancingActStrings.pattern0UnsupportedSetupVersion;
+const saveSetupString = BalancingActStrings.saveSetup;
+const setupFileInvalidString = BalancingActStrings.setupFileInvalid;
+const setupNotLoadedString = BalancingActStrings.setupNotLoaded;
+
+// constants
+const VERSION = 1; // version of the file format, increment this when making changes that older versions can't load
+const FILE_NAME = 'balancing-act-setup.json';
+const BUTTON_FONT = new PhetFont( 14 );
+const BUTTON_MAX_WIDTH = 120;
+
+class ScenarioFileButtons extends HBox {
+
+  /**
+   * @param {BalanceModel} model
+   * @param {Object.<string,Property>} viewProperties - the Properties that control the visibility of the indicators,
+   * keyed by name, see BasicBalanceScreenView
+   * @param {Object} [options]
+   */
+  constructor( model, viewProperties, options ) {
+
+    options = merge( {
+      spacing: 8,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const saveSetupButton = new TextPushButton( saveSetupString, {
+      font: BUTTON_FONT,
+      maxWidth: BUTTON_MAX_WIDTH,
+      listener: () => this.saveSetup(),
+      tandem: options.tandem.createTandem( 'saveSetupButton' )
+    } );
+    const loadSetupButton = new TextPushButton( loadSetupString, {
+      font: BUTTON_FONT,
+      maxWidth: BUTTON_MAX_WIDTH,
+      listener: () => this.chooseSetupFile(),
+      tandem: options.tandem.createTandem( 'loadSetupButton' )
+    } );
+    options.children = [ saveSetupButton, loadSetupButton ];
+
+    super( options );
+
+    // @private
+    this.model = model;
+    this.viewProperties = viewProperties;
+
+    // @private - the dialog that explains why a file couldn't be loaded, reused for each failure
+    this.errorText = new Text( '', { font: new PhetFont( 16 ), maxWidth: 400 } );
+    this.errorDialog = new Dialog( this.errorText, {
+      title: new Text( setupNotLoadedString, { font: new PhetFont( { size: 18, weight: 'bold' } ), maxWidth: 400 } ),
+      tandem: options.tandem.createTandem( 'errorDialog' )
+    } );
+  }
+
+  /**
+   * Download the current setup as a file.
+   * @private
+   */
+  saveSetup() {
+    const viewOptions = {};
+    _.forOwn( this.viewProperties, ( viewProperty, propertyName ) => {
+      const value = viewProperty.get();
+      viewOptions[ getViewOptionName( propertyName ) ] = typeof value === 'boolean' ? value : value.name;
+    } );
+    const setup = merge( { version: VERSION }, this.model.getScenario(), { viewOptions: viewOptions } );
+
+    const url = URL.createObjectURL( new window.Blob( [ JSON.stringify( setup, null, 2 ) ], {
+      type: 'application/json'
+    } ) );
+    const link = document.createElement( 'a' );
+    link.href = url;
+    link.download = FILE_NAME;
+    link.click();
+    URL.revokeObjectURL( url );
+  }
+
+  /**
+   * Ask the user for a file, and load the setup from it.
+   * @private
+   */
+  chooseSetupFile() {
+    const fileInput = document.createElement( 'input' );
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.addEventListener( 'change', () => {
+      const file = fileInput.files[ 0 ];
+      if ( file ) {
+        const reader = new window.FileReader();
+        reader.onload = () => this.loadSetup( reader.result );
+        reader.readAsText( file );
+      }
+    } );
+    fileInput.click();
+  }
+
+  /**
+   * Load a setup from the text of a file.  The view options are checked before anything is changed, and the model
+   * checks the masses and puts the previous setup back if they aren't valid, so nothing changes if the file can't be
+   * loaded.
+   * @param {string} text
+   * @private
+   */
+  loadSetup( text ) {
+    try {
+      let setup;
+      try {
+        setup = JSON.parse( text );
+      }
+      catch( error ) {
+        throw new Error( setupFileInvalidString );
+      }
+      if ( !_.isPlainObject( setup ) || !_.isPlainObject( setup.viewOptions ) ) {
+        throw new Error( setupFileInvalidString );
+      }
+      if ( setup.version !== VERSION ) {
+        throw new Error( StringUtils.format( pattern0UnsupportedSetupVersionString, setup.version ) );
+      }
+
+      // Options that aren't in the file are left as they are.
+      const viewValues = new Map();
+      _.forOwn( this.viewProperties, ( viewProperty, propertyName ) => {
+        const value = setup.viewOptions[ getViewOptionName( propertyName ) ];
+        if ( value === undefined ) {
+          return;
+        }
+        if ( viewProperty === this.viewProperties.positionMarkerStateProperty ) {
+          if ( !PositionIndicatorChoice.KEYS.includes( value ) ) {
+            throw new Error( setupFileInvalidString );
+          }
+          viewValues.set( viewProperty, PositionIndicatorChoice[ value ] );
+        }
+        else {
+          if ( typeof value !== 'boolean' ) {
+            throw new Error( setupFileInvalidString );
+          }
+          viewValues.set( viewProperty, value );
+        }
+      } );
+
+      this.model.loadScenario( setup );
+      viewValues.forEach( ( value, viewProperty ) => viewProperty.set( value ) );
+    }
+    catch( error ) {
+      this.errorText.text = error.message;
+      this.errorDialog.show();
+    }
+  }
+}
+
+/**
+ * Get the name used in the file for one of the view options, which is the name of its Property without the suffix.
+ * @param {string} propertyName
+ * @returns {string}
+ */
+function getViewOptionName( propertyName ) {
+  return propertyName.replace( /Property$/, '' );
+}
+
+balancingAct.register( 'ScenarioFileButtons', ScenarioFileButtons );
+
+export default ScenarioFileButtons;
@@ -0,0 +1,45 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Drag handler for the support column nodes.  Moves the column horizontally to follow the pointer, within the limits
+ * set by the model.
+ *
+ * @author agent
+ */
+
+import { DragListener } from '../../../../scenery/js/imports.js';
+import balancingAct from '../../balancingAct.js';
+
+class SupportColumnDragHandler extends DragListener {
+
+  /**
+   * @param {BalanceModel|BalanceGameModel} model
+   * @param {LevelSupportColumn|TiltedSupportColumn} supportColumn
+   * @param {ModelViewTransform2} modelViewTransform
+   */
+  constructor( model, supportColumn, modelViewTransform ) {
+
+    // {number} - horizontal offset for dragging, in model coordinate frame
+    let dragOffsetX = 0;
+
+    super( {
+
+      // Allow moving a finger (touch) across a node to pick it up.
+      allowTouchSnag: true,
+
+      start: event => {
+        const parentPoint = this.globalToParentPoint( event.pointer.point );
+        dragOffsetX = supportColumn.centerXProperty.get() - modelViewTransform.viewToModelX( parentPoint.x );
+      },
+
+      drag: event => {
+        const parentPoint = this.globalToParentPoint( event.pointer.point );
+        model.moveSupportColumn( supportColumn, modelViewTransform.viewToModelX( parentPoint.x ) + dragOffsetX );
+      }
+    } );
+  }
+}
+
+balancingAct.register( 'SupportColumnDragHandler', SupportColumnDragHandler );
+
+export default SupportColumnDragHandler;
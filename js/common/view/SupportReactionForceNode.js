@@ -0,0 +1,86 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * An arrow that shows the force with which a level support column pushes on the plank, along with a readout of its
+ * value.  The arrow is drawn over the column, pointing up to the plank when the column is holding the plank up, and
+ * down and away from the plank in the unusual case where the column would have to pull it down.
+ *
+ * @author agent
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Utils from '../../../../dot/js/Utils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ArrowNode from '../../../../scenery-phet/js/ArrowNode.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Node, Rectangle, Text } from '../../../../scenery/js/imports.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+
+const newtonsAbbreviationString = BalancingActStrings.newtonsAbbreviation;
+const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
+
+// constants
+const SCALING_FACTOR = 0.1; // in screen coordinates per newton, chosen to make the arrows a reasonable size
+const LABEL_FONT = new PhetFont( { size: 12, weight: 'bold' } );
+const LABEL_SPACING = 3; // in screen coordinates
+
+class SupportReactionForceNode extends Node {
+
+  /**
+   * @param {LevelSupportColumn} levelSupportColumn
+   * @param {ModelViewTransform2} modelViewTransform
+   */
+  constructor( levelSupportColumn, modelViewTransform ) {
+    super( { pickable: false } );
+
+    const arrowNode = new ArrowNode( 0, 0, 0, 0, {
+      fill: 'rgb( 120, 200, 60 )',
+      stroke: 'black',
+      lineWidth: 1,
+      headHeight: 8,
+      headWidth: 12,
+      tailWidth: 5
+    } );
+    const text = new Text( '', { font: LABEL_FONT, maxWidth: 60 } );
+    const background = new Rectangle( 0, 0, 1, 1, 2, 2, { fill: 'rgba( 255, 255, 255, 0.8 )' } );
+    this.children = [ arrowNode, background, text ];
+
+    // The top of the column is where it touches the plank.  The arrows are limited to the height of the column so that
+    // they don't run into the ground.
+    const contactViewY = modelViewTransform.modelToViewY( levelSupportColumn.shape.bounds.maxY );
+    const maxLength = modelViewTransform.modelToViewDeltaY( -levelSupportColumn.shape.bounds.height ) - 10;
+
+    Multilink.multilink(
+      [ levelSupportColumn.reactionForceProperty, levelSupportColumn.centerXProperty ],
+      ( reactionForce, centerX ) => {
+        this.visible = reactionForce !== null;
+        if ( reactionForce === null ) {
+          return;
+        }
+        const x = modelViewTransform.modelToViewX( centerX );
+        const length = Math.min( Math.abs( reactionForce ) * SCALING_FACTOR, maxLength );
+        if ( reactionForce >= 0 ) {
+          arrowNode.setTailAndTip( x, contactViewY + length, x, contactViewY );
+        }
+        else {
+          arrowNode.setTailAndTip( x, contactViewY, x, contactViewY + length );
+        }
+        arrowNode.visible = length > 0;
+
+        text.text = StringUtils.format(
+          pattern0Value1UnitsString,
+          Utils.toFixed( reactionForce, 0 ),
+          newtonsAbbreviationString
+        );
+        text.centerX = x;
+        text.top = contactViewY + length + LABEL_SPACING;
+        background.setRectBounds( text.bounds.dilatedXY( 2, 1 ) );
+      }
+    );
+  }
+}
+
+balancingAct.register( 'SupportReactionForceNode', SupportReactionForceNode );
+
+export default SupportReactionForceNode;
@@ -0,0 +1,92 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Sonification of the tilt of the plank.  While the plank is moving, a tone plays whose pitch rises as the plank tilts
+ * farther from level and which is panned towards the side that is down.  The tone fades out shortly after the plank
+ * stops moving, so that it isn't heard all the time.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import SoundGenerator from '../../../../tambo/js/sound-generators/SoundGenerator.js';
+import balancingAct from '../../balancingAct.js';
+
+// constants
+const LEVEL_FREQUENCY = 220; // Hz, the pitch of the tone when the plank is level
+const OCTAVES_PER_RADIAN = 4; // how quickly the pitch rises as the plank tilts
+const MAX_PAN = 0.8; // how far towards one side the tone is panned when the plank is resting on the ground
+const TONE_LEVEL = 1; // relative to the output level of this sound generator
+const STOP_DELAY = 0.2; // seconds that the plank must be still before the tone fades out
+const TIME_CONSTANT = 0.015; // seconds, for changes in pitch and volume, prevents clicks
+const FADE_OUT_TIME_CONSTANT = 0.1; // seconds
+
+class TiltToneSoundGenerator extends SoundGenerator {
+
+  /**
+   * @param {Plank} plank
+   * @param {Object} [options]
+   */
+  constructor( plank, options ) {
+
+    options = merge( {
+      initialOutputLevel: 0.1
+    }, options );
+
+    super( options );
+
+    // @private
+    this.plank = plank;
+
+    // @private - the oscillator runs the whole time, and the tone is turned on and off with this gain node
+    this.toneGainNode = this.audioContext.createGain();
+    this.toneGainNode.gain.value = 0;
+    this.pannerNode = this.audioContext.createStereoPanner();
+    this.toneGainNode.connect( this.pannerNode );
+    this.pannerNode.connect( this.soundSourceDestination );
+    this.oscillator = this.audioContext.createOscillator();
+    this.oscillator.type = 'sine';
+    this.oscillator.frequency.value = LEVEL_FREQUENCY;
+    this.oscillator.connect( this.toneGainNode );
+    this.oscillator.start();
+
+    // @private - how long it has been since the plank moved, in seconds
+    this.timeSinceMotion = STOP_DELAY;
+    this.tonePlaying = false;
+
+    plank.tiltAngleProperty.lazyLink( tiltAngle => {
+      const now = this.audioContext.currentTime;
+      const maxTiltAngle = plank.getMaxTiltAngle( tiltAngle );
+      this.oscillator.frequency.setTargetAtTime(
+        LEVEL_FREQUENCY * Math.pow( 2, Math.abs( tiltAngle ) * OCTAVES_PER_RADIAN ),
+        now,
+        TIME_CONSTANT
+      );
+
+      // Positive tilt angles are down on the left, and negative pan values are to the left.
+      this.pannerNode.pan.setTargetAtTime( -MAX_PAN * tiltAngle / maxTiltAngle, now, TIME_CONSTANT );
+      if ( !this.tonePlaying ) {
+        this.toneGainNode.gain.setTargetAtTime( TONE_LEVEL, now, TIME_CONSTANT );
+        this.tonePlaying = true;
+      }
+      this.timeSinceMotion = 0;
+    } );
+  }
+
+  /**
+   * Fade the tone out once the plank has stopped moving.
+   * @param {number} dt
+   * @public
+   */
+  step( dt ) {
+    this.timeSinceMotion += dt;
+    if ( this.tonePlaying && this.timeSinceMotion >= STOP_DELAY ) {
+      this.toneGainNode.gain.setTargetAtTime( 0, this.audioContext.currentTime, FADE_OUT_TIME_CONSTANT );
+      this.tonePlaying = false;
+    }
+  }
+}
+
+balancingAct.register( 'TiltToneSoundGenerator', TiltToneSoundGenerator );
+
+export default TiltToneSoundGenerator;
@@ -21,35 +21,40 @@ class TiltedSupportColumnNode extends Node {
   constructor( modelViewTransform, tiltedSupportColumn, columnState ) {
     super();
 
-    // Create and add the main body of the column.
-    const transformedColumnShape = modelViewTransform.modelToViewShape( tiltedSupportColumn.shape );
-    const mainBodyGradient = new LinearGradient( transformedColumnShape.bounds.minX, 0, transformedColumnShape.bounds.maxX, 0 ).addColorStop( 0, 'rgb( 150, 150, 150 )' ).addColorStop( 0.25, 'rgb( 230, 230, 230 )' ).addColorStop( 0.65, 'rgb( 150, 150, 150 )' ).addColorStop( 1, 'rgb( 200, 200, 200 )' );
-
-    const columnNode = new Path( transformedColumnShape,
-      {
-        fill: mainBodyGradient,
-        stroke: 'black',
-        lineWidth: 1
-      } );
-    this.addChild( columnNode );
-
-    // Create and add the column support.
-    const supportWidth = transformedColumnShape.bounds.width * 1.3; // Empirically determined.
-    const supportHeight = transformedColumnShape.bounds.height * 0.15; // Empirically determined.
-    const supportGradient = new LinearGradient( transformedColumnShape.bounds.centerX - supportWidth / 2, 0, transformedColumnShape.bounds.centerX + supportWidth / 2, 0 ).addColorStop( 0, 'rgb( 150, 150, 150 )' ).addColorStop( 0.25, 'rgb( 210, 210, 210 )' ).addColorStop( 0.65, 'rgb( 150, 150, 150 )' ).addColorStop( 1, 'rgb( 170, 170, 170 )' );
-    const columnSupportNode = new Rectangle(
-      transformedColumnShape.bounds.centerX - supportWidth / 2,
-      transformedColumnShape.bounds.maxY - supportHeight,
-      supportWidth,
-      supportHeight,
-      3,
-      3,
-      {
-        fill: supportGradient,
-        stroke: 'black',
-        lineWidth: 1
-      } );
-    this.addChild( columnSupportNode );
+    // The column is redrawn whenever it moves, since its top is mirrored when it moves to the other end of the plank.
+    tiltedSupportColumn.shapeProperty.link( shape => {
+      this.removeAllChildren();
+
+      // Create and add the main body of the column.
+      const transformedColumnShape = modelViewTransform.modelToViewShape( shape );
+      const mainBodyGradient = new LinearGradient( transformedColumnShape.bounds.minX, 0, transformedColumnShape.bounds.maxX, 0 ).addColorStop( 0, 'rgb( 150, 150, 150 )' ).addColorStop( 0.25, 'rgb( 230, 230, 230 )' ).addColorStop( 0.65, 'rgb( 150, 150, 150 )' ).addColorStop( 1, 'rgb( 200, 200, 200 )' );
+
+      const columnNode = new Path( transformedColumnShape,
+        {
+          fill: mainBodyGradient,
+          stroke: 'black',
+          lineWidth: 1
+        } );
+      this.addChild( columnNode );
+
+      // Create and add the column support.
+      const supportWidth = transformedColumnShape.bounds.width * 1.3; // Empirically determined.
+      const supportHeight = transformedColumnShape.bounds.height * 0.15; // Empirically determined.
+      const supportGradient = new LinearGradient( transformedColumnShape.bounds.centerX - supportWidth / 2, 0, transformedColumnShape.bounds.centerX + supportWidth / 2, 0 ).addColorStop( 0, 'rgb( 150, 150, 150 )' ).addColorStop( 0.25, 'rgb( 210, 210, 210 )' ).addColorStop( 0.65, 'rgb( 150, 150, 150 )' ).addColorStop( 1, 'rgb( 170, 170, 170 )' );
+      const columnSupportNode = new Rectangle(
+        transformedColumnShape.bounds.centerX - supportWidth / 2,
+        transformedColumnShape.bounds.maxY - supportHeight,
+        supportWidth,
+        supportHeight,
+        3,
+        3,
+        {
+          fill: supportGradient,
+          stroke: 'black',
+          lineWidth: 1
+        } );
+      this.addChild( columnSupportNode );
+    } );
 
     columnState.link( state => {
       this.visible = state === ColumnState.SINGLE_COLUMN;
@@ -0,0 +1,216 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * An accordion box that works as a "scratchpad" for the torque equation.  It lists each mass on the plank as a term of
+ * the form m × g × d, where d is the distance from the pivot point, grouped by the side of the pivot point that the
+ * mass is on.  Each side is summed, and the box can show whether the plank is balanced, which also takes the weight of
+ * the plank and any spring scales into account, so it can differ from a comparison of the sums when the plank isn't
+ * supported at its center.  Mystery masses appear as unknowns, so the sums that include them can't be computed.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Text, VBox } from '../../../../scenery/js/imports.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import MassForceVector from '../model/MassForceVector.js';
+import TorquePanel from './TorquePanel.js';
+
+const balancedString = BalancingActStrings.balanced;
+const clockwiseString = BalancingActStrings.clockwise;
+const counterclockwiseString = BalancingActStrings.counterclockwise;
+const kgString = BalancingActStrings.kg;
+const metersAbbreviationString = BalancingActStrings.metersAbbreviation;
+const metersPerSecondSquaredAbbreviationString = BalancingActStrings.metersPerSecondSquaredAbbreviation;
+const newtonMetersAbbreviationString = BalancingActStrings.newtonMetersAbbreviation;
+const notBalancedString = BalancingActStrings.notBalanced;
+const pattern0Mass1Gravity2DistanceString = BalancingActStrings.pattern0Mass1Gravity2Distance;
+const pattern0SumString = BalancingActStrings.pattern0Sum;
+const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
+const torqueEquationString = BalancingActStrings.torqueEquation;
+const unknownMassLabelString = BalancingActStrings.unknownMassLabel;
+
+// constants
+const TITLE_FONT = new PhetFont( 14 );
+const SIDE_TITLE_FONT = new PhetFont( { size: 12, weight: 'bold' } );
+const TERM_FONT = new PhetFont( 12 );
+const MAX_TEXT_WIDTH = 180;
+const GRAVITY = Math.abs( MassForceVector.ACCELERATION_DUE_TO_GRAVITY );
+
+class TorqueEquationAccordionBox extends AccordionBox {
+
+  /**
+   * @param {Plank} plank
+   * @param {Object} [options]
+   */
+  constructor( plank, options ) {
+
+    options = merge( {
+
+      // {Property.<boolean>|null} - whether to show the sum for each side and whether the plank is balanced, which
+      // would give away the answer in the game before it is checked.  They are always shown if this is null.
+      totalsVisibleProperty: null,
+
+      titleNode: new Text( torqueEquationString, { font: TITLE_FONT, maxWidth: MAX_TEXT_WIDTH } ),
+      titleAlignX: 'left',
+      fill: 'rgb( 240, 240, 240 )',
+      cornerRadius: 5,
+      contentXMargin: 8,
+      contentYMargin: 5,
+      buttonXMargin: 6,
+      buttonYMargin: 6,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const equationBox = new VBox( { align: 'left', spacing: 3 } );
+
+    super( equationBox, options );
+
+    // @private
+    this.plank = plank;
+    this.equationBox = equationBox;
+    this.totalsVisibleProperty = options.totalsVisibleProperty;
+
+    // @private - whether the plank is balanced, which is updated on its own since it changes as the plank moves
+    this.balanceText = new Text( '', { font: SIDE_TITLE_FONT, maxWidth: MAX_TEXT_WIDTH } );
+
+    // Rebuild the equation whenever masses are put on or taken off of the plank, or the pivot point moves, since these
+    // change the terms.  The emitters don't fire when the plank is set up all at once, e.g. when the PhET-iO state is
+    // set, so the masses on the surface are watched too.
+    const updateEquation = () => this.updateEquation();
+    plank.massDroppedOnPlankEmitter.addListener( updateEquation );
+    plank.massRemovedFromPlankEmitter.addListener( updateEquation );
+    plank.massesOnSurface.addItemAddedListener( updateEquation );
+    plank.massesOnSurface.addItemRemovedListener( updateEquation );
+    plank.pivotPointProperty.link( updateEquation );
+    if ( this.totalsVisibleProperty ) {
+      this.totalsVisibleProperty.lazyLink( updateEquation );
+    }
+
+    // The torques that aren't in the equation, i.e. those due to the plank and the spring scales, change as the plank
+    // tilts and as the forces of the scales are changed.
+    const updateBalanceText = () => this.updateBalanceText();
+    plank.tiltAngleProperty.lazyLink( updateBalanceText );
+    plank.springScalesOnPlank.addItemAddedListener( springScale => {
+      updateBalanceText();
+      springScale.forceProperty.lazyLink( updateBalanceText );
+    } );
+    plank.springScalesOnPlank.addItemRemovedListener( springScale => {
+      updateBalanceText();
+      springScale.forceProperty.unlink( updateBalanceText );
+    } );
+  }
+
+  /**
+   * @private
+   */
+  updateEquation() {
+    const pivotOffset = this.plank.getPivotOffset();
+
+    // Masses to the left of the pivot point produce counterclockwise torques, masses to the right clockwise ones.
+    const counterclockwiseTerms = [];
+    const clockwiseTerms = [];
+    this.plank.massDistancePairs.forEach( massDistancePair => {
+      const distanceFromPivot = massDistancePair.distance - pivotOffset;
+      const term = {
+        mass: massDistancePair.mass,
+        distance: Math.abs( distanceFromPivot )
+      };
+      if ( distanceFromPivot < 0 ) {
+        counterclockwiseTerms.push( term );
+      }
+      else if ( distanceFromPivot > 0 ) {
+        clockwiseTerms.push( term );
+      }
+    } );
+
+    const totalsVisible = this.areTotalsVisible();
+    this.equationBox.children = [
+      ...createSideNodes( counterclockwiseString, counterclockwiseTerms, totalsVisible,
+        TorquePanel.COUNTERCLOCKWISE_COLOR ),
+      ...createSideNodes( clockwiseString, clockwiseTerms, totalsVisible, TorquePanel.CLOCKWISE_COLOR ),
+      this.balanceText
+    ];
+    this.updateBalanceText();
+  }
+
+  /**
+   * Show whether the plank is balanced, except when there are mystery masses on it, since that would be as much of a
+   * giveaway as the sums that can't be computed.
+   * @private
+   */
+  updateBalanceText() {
+    this.balanceText.visible = this.areTotalsVisible() &&
+                               !_.some( this.plank.massesOnSurface, mass => mass.isMystery );
+    if ( this.balanceText.visible ) {
+      this.balanceText.string = this.plank.isBalanced() ? balancedString : notBalancedString;
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   * @private
+   */
+  areTotalsVisible() {
+    return !this.totalsVisibleProperty || this.totalsVisibleProperty.get();
+  }
+}
+
+/**
+ * Get the total torque for the provided terms, or null if any of them are unknown.
+ * @param {{mass:Mass, distance:number}[]} terms
+ * @returns {number|null}
+ */
+function getTotalTorque( terms ) {
+  if ( _.some( terms, term => term.mass.isMystery ) ) {
+    return null;
+  }
+  return _.sumBy( terms, term => term.mass.massValue * GRAVITY * term.distance );
+}
+
+/**
+ * Create the nodes that show the terms for one side of the pivot point, followed by their sum if it is visible.
+ * @param {string} title
+ * @param {{mass:Mass, distance:number}[]} terms
+ * @param {boolean} sumVisible
+ * @param {Color|string} color
+ * @returns {Node[]}
+ */
+function createSideNodes( title, terms, sumVisible, color ) {
+  const termNodes = terms.map( term => {
+
+    // Mystery masses are shown using their label, if they have one.
+    const massText = term.mass.isMystery ?
+                     ( term.mass.labelText || unknownMassLabelString ) :
+                     StringUtils.format( pattern0Value1UnitsString, term.mass.massValue, kgString );
+    return new Text( StringUtils.format(
+      pattern0Mass1Gravity2DistanceString,
+      massText,
+      StringUtils.format( pattern0Value1UnitsString, GRAVITY, metersPerSecondSquaredAbbreviationString ),
+      StringUtils.format( pattern0Value1UnitsString, Utils.toFixed( term.distance, 2 ), metersAbbreviationString )
+    ), { font: TERM_FONT, maxWidth: MAX_TEXT_WIDTH } );
+  } );
+  const totalTorque = getTotalTorque( terms );
+  const sumText = new Text( StringUtils.format(
+    pattern0SumString,
+    totalTorque === null ?
+    unknownMassLabelString :
+    StringUtils.format( pattern0Value1UnitsString, Utils.toFixed( totalTorque, 1 ), newtonMetersAbbreviationString )
+  ), { font: TERM_FONT, fill: color, maxWidth: MAX_TEXT_WIDTH } );
+
+  return [
+    new Text( title, { font: SIDE_TITLE_FONT, fill: color, maxWidth: MAX_TEXT_WIDTH } ),
+    ...termNodes,
+    ...sumVisible ? [ sumText ] : []
+  ];
+}
+
+balancingAct.register( 'TorqueEquationAccordionBox', TorqueEquationAccordionBox );
+
+export default TorqueEquationAccordionBox;
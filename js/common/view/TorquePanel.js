@@ -0,0 +1,154 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A panel with a bar chart that shows the total counterclockwise and clockwise torques on the plank about the pivot
+ * point, along with the net torque.  The torques due to the masses, the plank itself, and any spring scales are all
+ * included.  If there are mystery masses on the plank, the values are not shown, since they would give away the masses.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox, Line, Node, Rectangle, Text, VBox } from '../../../../scenery/js/imports.js';
+import Panel from '../../../../sun/js/Panel.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+
+const clockwiseString = BalancingActStrings.clockwise;
+const counterclockwiseString = BalancingActStrings.counterclockwise;
+const newtonMetersAbbreviationString = BalancingActStrings.newtonMetersAbbreviation;
+const pattern0NetTorqueString = BalancingActStrings.pattern0NetTorque;
+const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
+const torquesString = BalancingActStrings.torques;
+const unknownMassLabelString = BalancingActStrings.unknownMassLabel;
+
+// constants
+const TITLE_FONT = new PhetFont( 16 );
+const LABEL_FONT = new PhetFont( 11 );
+const READOUT_FONT = new PhetFont( 12 );
+const BAR_WIDTH = 30;
+const MAX_BAR_HEIGHT = 60;
+const MAX_TORQUE = 1500; // in newton-meters, the torque that fills the whole bar, larger values are clamped
+const LABEL_MAX_WIDTH = 65;
+
+/**
+ * @param {number} torque - in newton-meters
+ * @returns {string}
+ */
+function formatTorque( torque ) {
+  return StringUtils.format( pattern0Value1UnitsString, Utils.toFixed( torque, 0 ), newtonMetersAbbreviationString );
+}
+
+class TorquePanel extends Panel {
+
+  /**
+   * @param {Plank} plank
+   * @param {Object} [options]
+   */
+  constructor( plank, options ) {
+
+    options = merge( {
+      fill: 'rgb( 240, 240, 240 )',
+      xMargin: 5
+    }, options );
+
+    const counterclockwiseBar = new TorqueBar( counterclockwiseString, TorquePanel.COUNTERCLOCKWISE_COLOR );
+    const clockwiseBar = new TorqueBar( clockwiseString, TorquePanel.CLOCKWISE_COLOR );
+    const netTorqueText = new Text( '', { font: READOUT_FONT, maxWidth: 2 * LABEL_MAX_WIDTH } );
+
+    const content = new VBox( {
+      children: [
+        new Text( torquesString, { font: TITLE_FONT, maxWidth: 2 * LABEL_MAX_WIDTH } ),
+        new HBox( { children: [ counterclockwiseBar, clockwiseBar ], spacing: 10, align: 'bottom' } ),
+        netTorqueText
+      ],
+      spacing: 5
+    } );
+
+    super( content, options );
+
+    // @private
+    this.plank = plank;
+    this.counterclockwiseBar = counterclockwiseBar;
+    this.clockwiseBar = clockwiseBar;
+    this.netTorqueText = netTorqueText;
+    this.update();
+  }
+
+  /**
+   * Update the bars and the readout.  The torques change whenever the plank moves, so this should be called on every
+   * step while the panel is showing.
+   * @public
+   */
+  update() {
+    const torques = this.plank.massesOnSurface.map( mass => this.plank.getTorqueDueToMass( mass ) );
+    torques.push( this.plank.getTorqueDueToPlank(), this.plank.getTorqueDueToSpringScales() );
+
+    const counterclockwiseTorque = _.sum( torques.filter( torque => torque > 0 ) );
+    const clockwiseTorque = -_.sum( torques.filter( torque => torque < 0 ) );
+    const obfuscated = _.some( this.plank.massesOnSurface, mass => mass.isMystery );
+
+    this.counterclockwiseBar.setTorque( counterclockwiseTorque, obfuscated );
+    this.clockwiseBar.setTorque( clockwiseTorque, obfuscated );
+
+    const netTorque = counterclockwiseTorque - clockwiseTorque;
+    this.netTorqueText.text = StringUtils.format(
+      pattern0NetTorqueString,
+      obfuscated ? unknownMassLabelString : formatTorque( Math.abs( netTorque ) )
+    );
+    this.netTorqueText.fill = obfuscated || Utils.roundSymmetric( netTorque ) === 0 ? 'black' :
+                              netTorque > 0 ? TorquePanel.COUNTERCLOCKWISE_COLOR : TorquePanel.CLOCKWISE_COLOR;
+  }
+}
+
+/**
+ * A single bar in the chart, with its label below and its value above.
+ */
+class TorqueBar extends Node {
+
+  /**
+   * @param {string} label
+   * @param {Color|string} color
+   */
+  constructor( label, color ) {
+    super();
+
+    // @private
+    this.bar = new Rectangle( 0, 0, BAR_WIDTH, 0, { fill: color, stroke: 'black', lineWidth: 1 } );
+    this.valueText = new Text( '', { font: LABEL_FONT, maxWidth: LABEL_MAX_WIDTH } );
+    const labelText = new Text( label, { font: LABEL_FONT, maxWidth: LABEL_MAX_WIDTH } );
+
+    // The bars grow upward from the baseline, and the space above is reserved so that the chart doesn't change size.
+    const baseline = new Line( -5, 0, BAR_WIDTH + 5, 0, { stroke: 'black' } );
+    const spacerWidth = Math.max( BAR_WIDTH, labelText.width );
+    const spacer = new Rectangle( ( BAR_WIDTH - spacerWidth ) / 2, -MAX_BAR_HEIGHT - 15, spacerWidth, 1 );
+    labelText.centerX = BAR_WIDTH / 2;
+    labelText.top = 3;
+    this.children = [ spacer, this.bar, baseline, labelText, this.valueText ];
+  }
+
+  /**
+   * @param {number} torque - magnitude of the torque, in newton-meters
+   * @param {boolean} obfuscated - whether to hide the value
+   * @public
+   */
+  setTorque( torque, obfuscated ) {
+    const height = obfuscated ? 0 : Math.min( torque / MAX_TORQUE, 1 ) * MAX_BAR_HEIGHT;
+    this.bar.setRect( 0, -height, BAR_WIDTH, height );
+    this.bar.visible = height > 0;
+    this.valueText.text = obfuscated ? unknownMassLabelString : formatTorque( torque );
+    this.valueText.centerX = BAR_WIDTH / 2;
+    this.valueText.bottom = -height - 2;
+  }
+}
+
+// static constants - colors used for the torques in each direction, shared with the labels on the masses
+TorquePanel.COUNTERCLOCKWISE_COLOR = 'rgb( 0, 110, 210 )';
+TorquePanel.CLOCKWISE_COLOR = 'rgb( 210, 40, 40 )';
+
+balancingAct.register( 'TorquePanel', TorquePanel );
+
+export default TorquePanel;
@@ -0,0 +1,65 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Buttons for undoing and redoing the changes that the user has made to the setup of the plank.  Each button is only
+ * enabled when there is something for it to do.
+ *
+ * @author agent
+ */
+
+import Matrix3 from '../../../../dot/js/Matrix3.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { HBox, Path } from '../../../../scenery/js/imports.js';
+import undoAltSolidShape from '../../../../sherpa/js/fontawesome-5/undoAltSolidShape.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import balancingAct from '../../balancingAct.js';
+
+// constants
+const ICON_SCALE = 0.05;
+const BUTTON_OPTIONS = {
+  baseColor: 'rgb( 240, 240, 240 )',
+  xMargin: 8,
+  yMargin: 6
+};
+
+class UndoRedoButtons extends HBox {
+
+  /**
+   * @param {PlankEditHistory} editHistory
+   * @param {Object} [options]
+   */
+  constructor( editHistory, options ) {
+
+    options = merge( {
+      spacing: 8,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const undoButton = new RectangularPushButton( merge( {
+      content: new Path( undoAltSolidShape, { scale: ICON_SCALE, fill: 'black' } ),
+      listener: () => editHistory.undo(),
+      tandem: options.tandem.createTandem( 'undoButton' )
+    }, BUTTON_OPTIONS ) );
+    editHistory.canUndoProperty.link( canUndo => { undoButton.enabled = canUndo; } );
+
+    // The redo icon is the undo icon flipped horizontally, so that the two match.
+    const redoButton = new RectangularPushButton( merge( {
+      content: new Path( undoAltSolidShape.transformed( Matrix3.scaling( -1, 1 ) ), {
+        scale: ICON_SCALE,
+        fill: 'black'
+      } ),
+      listener: () => editHistory.redo(),
+      tandem: options.tandem.createTandem( 'redoButton' )
+    }, BUTTON_OPTIONS ) );
+    editHistory.canRedoProperty.link( canRedo => { redoButton.enabled = canRedo; } );
+
+    options.children = [ undoButton, redoButton ];
+
+    super( options );
+  }
+}
+
+balancingAct.register( 'UndoRedoButtons', UndoRedoButtons );
+
+export default UndoRedoButtons;
@@ -19,6 +19,7 @@
 import dotRandom from '../../../../dot/js/dotRandom.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
 import BASharedConstants from '../../common/BASharedConstants.js';
 import Barrel from '../../common/model/masses/Barrel.js';
@@ -50,60 +51,64 @@ import MassDeductionChallenge from './MassDeductionChallenge.js';
 import TiltPredictionChallenge from './TiltPredictionChallenge.js';
 
 // Maximum allowed distance from center of balance for positioning a mass.
-const MAX_DISTANCE_FROM_BALANCE_CENTER_TO_MASS = ( Utils.roundSymmetric( Plank.LENGTH / Plank.INTER_SNAP_TO_MARKER_DISTANCE / 2 ) - 1 ) * Plank.INTER_SNAP_TO_MARKER_DISTANCE;
+const MAX_DISTANCE_FROM_BALANCE_CENTER_TO_MASS = ( Utils.roundSymmetric( Plank.DEFAULT_LENGTH / Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE / 2 ) - 1 ) * Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE;
 
 // Parameters that control how many attempts are made to generate a unique
 // balance challenge.
 const MAX_GEN_ATTEMPTS = 50;
 const MAX_HALVING_OF_PAST_LIST = 3;
 
+// options for all masses used in the game, which are created and thrown away with the challenges, so they aren't
+// instrumented for PhET-iO
+const MASS_OPTIONS = { tandem: Tandem.OPT_OUT };
+
 // List of masses that can be used on either side of the balance challenges
 // or as the fixed masses in mass deduction challenges.
 const BALANCE_CHALLENGE_MASSES = [
-  new BrickStack( 1, Vector2.ZERO ),
-  new BrickStack( 2, Vector2.ZERO ),
-  new BrickStack( 3, Vector2.ZERO ),
-  new BrickStack( 4, Vector2.ZERO ),
-  new TinyRock( Vector2.ZERO, false ),
-  new SmallRock( Vector2.ZERO, false ),
-  new MediumRock( Vector2.ZERO, false ),
-  new BigRock( Vector2.ZERO, false ),
-  new Boy( Vector2.ZERO, false ),
-  new Girl( Vector2.ZERO, false ),
-  new Man( Vector2.ZERO, false ),
-  new Woman( Vector2.ZERO, false ),
-  new Barrel( Vector2.ZERO, false ),
-  new CinderBlock( Vector2.ZERO, false ),
-  new Puppy( Vector2.ZERO, false ),
-  new SodaBottle( Vector2.ZERO, false ),
-  new SmallBucket( Vector2.ZERO, false )
+  new BrickStack( 1, Vector2.ZERO, MASS_OPTIONS ),
+  new BrickStack( 2, Vector2.ZERO, MASS_OPTIONS ),
+  new BrickStack( 3, Vector2.ZERO, MASS_OPTIONS ),
+  new BrickStack( 4, Vector2.ZERO, MASS_OPTIONS ),
+  new TinyRock( Vector2.ZERO, false, MASS_OPTIONS ),
+  new SmallRock( Vector2.ZERO, false, MASS_OPTIONS ),
+  new MediumRock( Vector2.ZERO, false, MASS_OPTIONS ),
+  new BigRock( Vector2.ZERO, false, MASS_OPTIONS ),
+  new Boy( Vector2.ZERO, false, MASS_OPTIONS ),
+  new Girl( Vector2.ZERO, false, MASS_OPTIONS ),
+  new Man( Vector2.ZERO, false, MASS_OPTIONS ),
+  new Woman( Vector2.ZERO, false, MASS_OPTIONS ),
+  new Barrel( Vector2.ZERO, false, MASS_OPTIONS ),
+  new CinderBlock( Vector2.ZERO, false, MASS_OPTIONS ),
+  new Puppy( Vector2.ZERO, false, MASS_OPTIONS ),
+  new SodaBottle( Vector2.ZERO, false, MASS_OPTIONS ),
+  new SmallBucket( Vector2.ZERO, false, MASS_OPTIONS )
 ];
 
 // List of masses that can be used as "mystery masses" in the mass
 // deduction challenges.  These should not appear in other tabs, lest the
 // user could already know their mass.
 const MYSTERY_MASSES = [
-  new FireHydrant( Vector2.ZERO, true ),
-  new Television( Vector2.ZERO, true ),
-  new LargeTrashCan( Vector2.ZERO, true ),
-  new SmallRock( Vector2.ZERO, true ),
-  new Crate( Vector2.ZERO, true ),
-  new FlowerPot( Vector2.ZERO, true ),
-  new MediumBucket( Vector2.ZERO, true ),
-  new LargeBucket( Vector2.ZERO, true ),
-  new PottedPlant( Vector2.ZERO, true ),
-  new Tire( Vector2.ZERO, true )
+  new FireHydrant( Vector2.ZERO, true, MASS_OPTIONS ),
+  new Television( Vector2.ZERO, true, MASS_OPTIONS ),
+  new LargeTrashCan( Vector2.ZERO, true, MASS_OPTIONS ),
+  new SmallRock( Vector2.ZERO, true, MASS_OPTIONS ),
+  new Crate( Vector2.ZERO, true, MASS_OPTIONS ),
+  new FlowerPot( Vector2.ZERO, true, MASS_OPTIONS ),
+  new MediumBucket( Vector2.ZERO, true, MASS_OPTIONS ),
+  new LargeBucket( Vector2.ZERO, true, MASS_OPTIONS ),
+  new PottedPlant( Vector2.ZERO, true, MASS_OPTIONS ),
+  new Tire( Vector2.ZERO, true, MASS_OPTIONS )
 ];
 
 // List of masses that are "low profile", meaning that they are short.
 // This is needed for the tilt-prediction style of problem, since taller
 // masses end up going behind the tilt prediction selector.
 const LOW_PROFILE_MASSES = [
-  new TinyRock( Vector2.ZERO, false ),
-  new SmallRock( Vector2.ZERO, false ),
-  new MediumRock( Vector2.ZERO, false ),
-  new CinderBlock( Vector2.ZERO, false ),
-  new SmallBucket( Vector2.ZERO, false )
+  new TinyRock( Vector2.ZERO, false, MASS_OPTIONS ),
+  new SmallRock( Vector2.ZERO, false, MASS_OPTIONS ),
+  new MediumRock( Vector2.ZERO, false, MASS_OPTIONS ),
+  new CinderBlock( Vector2.ZERO, false, MASS_OPTIONS ),
+  new SmallBucket( Vector2.ZERO, false, MASS_OPTIONS )
 ];
 
 // Lists used to keep track of the challenges generated so far so that we
@@ -176,7 +181,7 @@ const BalanceGameChallengeFactory = {
         distanceList = [];
         for ( let k = 0; k < masses.length; k++ ) {
           // Just add a linear set of distances.
-          distanceList.push( minDistance + Plank.INTER_SNAP_TO_MARKER_DISTANCE * k );
+          distanceList.push( minDistance + Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE * k );
           // Output a warning.
           console.log( ' Warning: Unable to find enough unique distances for positioning masses.' );
         }
@@ -208,17 +213,17 @@ const BalanceGameChallengeFactory = {
    * is quantized), which is why this is needed.
    */
   generateRandomValidPlankDistance() {
-    const maxDistance = Plank.LENGTH / 2;
-    const increment = Plank.INTER_SNAP_TO_MARKER_DISTANCE;
+    const maxDistance = Plank.DEFAULT_LENGTH / 2;
+    const increment = Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE;
     const maxIncrements = Utils.roundSymmetric( maxDistance / increment ) - 1;
     return ( this.randInt( maxIncrements ) + 1 ) * increment;
   },
 
   generateRandomValidPlankDistanceRange( minDistance, maxDistance ) {
-    const minIncrements = Math.ceil( minDistance / Plank.INTER_SNAP_TO_MARKER_DISTANCE );
-    const maxIncrements = Math.floor( maxDistance / Plank.INTER_SNAP_TO_MARKER_DISTANCE );
+    const minIncrements = Math.ceil( minDistance / Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE );
+    const maxIncrements = Math.floor( maxDistance / Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE );
 
-    return ( this.randInt( maxIncrements - minIncrements + 1 ) + minIncrements ) * Plank.INTER_SNAP_TO_MARKER_DISTANCE;
+    return ( this.randInt( maxIncrements - minIncrements + 1 ) + minIncrements ) * Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE;
   },
 
   /**
@@ -254,14 +259,14 @@ const BalanceGameChallengeFactory = {
    */
   getPossibleDistanceList( massOfFixedItem, massOfMovableItem ) {
     const validFixedMassDistances = [];
-    for ( let testDistance = Plank.INTER_SNAP_TO_MARKER_DISTANCE;
-          testDistance <= Plank.MAX_VALID_MASS_DISTANCE_FROM_CENTER;
-          testDistance += Plank.INTER_SNAP_TO_MARKER_DISTANCE ) {
+    for ( let testDistance = Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE;
+          testDistance <= Plank.DEFAULT_MAX_VALID_MASS_DISTANCE_FROM_CENTER;
+          testDistance += Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE ) {
 
       const possibleFixedMassDistance = testDistance * massOfMovableItem / massOfFixedItem;
-      if ( possibleFixedMassDistance <= Plank.MAX_VALID_MASS_DISTANCE_FROM_CENTER &&
-           possibleFixedMassDistance >= Plank.INTER_SNAP_TO_MARKER_DISTANCE - BASharedConstants.COMPARISON_TOLERANCE &&
-           possibleFixedMassDistance % Plank.INTER_SNAP_TO_MARKER_DISTANCE < BASharedConstants.COMPARISON_TOLERANCE ) {
+      if ( possibleFixedMassDistance <= Plank.DEFAULT_MAX_VALID_MASS_DISTANCE_FROM_CENTER &&
+           possibleFixedMassDistance >= Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE - BASharedConstants.COMPARISON_TOLERANCE &&
+           possibleFixedMassDistance % Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE < BASharedConstants.COMPARISON_TOLERANCE ) {
         // This is a valid distance.
         validFixedMassDistances.push( possibleFixedMassDistance );
       }
@@ -270,7 +275,11 @@ const BalanceGameChallengeFactory = {
   },
 
   createTwoBrickStackChallenge( numBricksInFixedStack, fixedStackDistanceFromCenter, numBricksInMovableStack ) {
-    return BalanceMassesChallenge.create1Fixed1Movable( new BrickStack( numBricksInFixedStack ), fixedStackDistanceFromCenter, new BrickStack( numBricksInMovableStack ) );
+    return BalanceMassesChallenge.create1Fixed1Movable(
+      new BrickStack( numBricksInFixedStack, Vector2.ZERO, MASS_OPTIONS ),
+      fixedStackDistanceFromCenter,
+      new BrickStack( numBricksInMovableStack, Vector2.ZERO, MASS_OPTIONS )
+    );
   },
 
   /**
@@ -364,7 +373,7 @@ const BalanceGameChallengeFactory = {
     }
     while ( !this.isChallengeSolvable( fixedMassPrototype.massValue,
       movableMass.massValue,
-      Plank.INTER_SNAP_TO_MARKER_DISTANCE,
+      Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE,
       MAX_DISTANCE_FROM_BALANCE_CENTER_TO_MASS ) );
 
     // Randomly choose a distance to use for the fixed mass position.
@@ -386,7 +395,7 @@ const BalanceGameChallengeFactory = {
       const fixedMass2Prototype = BALANCE_CHALLENGE_MASSES[ this.randInt( BALANCE_CHALLENGE_MASSES.length ) ];
       const movableMassPrototype = BALANCE_CHALLENGE_MASSES[ this.randInt( BALANCE_CHALLENGE_MASSES.length ) ];
       solvableChallenges = this.generateSolvableChallenges( fixedMass1Prototype, fixedMass2Prototype, movableMassPrototype,
-        Plank.INTER_SNAP_TO_MARKER_DISTANCE, Plank.LENGTH / 2 - Plank.INTER_SNAP_TO_MARKER_DISTANCE );
+        Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE, Plank.DEFAULT_LENGTH / 2 - Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE );
     } while ( solvableChallenges.length === 0 );
 
     // Choose one of the solvable configurations at random.
@@ -409,14 +418,14 @@ const BalanceGameChallengeFactory = {
     // Choose a distance from the center, which will be used for
     // positioning both stacks.  The max and min values can be tweaked if
     // desired to limit the range of distances generated.
-    const distanceFromPlankCenter = this.generateRandomValidPlankDistance( Plank.INTER_SNAP_TO_MARKER_DISTANCE,
-      Plank.LENGTH / 2 - Plank.INTER_SNAP_TO_MARKER_DISTANCE * 3 );
+    const distanceFromPlankCenter = this.generateRandomValidPlankDistance( Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE,
+      Plank.DEFAULT_LENGTH / 2 - Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE * 3 );
 
     // Create the actual challenge from the pieces.
     return TiltPredictionChallenge.create(
-      new BrickStack( numBricksInLeftStack ),
+      new BrickStack( numBricksInLeftStack, Vector2.ZERO, MASS_OPTIONS ),
       distanceFromPlankCenter,
-      new BrickStack( numBricksInRightStack ),
+      new BrickStack( numBricksInRightStack, Vector2.ZERO, MASS_OPTIONS ),
       -distanceFromPlankCenter );
   },
 
@@ -430,28 +439,30 @@ const BalanceGameChallengeFactory = {
     const generateRandomValidPlankDistanceRange = 1 + this.randInt( 4 );
 
     // Generate distance for the left mass.
-    const leftMassDistance = this.generateRandomValidPlankDistanceRange( 2 * Plank.INTER_SNAP_TO_MARKER_DISTANCE,
-      Plank.LENGTH / 2 - Plank.INTER_SNAP_TO_MARKER_DISTANCE * 2 );
+    const leftMassDistance = this.generateRandomValidPlankDistanceRange( 2 * Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE,
+      Plank.DEFAULT_LENGTH / 2 - Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE * 2 );
 
     // Make a fixed proportion of these challenges balanced and the rest
     // not balanced.
     let rightMassDistance = -leftMassDistance;
     if ( dotRandom.nextDouble() > 0.2 ) {
-      rightMassDistance = -this.generateRandomValidPlankDistanceRange( 2 * Plank.INTER_SNAP_TO_MARKER_DISTANCE,
-        Plank.LENGTH / 2 - Plank.INTER_SNAP_TO_MARKER_DISTANCE * 2 );
+      rightMassDistance = -this.generateRandomValidPlankDistanceRange( 2 * Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE,
+        Plank.DEFAULT_LENGTH / 2 - Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE * 2 );
     }
 
     // Create the actual challenge from the pieces.
-    return TiltPredictionChallenge.create( new BrickStack( generateRandomValidPlankDistanceRange ),
+    return TiltPredictionChallenge.create(
+      new BrickStack( generateRandomValidPlankDistanceRange, Vector2.ZERO, MASS_OPTIONS ),
       leftMassDistance,
-      new BrickStack( generateRandomValidPlankDistanceRange ),
-      rightMassDistance );
+      new BrickStack( generateRandomValidPlankDistanceRange, Vector2.ZERO, MASS_OPTIONS ),
+      rightMassDistance
+    );
   },
 
   generateModerateTiltPredictionChallenge() {
     // Select the masses, bricks on one side, non bricks on the other.
     let leftMass = LOW_PROFILE_MASSES[ this.randInt( LOW_PROFILE_MASSES.length ) ].createCopy();
-    let rightMass = new BrickStack( this.randInt( 4 ) + 1 );
+    let rightMass = new BrickStack( this.randInt( 4 ) + 1, Vector2.ZERO, MASS_OPTIONS );
     if ( dotRandom.nextDouble() >= 0.5 ) {
       // Switch the masses.
       const tempMassPrototype = leftMass;
@@ -461,8 +472,8 @@ const BalanceGameChallengeFactory = {
 
     // Make the masses almost but not quite balanced.
     const massDistancePairs = this.positionMassesCloseToBalancing(
-      Plank.INTER_SNAP_TO_MARKER_DISTANCE,
-      Plank.LENGTH / 2 - 2 * Plank.INTER_SNAP_TO_MARKER_DISTANCE,
+      Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE,
+      Plank.DEFAULT_LENGTH / 2 - 2 * Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE,
       [ leftMass, rightMass ] );
 
     return new TiltPredictionChallenge( massDistancePairs );
@@ -472,12 +483,12 @@ const BalanceGameChallengeFactory = {
     // Choose three random masses, bricks on one side, non-bricks on the other.
     const mass1 = LOW_PROFILE_MASSES[ this.randInt( LOW_PROFILE_MASSES.length ) ].createCopy();
     const mass2 = LOW_PROFILE_MASSES[ this.randInt( LOW_PROFILE_MASSES.length ) ].createCopy();
-    const mass3 = new BrickStack( this.randInt( 4 ) + 1 );
+    const mass3 = new BrickStack( this.randInt( 4 ) + 1, Vector2.ZERO, MASS_OPTIONS );
 
     // Get a set of mass-distance pairs comprised of these masses
     // positioned in such a way that they are almost, but not quite, balanced.
-    const massDistancePairs = this.positionMassesCloseToBalancing( Plank.INTER_SNAP_TO_MARKER_DISTANCE,
-      Plank.LENGTH / 2 - Plank.INTER_SNAP_TO_MARKER_DISTANCE, [ mass1, mass2, mass3 ] );
+    const massDistancePairs = this.positionMassesCloseToBalancing( Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE,
+      Plank.DEFAULT_LENGTH / 2 - Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE, [ mass1, mass2, mass3 ] );
 
     // Create the actual challenge from the pieces.
     return new TiltPredictionChallenge( massDistancePairs );
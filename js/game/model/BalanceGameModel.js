@@ -9,31 +9,60 @@
  * @author John Blanco
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import Emitter from '../../../../axon/js/Emitter.js';
 import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
-import Property from '../../../../axon/js/Property.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import stepTimer from '../../../../axon/js/stepTimer.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import BooleanIO from '../../../../tandem/js/types/BooleanIO.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import StringIO from '../../../../tandem/js/types/StringIO.js';
 import balancingAct from '../../balancingAct.js';
+import BASharedConstants from '../../common/BASharedConstants.js';
 import ColumnState from '../../common/model/ColumnState.js';
 import Fulcrum from '../../common/model/Fulcrum.js';
 import LevelSupportColumn from '../../common/model/LevelSupportColumn.js';
 import Plank from '../../common/model/Plank.js';
 import BalanceGameChallengeFactory from './BalanceGameChallengeFactory.js';
 import BalanceMassesChallenge from './BalanceMassesChallenge.js';
+import CustomChallengeFactory from './CustomChallengeFactory.js';
 import MassDeductionChallenge from './MassDeductionChallenge.js';
 import TiltedSupportColumn from './TiltedSupportColumn.js';
+import TiltPrediction from './TiltPrediction.js';
 import TiltPredictionChallenge from './TiltPredictionChallenge.js';
 
 // constants
 const MAX_LEVELS = 4;
 const MAX_POINTS_PER_PROBLEM = 2;
 const CHALLENGES_PER_PROBLEM_SET = 6;
-const MAX_SCORE_PER_GAME = MAX_POINTS_PER_PROBLEM * CHALLENGES_PER_PROBLEM_SET;
+const CUSTOM_LEVEL = MAX_LEVELS; // the level made of challenges from a file, which comes after the built-in ones
+const MOVABLE_MASS_SPACING = 0.4; // In meters, between the masses that are lined up next to the plank.
 const FULCRUM_HEIGHT = 0.85; // In meters.
 const PLANK_HEIGHT = 0.75; // In meters.
 
+// valid values for the game state
+const GAME_STATES = [
+  'choosingLevel',
+  'presentingInteractiveChallenge',
+  'showingCorrectAnswerFeedback',
+  'showingIncorrectAnswerFeedbackTryAgain',
+  'showingIncorrectAnswerFeedbackMoveOn',
+  'displayingCorrectAnswer',
+  'showingLevelResults'
+];
+
+// The challenges are generated when a level is started and aren't part of the PhET-iO state, so the Properties that
+// track the progress through them are read-only and are left out of the state.  They appear in the data stream.
+const GAME_PROGRESS_PHET_IO_OPTIONS = { phetioReadOnly: true, phetioState: false };
+
 class BalanceGameModel {
 
   /**
@@ -41,24 +70,109 @@ class BalanceGameModel {
    */
   constructor( tandem ) {
 
-    this.timerEnabledProperty = new Property( false );
-    this.levelProperty = new Property( 0 ); // Zero-based in the model, though levels appear to the user to start at 1.
-    this.challengeIndexProperty = new Property( 0 );
-    this.scoreProperty = new Property( 0 );
+    this.timerEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'timerEnabledProperty' )
+    } );
 
-    // Valid values for gameState are 'choosingLevel', 'presentingInteractiveChallenge', 'showingCorrectAnswerFeedback',
-    // 'showingIncorrectAnswerFeedbackTryAgain', 'showingIncorrectAnswerFeedbackMoveOn', 'displayingCorrectAnswer',
-    // 'showingLevelResults'
-    this.gameStateProperty = new Property( 'choosingLevel' );
-    this.columnStateProperty = new EnumerationDeprecatedProperty( ColumnState, ColumnState.SINGLE_COLUMN );
-    this.elapsedTimeProperty = new Property( 0 );
+    // Zero-based in the model, though levels appear to the user to start at 1.
+    this.levelProperty = new NumberProperty( 0, merge( {
+      numberType: 'Integer',
+      range: new Range( 0, CUSTOM_LEVEL ),
+      tandem: tandem.createTandem( 'levelProperty' ),
+      phetioDocumentation: 'The level being played, zero-based, so 0 is the level shown to the user as level 1.  The ' +
+                           'last level is made of the challenges loaded from a file, if any.'
+    }, GAME_PROGRESS_PHET_IO_OPTIONS ) );
+    this.challengeIndexProperty = new NumberProperty( 0, merge( {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'challengeIndexProperty' ),
+      phetioDocumentation: 'The index of the current challenge in the level, zero-based'
+    }, GAME_PROGRESS_PHET_IO_OPTIONS ) );
+    this.numberOfChallengesProperty = new NumberProperty( CHALLENGES_PER_PROBLEM_SET, merge( {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'numberOfChallengesProperty' ),
+      phetioDocumentation: 'The number of challenges in the level being played'
+    }, GAME_PROGRESS_PHET_IO_OPTIONS ) );
+    this.scoreProperty = new NumberProperty( 0, merge( {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'scoreProperty' ),
+      phetioDocumentation: 'The number of points earned so far in the level being played'
+    }, GAME_PROGRESS_PHET_IO_OPTIONS ) );
+    this.gameStateProperty = new StringProperty( 'choosingLevel', merge( {
+      validValues: GAME_STATES,
+      tandem: tandem.createTandem( 'gameStateProperty' )
+    }, GAME_PROGRESS_PHET_IO_OPTIONS ) );
+    this.columnStateProperty = new EnumerationDeprecatedProperty( ColumnState, ColumnState.SINGLE_COLUMN, merge( {
+      tandem: tandem.createTandem( 'columnStateProperty' )
+    }, GAME_PROGRESS_PHET_IO_OPTIONS ) );
+    this.elapsedTimeProperty = new NumberProperty( 0, merge( {
+      units: 's',
+      tandem: tandem.createTandem( 'elapsedTimeProperty' ),
+      phetioDocumentation: 'The time spent on the level being played, in whole seconds'
+    }, GAME_PROGRESS_PHET_IO_OPTIONS ) );
+
+    // @public (read-only) {Object|null} - the contents of the challenge file that the custom level is made from, see
+    // CustomChallengeFactory, null if no file has been loaded
+    this.customChallengeFile = null;
+
+    // @public - the number of challenges in the custom level, zero if no file has been loaded
+    this.numberOfCustomChallengesProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'numberOfCustomChallengesProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'The number of challenges that have been loaded from a file for the custom level, which ' +
+                           'is shown to the user after the built-in levels, zero if no file has been loaded'
+    } );
 
-    // Best times and scores.
+    // Best times and scores, including those for the custom level.
     this.bestTimes = [];
     this.mostRecentScores = [];
-    _.times( MAX_LEVELS, () => {
+    _.times( MAX_LEVELS + 1, level => {
       this.bestTimes.push( null );
-      this.mostRecentScores.push( new Property( 0 ) );
+      this.mostRecentScores.push( new NumberProperty( 0, {
+        numberType: 'Integer',
+        tandem: tandem.createTandem( `level${level + 1}MostRecentScoreProperty` ),
+        phetioReadOnly: true,
+        phetioDocumentation: 'The score from the most recent time that this level was completed'
+      } ) );
+    } );
+
+    // @public - emitted when a challenge is presented to the user
+    this.challengeStartedEmitter = new Emitter( {
+      tandem: tandem.createTandem( 'challengeStartedEmitter' ),
+      parameters: [
+        { name: 'level', phetioType: NumberIO },
+        { name: 'challengeIndex', phetioType: NumberIO },
+        { name: 'challengeType', phetioType: StringIO } ],
+      phetioDocumentation: 'Emits when a challenge is presented, with the zero-based level and challenge index.  The ' +
+                           'challenge type is one of "balanceMasses", "tiltPrediction" or "massDeduction".'
+    } );
+
+    // @public - emitted when the user checks an answer
+    this.answerCheckedEmitter = new Emitter( {
+      tandem: tandem.createTandem( 'answerCheckedEmitter' ),
+      parameters: [
+        { name: 'challengeType', phetioType: StringIO },
+        { name: 'isCorrect', phetioType: BooleanIO },
+        { name: 'pointsEarned', phetioType: NumberIO },
+        { name: 'massAnswer', phetioType: NullableIO( NumberIO ) },
+        { name: 'tiltPrediction', phetioType: NullableIO( StringIO ) },
+        { name: 'plankState', phetioType: Plank.PlankIO } ],
+      phetioDocumentation: 'Emits when the user checks an answer.  The mass answer, in kg, is only provided for mass ' +
+                           'deduction challenges, and the tilt prediction, one of the TiltPrediction keys other ' +
+                           'than NONE, only for tilt prediction challenges.  The plank state shows where the user ' +
+                           'put the masses.'
+    } );
+
+    // @public - emitted when the user has finished all of the challenges in a level
+    this.levelCompletedEmitter = new Emitter( {
+      tandem: tandem.createTandem( 'levelCompletedEmitter' ),
+      parameters: [
+        { name: 'level', phetioType: NumberIO },
+        { name: 'score', phetioType: NumberIO },
+        { name: 'elapsedTime', phetioType: NumberIO },
+        { name: 'isNewBestTime', phetioType: BooleanIO } ],
+      phetioDocumentation: 'Emits when a level is completed, with the zero-based level, the score, and the time spent ' +
+                           'on the level in seconds.'
     } );
 
     // Counter used to track number of incorrect answers.
@@ -77,19 +191,35 @@ class BalanceGameModel {
     // Masses that the user is (or users are) moving.
     this.userControlledMasses = [];
 
-    // Add the plank.
+    // Add the plank.  This uses the default length, mass and snap-to spacing, since the challenge factory generates
+    // distances based on those values.
+    // The masses in the game aren't instrumented, so the plank can't be restored from the PhET-iO state.
     this.plank = new Plank( new Vector2( 0, PLANK_HEIGHT ), new Vector2( 0, FULCRUM_HEIGHT ), this.columnStateProperty, this.userControlledMasses,
-      tandem.createTandem( 'plank' ) );
-
-    // Tilted support column.  In this model, there is only one.
-    const tiltedSupportColumnXPos = 1.8; // Meters, empirically chosen to look good.
-    this.tiltedSupportColumn = new TiltedSupportColumn( PLANK_HEIGHT + tiltedSupportColumnXPos * Math.tan( this.plank.maxTiltAngle ),
-      tiltedSupportColumnXPos, -this.plank.maxTiltAngle );
+      tandem.createTandem( 'plank' ), { phetioState: false } );
+
+    // Tilted support column.  In this model, there is only one.  It is just tall enough for the plank to rest on it
+    // with the other end on the ground when it is in its initial position, where the bottom of the plank, which is
+    // always the same distance from the pivot point, is at the max tilt angle.
+    const tiltedSupportColumnXPos = this.plank.length * 0.4; // Meters, empirically chosen to look good.
+    const maxTiltAngle = this.plank.maxTiltAngle;
+    const tiltedSupportColumnHeight = FULCRUM_HEIGHT +
+                                      ( tiltedSupportColumnXPos * Math.sin( maxTiltAngle ) -
+                                        ( FULCRUM_HEIGHT - PLANK_HEIGHT ) ) / Math.cos( maxTiltAngle );
+    this.tiltedSupportColumn = new TiltedSupportColumn( tiltedSupportColumnHeight, tiltedSupportColumnXPos,
+      -maxTiltAngle, tandem.createTandem( 'tiltedSupportColumn' ) );
+
+    // The plank rests on the tilted support column when it is the only one in place.  The user can move the column
+    // farther out or under the other end of the plank, in which case the plank can lift off of it when the torque
+    // reverses, or tip over it if the load beyond it is heavy enough.
+    this.tiltedSupportColumn.centerXProperty.link( () => {
+      this.plank.singleSupportPointProperty.set( this.tiltedSupportColumn.getContactPoint() );
+    } );
 
     // Level support columns.
+    const levelSupportColumnXPos = this.plank.length / 2 - BASharedConstants.SUPPORT_COLUMN_INSET;
     this.levelSupportColumns = [
-      new LevelSupportColumn( PLANK_HEIGHT, -1.625 ),
-      new LevelSupportColumn( PLANK_HEIGHT, 1.625 )
+      new LevelSupportColumn( PLANK_HEIGHT, -levelSupportColumnXPos ),
+      new LevelSupportColumn( PLANK_HEIGHT, levelSupportColumnXPos )
     ];
 
     // Fulcrum on which the plank pivots
@@ -110,6 +240,22 @@ class BalanceGameModel {
     } );
   }
 
+  /**
+   * Move the tilted support column to the provided horizontal position, limited to where the plank can rest on it.  The
+   * column can be under either end of the plank, but no closer to the pivot point than its initial position, since the
+   * other end of the plank would reach the ground before the plank came down on it, and no farther out than the end of
+   * the plank.
+   * @param {TiltedSupportColumn} supportColumn
+   * @param {number} x - in meters
+   * @public
+   */
+  moveSupportColumn( supportColumn, x ) {
+    assert && assert( supportColumn === this.tiltedSupportColumn, 'only the tilted support column can be moved' );
+    const minDistance = Math.abs( supportColumn.centerXProperty.initialValue );
+    const maxDistance = this.plank.length / 2 - TiltedSupportColumn.COLUMN_WIDTH / 2;
+    supportColumn.centerXProperty.set( ( x < 0 ? -1 : 1 ) * Utils.clamp( Math.abs( x ), minDistance, maxDistance ) );
+  }
+
   /**
    * @public
    */
@@ -117,17 +263,34 @@ class BalanceGameModel {
     this.timerEnabledProperty.reset();
     this.levelProperty.reset();
     this.challengeIndexProperty.reset();
+    this.numberOfChallengesProperty.reset();
     this.scoreProperty.reset();
     this.gameStateProperty.reset();
     this.columnStateProperty.reset();
+    this.tiltedSupportColumn.centerXProperty.reset();
     this.elapsedTimeProperty.reset();
     this.mostRecentScores.forEach( mostRecentScoreProperty => { mostRecentScoreProperty.reset(); } );
     this.bestTimes = [];
-    _.times( MAX_LEVELS, () => {
+    _.times( MAX_LEVELS + 1, () => {
       this.bestTimes.push( null );
     } );
   }
 
+  /**
+   * Use the challenges from a challenge file for the custom level.  The file is checked first, and an error with a
+   * message that can be shown to the user is thrown if it can't be played, in which case the custom level is left as
+   * it was.  The score and best time for the custom level are cleared, since they were for other challenges.
+   * @param {Object} challengeFile - the parsed contents of the file, see CustomChallengeFactory
+   * @public
+   */
+  setCustomChallenges( challengeFile ) {
+    CustomChallengeFactory.validateChallengeFile( challengeFile );
+    this.customChallengeFile = challengeFile;
+    this.mostRecentScores[ CUSTOM_LEVEL ].reset();
+    this.bestTimes[ CUSTOM_LEVEL ] = null;
+    this.numberOfCustomChallengesProperty.set( challengeFile.challenges.length );
+  }
+
   /**
    * @param {number} level
    * @public
@@ -139,13 +302,17 @@ class BalanceGameModel {
     this.restartGameTimer();
 
     // Set up the challenges.
-    this.challengeList = BalanceGameChallengeFactory.generateChallengeSet( level );
+    this.challengeList = level === CUSTOM_LEVEL ?
+                         CustomChallengeFactory.createChallenges( this.customChallengeFile ) :
+                         BalanceGameChallengeFactory.generateChallengeSet( level );
+    this.numberOfChallengesProperty.set( this.challengeList.length );
 
     // Set up the model for the next challenge
     this.setChallenge( this.challengeList[ 0 ], this.challengeList[ 0 ].initialColumnState );
 
     // Change to new game state.
     this.gameStateProperty.set( 'presentingInteractiveChallenge' );
+    this.emitChallengeStarted();
 
     // Flag set to indicate new best time, cleared each time a level is started.
     this.newBestTime = false;
@@ -162,8 +329,10 @@ class BalanceGameModel {
     this.plank.removeAllMasses();
     this.userControlledMasses.length = 0;
 
-    // Force the plank to be level and still.  This prevents any floating point inaccuracies when adding masses.
+    // Force the plank to be level and still.  This prevents any floating point inaccuracies when adding masses.  Each
+    // challenge starts with the tilted support column back in its initial position.
     this.columnStateProperty.set( ColumnState.DOUBLE_COLUMNS );
+    this.tiltedSupportColumn.centerXProperty.reset();
 
     // Clear out the masses from the previous challenge.
     this.fixedMasses.clear();
@@ -175,8 +344,11 @@ class BalanceGameModel {
       this.plank.addMassToSurfaceAt( fixedMassDistancePair.mass, fixedMassDistancePair.distance );
     } );
 
-    balanceChallenge.movableMasses.forEach( mass => {
-      const initialPosition = new Vector2( 3, 0 );
+    // The movable masses are lined up on the ground to the right of the plank, centered on the same spot for any number
+    // of masses.
+    balanceChallenge.movableMasses.forEach( ( mass, index ) => {
+      const offset = ( index - ( balanceChallenge.movableMasses.length - 1 ) / 2 ) * MOVABLE_MASS_SPACING;
+      const initialPosition = new Vector2( 3 + offset, 0 );
       mass.positionProperty.set( initialPosition );
       mass.userControlledProperty.link( userControlled => {
         if ( userControlled ) {
@@ -217,13 +389,24 @@ class BalanceGameModel {
    * @public
    */
   getChallengeCurrentPointValue() {
-    return MAX_POINTS_PER_PROBLEM - this.incorrectGuessesOnCurrentChallenge;
+
+    // Challenges from a file can allow more attempts than there are points, and the later attempts are worth nothing.
+    return Math.max( MAX_POINTS_PER_PROBLEM - this.incorrectGuessesOnCurrentChallenge, 0 );
+  }
+
+  /**
+   * Get the score for getting all of the challenges in the level being played right on the first attempt.
+   * @returns {number}
+   * @public
+   */
+  getMaxPossibleScore() {
+    return MAX_POINTS_PER_PROBLEM * this.numberOfChallengesProperty.get();
   }
 
   /**
    * Check the user's proposed answer.  Used overloaded functions in the original Java sim, a little ugly when ported.
-   * @param mass
-   * @param tiltPrediction
+   * @param {number|null} mass
+   * @param {TiltPrediction|null} tiltPrediction
    * @public
    */
   checkAnswer( mass, tiltPrediction ) {
@@ -232,31 +415,31 @@ class BalanceGameModel {
       // Turn off the column(s) so that the plank can move.
       this.columnStateProperty.set( ColumnState.NO_COLUMNS );
 
-      this.handleProposedAnswer( this.plank.isBalanced() );
+      this.handleProposedAnswer( this.plank.isBalanced(), null, null );
     }
     else if ( this.getCurrentChallenge() instanceof TiltPredictionChallenge ) {
 
-      const isAnswerCorrect = ( tiltPrediction === 'tiltDownOnLeftSide' && this.plank.getTorqueDueToMasses() > 0 ) ||
-                              ( tiltPrediction === 'tiltDownOnRightSide' && this.plank.getTorqueDueToMasses() < 0 ) ||
-                              ( tiltPrediction === 'stayBalanced' && this.plank.getTorqueDueToMasses() === 0 );
+      const isAnswerCorrect = tiltPrediction === this.getTipDirection();
 
       if ( isAnswerCorrect ) {
         // Turn off the column(s) so that the plank can move.
         this.columnStateProperty.set( ColumnState.NO_COLUMNS );
       }
 
-      this.handleProposedAnswer( isAnswerCorrect );
+      this.handleProposedAnswer( isAnswerCorrect, null, tiltPrediction );
     }
     else if ( this.getCurrentChallenge() instanceof MassDeductionChallenge ) {
-      this.handleProposedAnswer( mass === this.getTotalFixedMassValue() );
+      this.handleProposedAnswer( mass === this.getTotalFixedMassValue(), mass, null );
     }
   }
 
   /**
    * @param {boolean} answerIsCorrect
+   * @param {number|null} massAnswer - the mass entered by the user, for mass deduction challenges
+   * @param {TiltPrediction|null} tiltPrediction - the user's prediction, for tilt prediction challenges
    * @private
    */
-  handleProposedAnswer( answerIsCorrect ) {
+  handleProposedAnswer( answerIsCorrect, massAnswer, tiltPrediction ) {
     let pointsEarned = 0;
     if ( answerIsCorrect ) {
       // The user answered the challenge correctly.
@@ -267,7 +450,7 @@ class BalanceGameModel {
       }
       else {
         // User got it wrong at first, but got it right now.
-        pointsEarned = MAX_POINTS_PER_PROBLEM - this.incorrectGuessesOnCurrentChallenge;
+        pointsEarned = this.getChallengeCurrentPointValue();
       }
       this.scoreProperty.value += pointsEarned;
     }
@@ -281,6 +464,26 @@ class BalanceGameModel {
         this.gameStateProperty.set( 'showingIncorrectAnswerFeedbackMoveOn' );
       }
     }
+
+    this.answerCheckedEmitter.emit(
+      getChallengeType( this.getCurrentChallenge() ),
+      answerIsCorrect,
+      pointsEarned,
+      massAnswer,
+      tiltPrediction,
+      this.plank
+    );
+  }
+
+  /**
+   * @private
+   */
+  emitChallengeStarted() {
+    this.challengeStartedEmitter.emit(
+      this.levelProperty.get(),
+      this.challengeIndexProperty.get(),
+      getChallengeType( this.getCurrentChallenge() )
+    );
   }
 
   /**
@@ -302,12 +505,13 @@ class BalanceGameModel {
       // Move to the next challenge.
       this.setChallenge( this.getCurrentChallenge(), this.getCurrentChallenge().initialColumnState );
       this.gameStateProperty.set( 'presentingInteractiveChallenge' );
+      this.emitChallengeStarted();
     }
     else {
       // All challenges completed for this level.  See if this is a new
       // best time and, if so, record it.
       const level = this.levelProperty.get();
-      if ( this.scoreProperty.get() === MAX_SCORE_PER_GAME ) {
+      if ( this.scoreProperty.get() === this.getMaxPossibleScore() ) {
         // Perfect game.  See if new best time.
         if ( this.bestTimes[ level ] === null || this.elapsedTimeProperty.get() < this.bestTimes[ level ] ) {
           this.newBestTime = this.bestTimes[ level ] !== null; // Don't set this flag for the first 'best time', only when the time improves.
@@ -315,6 +519,12 @@ class BalanceGameModel {
         }
       }
       this.mostRecentScores[ level ].value = this.scoreProperty.get();
+      this.levelCompletedEmitter.emit(
+        level,
+        this.scoreProperty.get(),
+        this.elapsedTimeProperty.get(),
+        !!this.newBestTime
+      );
 
       // Done with this game, show the results.
       this.gameStateProperty.set( 'showingLevelResults' );
@@ -351,17 +561,20 @@ class BalanceGameModel {
   }
 
   /**
+   * @returns {TiltPrediction} - the way that the plank will tip when its supports are removed
    * @public
    */
   getTipDirection() {
-    if ( this.plank.getTorqueDueToMasses() < 0 ) {
-      return 'tiltDownOnRightSide';
+
+    // The torques are floating point values, so a balanced plank's net torque is only zero to within a tolerance.
+    if ( this.plank.isBalanced() ) {
+      return TiltPrediction.STAY_BALANCED;
     }
-    else if ( this.plank.getTorqueDueToMasses() > 0 ) {
-      return 'tiltDownOnLeftSide';
+    else if ( this.plank.getTorqueDueToMasses() < 0 ) {
+      return TiltPrediction.TILT_DOWN_ON_RIGHT_SIDE;
     }
     else {
-      return 'stayBalanced';
+      return TiltPrediction.TILT_DOWN_ON_LEFT_SIDE;
     }
   }
 
@@ -396,10 +609,23 @@ class BalanceGameModel {
   }
 }
 
+/**
+ * Get the name used for the type of the provided challenge in the PhET-iO data stream.
+ * @param {BalanceGameChallenge} challenge
+ * @returns {string}
+ */
+function getChallengeType( challenge ) {
+  return challenge instanceof BalanceMassesChallenge ? 'balanceMasses' :
+         challenge instanceof TiltPredictionChallenge ? 'tiltPrediction' :
+         'massDeduction';
+}
 
 // statics
 BalanceGameModel.PROBLEMS_PER_LEVEL = CHALLENGES_PER_PROBLEM_SET;
 BalanceGameModel.MAX_POSSIBLE_SCORE = MAX_POINTS_PER_PROBLEM * CHALLENGES_PER_PROBLEM_SET;
+BalanceGameModel.MAX_POINTS_PER_PROBLEM = MAX_POINTS_PER_PROBLEM;
+BalanceGameModel.NUMBER_OF_BUILT_IN_LEVELS = MAX_LEVELS;
+BalanceGameModel.CUSTOM_LEVEL = CUSTOM_LEVEL;
 
 balancingAct.register( 'BalanceGameModel', BalanceGameModel );
 
@@ -23,9 +23,10 @@ class BalanceMassesChallenge extends BalanceGameChallenge {
    * @param {Array.<{mass:{Mass}, distance:{number}}>} fixedMasses - Mass-distance pairs that describe the fixed masses.
    * @param {Array.<Mass>} movableMasses - Masses that can be moved by the user.
    * @param {Array.<{mass:{Mass}, distance:{number}}>} solutionToDisplay - Positions for the movable masses that will balance the fixed masses.
+   * @param {Object} [options] - see BalanceGameChallenge
    */
-  constructor( fixedMasses, movableMasses, solutionToDisplay ) {
-    super( ColumnState.SINGLE_COLUMN );
+  constructor( fixedMasses, movableMasses, solutionToDisplay, options ) {
+    super( ColumnState.SINGLE_COLUMN, options );
     this.fixedMassDistancePairs = this.fixedMassDistancePairs.concat( fixedMasses );
     this.movableMasses = this.movableMasses.concat( movableMasses );
     this.balancedConfiguration = this.balancedConfiguration.concat( solutionToDisplay );
@@ -83,7 +84,7 @@ class BalanceMassesChallenge extends BalanceGameChallenge {
     const fixedMassTorque = fixedMassesList[ 0 ].mass.massValue * fixedMassesList[ 0 ].distance +
                             fixedMassesList[ 1 ].mass.massValue * fixedMassesList[ 1 ].distance;
     const solution = { mass: movableMass, distance: -fixedMassTorque / movableMass.massValue };
-    assert && assert( solution.distance % Plank.INTER_SNAP_TO_MARKER_DISTANCE === 0 ); // Verify that this is really a workable solution.
+    assert && assert( solution.distance % Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE === 0 ); // Verify that this is really a workable solution.
 
     // Create the actual challenge.
     return new BalanceMassesChallenge( fixedMassesList, movableMassesList, [ solution ] );
@@ -0,0 +1,350 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Creates the challenges for the custom game level from a challenge file, which lets a teacher give the class a fixed
+ * set of problems instead of the randomly generated ones.  The file is a versioned JSON document that lists the
+ * challenges in the order in which they are presented, like this:
+ *
+ * {
+ *   "version": 1,
+ *   "challenges": [
+ *     {
+ *       "type": "balanceMasses",
+ *       "fixedMasses": [ { "type": "brickStack", "massValue": 10, "distance": -1 } ],
+ *       "movableMasses": [ { "type": "brickStack", "massValue": 5 } ],
+ *       "maxAttempts": 2
+ *     },
+ *     {
+ *       "type": "tiltPrediction",
+ *       "fixedMasses": [ { "type": "tinyRock", "distance": -1.5 }, { "type": "cinderBlock", "distance": 0.5 } ]
+ *     },
+ *     {
+ *       "type": "massDeduction",
+ *       "fixedMasses": [ { "type": "fireHydrant", "distance": -0.5 } ],
+ *       "movableMasses": [ { "type": "brickStack", "massValue": 15 } ]
+ *     }
+ *   ]
+ * }
+ *
+ * The types of the challenges are the same as those in the PhET-iO data stream.  Distances are in meters from the
+ * center of the plank, negative to the left, and must be at one of the snap-to positions on either side of the pivot.
+ * Brick stacks give their mass, which is a multiple of the mass of one brick, and the other masses are given by type
+ * only, e.g. "fireHydrant", since their mass is fixed.  The fixed mass in a mass deduction challenge is the mystery
+ * mass, so it can't be a brick stack.  "maxAttempts" is optional and defaults to 2.  Masses that are taller than a
+ * cinder block would be hidden behind the tilt prediction selector, so they can't be used in tilt prediction
+ * challenges.
+ *
+ * Each challenge is checked before the file is accepted.  Balance challenges must have a position on the plank for
+ * each movable mass that balances the plank, and the first one that is found is the answer that is shown to the user.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import BASharedConstants from '../../common/BASharedConstants.js';
+import Barrel from '../../common/model/masses/Barrel.js';
+import BigRock from '../../common/model/masses/BigRock.js';
+import Boy from '../../common/model/masses/Boy.js';
+import BrickStack from '../../common/model/masses/BrickStack.js';
+import CinderBlock from '../../common/model/masses/CinderBlock.js';
+import Crate from '../../common/model/masses/Crate.js';
+import FireExtinguisher from '../../common/model/masses/FireExtinguisher.js';
+import FireHydrant from '../../common/model/masses/FireHydrant.js';
+import FlowerPot from '../../common/model/masses/FlowerPot.js';
+import Girl from '../../common/model/masses/Girl.js';
+import LargeBucket from '../../common/model/masses/LargeBucket.js';
+import LargeTrashCan from '../../common/model/masses/LargeTrashCan.js';
+import Man from '../../common/model/masses/Man.js';
+import MediumBucket from '../../common/model/masses/MediumBucket.js';
+import MediumRock from '../../common/model/masses/MediumRock.js';
+import MediumTrashCan from '../../common/model/masses/MediumTrashCan.js';
+import PottedPlant from '../../common/model/masses/PottedPlant.js';
+import Puppy from '../../common/model/masses/Puppy.js';
+import SmallBucket from '../../common/model/masses/SmallBucket.js';
+import SmallRock from '../../common/model/masses/SmallRock.js';
+import SmallTrashCan from '../../common/model/masses/SmallTrashCan.js';
+import SodaBottle from '../../common/model/masses/SodaBottle.js';
+import Television from '../../common/model/masses/Television.js';
+import TinyRock from '../../common/model/masses/TinyRock.js';
+import Tire from '../../common/model/masses/Tire.js';
+import Woman from '../../common/model/masses/Woman.js';
+import Plank from '../../common/model/Plank.js';
+import BalanceMassesChallenge from './BalanceMassesChallenge.js';
+import MassDeductionChallenge from './MassDeductionChallenge.js';
+import TiltPredictionChallenge from './TiltPredictionChallenge.js';
+
+const challengeFileInvalidString = BalancingActStrings.challengeFileInvalid;
+const challengeNotSolvableString = BalancingActStrings.challengeNotSolvable;
+const invalidMaxAttemptsString = BalancingActStrings.invalidMaxAttempts;
+const pattern0CannotBeMysteryMassString = BalancingActStrings.pattern0CannotBeMysteryMass;
+const pattern0Challenge1ProblemString = BalancingActStrings.pattern0Challenge1Problem;
+const pattern0InvalidMassDistanceString = BalancingActStrings.pattern0InvalidMassDistance;
+const pattern0InvalidMassPropertiesString = BalancingActStrings.pattern0InvalidMassProperties;
+const pattern0Mass1DistanceOccupiedString = BalancingActStrings.pattern0Mass1DistanceOccupied;
+const pattern0TooTallForTiltPredictionString = BalancingActStrings.pattern0TooTallForTiltPrediction;
+const pattern0UnknownChallengeTypeString = BalancingActStrings.pattern0UnknownChallengeType;
+const pattern0UnknownMassTypeString = BalancingActStrings.pattern0UnknownMassType;
+const pattern0UnsupportedChallengeFileVersionString = BalancingActStrings.pattern0UnsupportedChallengeFileVersion;
+const pattern0WrongNumberOfMassesString = BalancingActStrings.pattern0WrongNumberOfMasses;
+
+// constants
+const VERSION = 1; // version of the file format, increment this when making changes that older versions can't load
+const DISTANCE_INCREMENT = Plank.DEFAULT_INTER_SNAP_TO_MARKER_DISTANCE;
+
+// The snap-to positions on each side of the pivot, in multiples of the distance increment, using the same limit as the
+// challenges that are generated for the other levels.
+const MAX_POSITION_INDEX = Utils.roundSymmetric( Plank.DEFAULT_LENGTH / DISTANCE_INCREMENT / 2 ) - 1;
+
+// The tallest mass that can be used in a tilt prediction challenge, since taller masses would be hidden behind the
+// tilt prediction selector.
+const MAX_TILT_PREDICTION_MASS_HEIGHT = CinderBlock.HEIGHT;
+
+// The search for a solution tries every combination of positions, so the number of movable masses is limited.  They
+// are also lined up next to the plank at the start of a challenge, and there isn't room for more.
+const MAX_MOVABLE_MASSES = 3;
+
+// options for all masses used in the game, see BalanceGameChallengeFactory
+const MASS_OPTIONS = { tandem: Tandem.OPT_OUT };
+
+// types of masses that have a fixed mass value, keyed by the name used in the file
+const IMAGE_MASS_TYPES = {
+  barrel: Barrel,
+  bigRock: BigRock,
+  boy: Boy,
+  cinderBlock: CinderBlock,
+  crate: Crate,
+  fireExtinguisher: FireExtinguisher,
+  fireHydrant: FireHydrant,
+  flowerPot: FlowerPot,
+  girl: Girl,
+  largeBucket: LargeBucket,
+  largeTrashCan: LargeTrashCan,
+  man: Man,
+  mediumBucket: MediumBucket,
+  mediumRock: MediumRock,
+  mediumTrashCan: MediumTrashCan,
+  pottedPlant: PottedPlant,
+  puppy: Puppy,
+  smallBucket: SmallBucket,
+  smallRock: SmallRock,
+  smallTrashCan: SmallTrashCan,
+  sodaBottle: SodaBottle,
+  television: Television,
+  tinyRock: TinyRock,
+  tire: Tire,
+  woman: Woman
+};
+
+// the number of fixed and movable masses that each type of challenge can have
+const CHALLENGE_TYPES = {
+  balanceMasses: {
+    minFixedMasses: 1, maxFixedMasses: Infinity, minMovableMasses: 1, maxMovableMasses: MAX_MOVABLE_MASSES
+  },
+  tiltPrediction: { minFixedMasses: 1, maxFixedMasses: Infinity, minMovableMasses: 0, maxMovableMasses: 0 },
+  massDeduction: { minFixedMasses: 1, maxFixedMasses: 1, minMovableMasses: 1, maxMovableMasses: 1 }
+};
+
+const CustomChallengeFactory = {
+
+  /**
+   * Check a challenge file, throwing an error with a message that can be shown to the user if it can't be played.
+   * @param {Object} challengeFile - the parsed contents of the file
+   * @public
+   */
+  validateChallengeFile( challengeFile ) {
+    this.createChallenges( challengeFile );
+  },
+
+  /**
+   * Create a new set of challenges from a challenge file.  New masses are created each time, since the masses are
+   * moved around while a level is played.
+   * @param {Object} challengeFile - the parsed contents of the file
+   * @returns {BalanceGameChallenge[]}
+   * @public
+   */
+  createChallenges( challengeFile ) {
+    if ( !_.isPlainObject( challengeFile ) ) {
+      throw new Error( challengeFileInvalidString );
+    }
+    if ( challengeFile.version !== VERSION ) {
+      throw new Error( StringUtils.format( pattern0UnsupportedChallengeFileVersionString, challengeFile.version ) );
+    }
+    if ( !Array.isArray( challengeFile.challenges ) || challengeFile.challenges.length === 0 ||
+         !_.every( challengeFile.challenges, _.isPlainObject ) ) {
+      throw new Error( challengeFileInvalidString );
+    }
+
+    return challengeFile.challenges.map( ( challengeDescription, index ) => {
+      try {
+        return this.createChallenge( challengeDescription );
+      }
+      catch( error ) {
+
+        // Say which challenge has the problem, numbered from 1 as the user sees them.
+        throw new Error( StringUtils.format( pattern0Challenge1ProblemString, index + 1, error.message ) );
+      }
+    } );
+  },
+
+  /**
+   * @param {Object} challengeDescription
+   * @returns {BalanceGameChallenge}
+   * @private
+   */
+  createChallenge( challengeDescription ) {
+    const type = challengeDescription.type;
+    const fixedMassDescriptions = challengeDescription.fixedMasses || [];
+    const movableMassDescriptions = challengeDescription.movableMasses || [];
+    if ( !_.has( CHALLENGE_TYPES, type ) ) {
+      throw new Error( StringUtils.format( pattern0UnknownChallengeTypeString, type ) );
+    }
+    if ( !Array.isArray( fixedMassDescriptions ) || !_.every( fixedMassDescriptions, _.isPlainObject ) ||
+         !Array.isArray( movableMassDescriptions ) || !_.every( movableMassDescriptions, _.isPlainObject ) ) {
+      throw new Error( challengeFileInvalidString );
+    }
+    const limits = CHALLENGE_TYPES[ type ];
+    if ( fixedMassDescriptions.length < limits.minFixedMasses || fixedMassDescriptions.length > limits.maxFixedMasses ||
+         movableMassDescriptions.length < limits.minMovableMasses ||
+         movableMassDescriptions.length > limits.maxMovableMasses ) {
+      throw new Error( StringUtils.format( pattern0WrongNumberOfMassesString, type ) );
+    }
+
+    // Only give the number of attempts to the challenge if the file does, so that the usual default applies otherwise.
+    const options = {};
+    if ( challengeDescription.maxAttempts !== undefined ) {
+      if ( !Number.isInteger( challengeDescription.maxAttempts ) || challengeDescription.maxAttempts < 1 ) {
+        throw new Error( invalidMaxAttemptsString );
+      }
+      options.maxAttemptsAllowed = challengeDescription.maxAttempts;
+    }
+
+    // The fixed mass in a mass deduction challenge is the mystery mass.
+    const fixedMassDistancePairs = fixedMassDescriptions.map( massDescription => {
+      const distance = massDescription.distance;
+      if ( getPositionIndex( distance ) === null ) {
+        throw new Error( StringUtils.format( pattern0InvalidMassDistanceString, distance ) );
+      }
+      return { mass: createMass( massDescription, type === 'massDeduction' ), distance: distance };
+    } );
+    const positionIndices = fixedMassDistancePairs.map( pair => getPositionIndex( pair.distance ) );
+    fixedMassDistancePairs.forEach( ( fixedMassDistancePair, index ) => {
+      if ( positionIndices.indexOf( positionIndices[ index ] ) !== index ) {
+        throw new Error( StringUtils.format(
+          pattern0Mass1DistanceOccupiedString,
+          fixedMassDescriptions[ index ].type,
+          fixedMassDistancePair.distance
+        ) );
+      }
+    } );
+    const movableMasses = movableMassDescriptions.map( massDescription => createMass( massDescription, false ) );
+
+    if ( type === 'tiltPrediction' ) {
+      fixedMassDistancePairs.forEach( ( fixedMassDistancePair, index ) => {
+        if ( fixedMassDistancePair.mass.getHeight() > MAX_TILT_PREDICTION_MASS_HEIGHT +
+                                                      BASharedConstants.COMPARISON_TOLERANCE ) {
+          throw new Error(
+            StringUtils.format( pattern0TooTallForTiltPredictionString, fixedMassDescriptions[ index ].type )
+          );
+        }
+      } );
+      return new TiltPredictionChallenge( fixedMassDistancePairs, options );
+    }
+
+    const solution = findBalancingPositions( fixedMassDistancePairs, movableMasses );
+    if ( solution === null ) {
+      throw new Error( challengeNotSolvableString );
+    }
+    if ( type === 'massDeduction' ) {
+      return new MassDeductionChallenge( fixedMassDistancePairs[ 0 ], movableMasses[ 0 ], solution[ 0 ], options );
+    }
+    return new BalanceMassesChallenge( fixedMassDistancePairs, movableMasses, solution, options );
+  }
+};
+
+/**
+ * Get the index of the snap-to position at the provided distance from the center of the plank, counting outwards from
+ * the pivot and negative to the left, or null if the distance isn't at one of the positions where a mass can be put.
+ * @param {*} distance
+ * @returns {number|null}
+ */
+function getPositionIndex( distance ) {
+  if ( typeof distance !== 'number' ) {
+    return null;
+  }
+  const positionIndex = Utils.roundSymmetric( distance / DISTANCE_INCREMENT );
+  const isSnapToPosition = Math.abs( positionIndex * DISTANCE_INCREMENT - distance ) <
+                           BASharedConstants.COMPARISON_TOLERANCE;
+  const isOnPlank = positionIndex !== 0 && Math.abs( positionIndex ) <= MAX_POSITION_INDEX;
+  return isSnapToPosition && isOnPlank ? positionIndex : null;
+}
+
+/**
+ * Create a mass from its description in a challenge file.
+ * @param {Object} massDescription
+ * @param {boolean} isMystery
+ * @returns {Mass}
+ */
+function createMass( massDescription, isMystery ) {
+  if ( massDescription.type === 'brickStack' ) {
+    if ( isMystery ) {
+      throw new Error( StringUtils.format( pattern0CannotBeMysteryMassString, massDescription.type ) );
+    }
+    const numberOfBricks = massDescription.massValue / BrickStack.BRICK_MASS;
+    if ( !Number.isInteger( numberOfBricks ) || numberOfBricks <= 0 ) {
+      throw new Error( StringUtils.format( pattern0InvalidMassPropertiesString, massDescription.type ) );
+    }
+    return new BrickStack( numberOfBricks, Vector2.ZERO, MASS_OPTIONS );
+  }
+  else if ( _.has( IMAGE_MASS_TYPES, massDescription.type ) ) {
+    return new IMAGE_MASS_TYPES[ massDescription.type ]( Vector2.ZERO, isMystery, MASS_OPTIONS );
+  }
+  else {
+    throw new Error( StringUtils.format( pattern0UnknownMassTypeString, massDescription.type ) );
+  }
+}
+
+/**
+ * Find positions on the plank for the movable masses at which they balance the fixed masses, trying each combination
+ * of the open snap-to positions in turn.  The torques are worked out in multiples of the distance increment, and all
+ * of the masses are whole numbers of kilograms, so there is no floating point error in the comparison.
+ * @param {Array.<{mass:Mass, distance:number}>} fixedMassDistancePairs
+ * @param {Mass[]} movableMasses
+ * @returns {Array.<{mass:Mass, distance:number}>|null} - null if there is no way to balance the plank
+ */
+function findBalancingPositions( fixedMassDistancePairs, movableMasses ) {
+  const occupiedPositionIndices = fixedMassDistancePairs.map( pair => getPositionIndex( pair.distance ) );
+  const fixedMassTorque = _.sumBy(
+    fixedMassDistancePairs,
+    pair => pair.mass.massValue * getPositionIndex( pair.distance )
+  );
+  const positionIndices = _.range( -MAX_POSITION_INDEX, MAX_POSITION_INDEX + 1 ).filter( index => index !== 0 );
+
+  const placeMasses = ( massIndex, torque ) => {
+    if ( massIndex === movableMasses.length ) {
+      return torque === 0 ? [] : null;
+    }
+    const mass = movableMasses[ massIndex ];
+    for ( let i = 0; i < positionIndices.length; i++ ) {
+      const positionIndex = positionIndices[ i ];
+      if ( !occupiedPositionIndices.includes( positionIndex ) ) {
+        occupiedPositionIndices.push( positionIndex );
+        const otherPairs = placeMasses( massIndex + 1, torque + mass.massValue * positionIndex );
+        occupiedPositionIndices.pop();
+        if ( otherPairs ) {
+          return [ { mass: mass, distance: positionIndex * DISTANCE_INCREMENT } ].concat( otherPairs );
+        }
+      }
+    }
+    return null;
+  };
+  return placeMasses( 0, fixedMassTorque );
+}
+
+balancingAct.register( 'CustomChallengeFactory', CustomChallengeFactory );
+
+export default CustomChallengeFactory;
@@ -20,9 +20,10 @@ class MassDeductionChallenge extends BalanceGameChallenge {
    * @param fixedMassDistancePair
    * @param movableMass
    * @param solutionToDisplay
+   * @param {Object} [options] - see BalanceGameChallenge
    */
-  constructor( fixedMassDistancePair, movableMass, solutionToDisplay ) {
-    super( ColumnState.NO_COLUMNS );
+  constructor( fixedMassDistancePair, movableMass, solutionToDisplay, options ) {
+    super( ColumnState.NO_COLUMNS, options );
 
     this.fixedMassDistancePairs.push( fixedMassDistancePair );
     this.movableMasses.push( movableMass );
@@ -0,0 +1,21 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The ways in which the user can predict that the plank will move in a tilt prediction challenge.  NONE means that the
+ * user hasn't made a prediction yet.
+ *
+ * @author agent
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import balancingAct from '../../balancingAct.js';
+
+const TiltPrediction = EnumerationDeprecated.byKeys( [
+  'NONE',
+  'TILT_DOWN_ON_LEFT_SIDE',
+  'STAY_BALANCED',
+  'TILT_DOWN_ON_RIGHT_SIDE'
+] );
+balancingAct.register( 'TiltPrediction', TiltPrediction );
+
+export default TiltPrediction;
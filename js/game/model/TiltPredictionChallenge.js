@@ -18,9 +18,10 @@ class TiltPredictionChallenge extends BalanceGameChallenge {
 
   /**
    * @param fixedMasses
+   * @param {Object} [options] - see BalanceGameChallenge
    */
-  constructor( fixedMasses ) {
-    super( ColumnState.DOUBLE_COLUMNS );
+  constructor( fixedMasses, options ) {
+    super( ColumnState.DOUBLE_COLUMNS, options );
     Array.prototype.push.apply( this.fixedMassDistancePairs, fixedMasses );
 
     // Set up the challenge view configuration, which provides information to
@@ -3,27 +3,65 @@
 /**
  * This is a column that can be used to support one of the ends of the plank
  * in a tilted position.  At the time of this writing, this type of column is
- * always used alone and holds the plank in a position where the other end is
- * on the ground.
+ * always used alone.  It only pushes up on the plank, so it stops the side of
+ * the plank above it from going down, but the plank can lift off of it.  The
+ * column can be placed under either end of the plank, in which case it is
+ * mirrored about the center of the plank.
  *
  * @author John Blanco
  */
 
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
 import { Shape } from '../../../../kite/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
 
 // constants
 const COLUMN_WIDTH = 0.35; // In meters
 
 /**
- * @param height
+ * @param height - height of the center of the top of the column, which is where it touches the plank
  * @param centerX
+ * @param topAngle - angle of the top of the column when it is at the initial position
+ * @param {Tandem} [tandem]
  * @constructor
  */
-function TiltedSupportColumn( height, centerX, topAngle ) {
-  this.shape = new Shape().moveTo( centerX - COLUMN_WIDTH / 2, 0 ).lineTo( centerX - COLUMN_WIDTH / 2, height - COLUMN_WIDTH / 2 * Math.tan( -topAngle ) ).lineTo( centerX + COLUMN_WIDTH / 2, height + COLUMN_WIDTH / 2 * Math.tan( -topAngle ) ).lineTo( centerX + COLUMN_WIDTH / 2, 0 ).close();
+function TiltedSupportColumn( height, centerX, topAngle, tandem = Tandem.OPT_OUT ) {
+
+  // @public (read-only)
+  this.height = height;
+
+  // @public - Horizontal position of the center of the column.  Changing the sign of this moves the column under the
+  // other end of the plank.
+  this.centerXProperty = new NumberProperty( centerX, {
+    units: 'm',
+    tandem: tandem.createTandem( 'centerXProperty' ),
+    phetioReadOnly: true,
+    phetioDocumentation: 'Horizontal position of the center of the column, which the user can move under either ' +
+                         'end of the plank.'
+  } );
+
+  // @public (read-only) - The top is mirrored when the column is on the other side of the center from where it started.
+  this.shapeProperty = new DerivedProperty( [ this.centerXProperty ], x => {
+    const angle = x * centerX >= 0 ? topAngle : -topAngle;
+    return new Shape().moveTo( x - COLUMN_WIDTH / 2, 0 ).lineTo( x - COLUMN_WIDTH / 2, height - COLUMN_WIDTH / 2 * Math.tan( -angle ) ).lineTo( x + COLUMN_WIDTH / 2, height + COLUMN_WIDTH / 2 * Math.tan( -angle ) ).lineTo( x + COLUMN_WIDTH / 2, 0 ).close();
+  } );
 }
 
+/**
+ * Get the point where the column touches the plank when the plank is resting on it.
+ * @returns {Vector2}
+ * @public
+ */
+TiltedSupportColumn.prototype.getContactPoint = function() {
+  return new Vector2( this.centerXProperty.get(), this.height );
+};
+
+// static constants
+TiltedSupportColumn.COLUMN_WIDTH = COLUMN_WIDTH;
+
 balancingAct.register( 'TiltedSupportColumn', TiltedSupportColumn );
 
-export default TiltedSupportColumn;
\ No newline at end of file
+export default TiltedSupportColumn;
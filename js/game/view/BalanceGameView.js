@@ -6,6 +6,7 @@
  * @author John Blanco
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
 import Property from '../../../../axon/js/Property.js';
@@ -22,30 +23,39 @@ import FiniteStatusBar from '../../../../vegas/js/FiniteStatusBar.js';
 import GameAudioPlayer from '../../../../vegas/js/GameAudioPlayer.js';
 import LevelCompletedNode from '../../../../vegas/js/LevelCompletedNode.js';
 import VegasStrings from '../../../../vegas/js/VegasStrings.js';
+import plankBalanced_png from '../../../images/plankBalanced_png.js';
 import gameLevel1Icon_png from '../../../mipmaps/gameLevel1Icon_png.js';
 import gameLevel2Icon_png from '../../../mipmaps/gameLevel2Icon_png.js';
 import gameLevel3Icon_png from '../../../mipmaps/gameLevel3Icon_png.js';
 import gameLevel4Icon_png from '../../../mipmaps/gameLevel4Icon_png.js';
 import balancingAct from '../../balancingAct.js';
 import BalancingActStrings from '../../BalancingActStrings.js';
+import BAQueryParameters from '../../common/BAQueryParameters.js';
 import BASharedConstants from '../../common/BASharedConstants.js';
 import ColumnState from '../../common/model/ColumnState.js';
 import PositionIndicatorChoice from '../../common/model/PositionIndicatorChoice.js';
 import AttachmentBarNode from '../../common/view/AttachmentBarNode.js';
+import BalanceDescriber from '../../common/view/BalanceDescriber.js';
 import FulcrumNode from '../../common/view/FulcrumNode.js';
 import LevelIndicatorNode from '../../common/view/LevelIndicatorNode.js';
 import LevelSupportColumnNode from '../../common/view/LevelSupportColumnNode.js';
+import MassKeyboardDragListener from '../../common/view/MassKeyboardDragListener.js';
 import MassNodeFactory from '../../common/view/MassNodeFactory.js';
+import PlankDescriptionNode from '../../common/view/PlankDescriptionNode.js';
 import PlankNode from '../../common/view/PlankNode.js';
 import PositionIndicatorControlPanel from '../../common/view/PositionIndicatorControlPanel.js';
 import PositionMarkerSetNode from '../../common/view/PositionMarkerSetNode.js';
 import RotatingRulerNode from '../../common/view/RotatingRulerNode.js';
+import SupportColumnDragHandler from '../../common/view/SupportColumnDragHandler.js';
 import TiltedSupportColumnNode from '../../common/view/TiltedSupportColumnNode.js';
+import TorqueEquationAccordionBox from '../../common/view/TorqueEquationAccordionBox.js';
 import BalanceGameModel from '../model/BalanceGameModel.js';
 import BalanceMassesChallenge from '../model/BalanceMassesChallenge.js';
 import MassDeductionChallenge from '../model/MassDeductionChallenge.js';
+import TiltPrediction from '../model/TiltPrediction.js';
 import TiltPredictionChallenge from '../model/TiltPredictionChallenge.js';
 import GameIconNode from './GameIconNode.js';
+import LoadChallengesButton from './LoadChallengesButton.js';
 import MassValueEntryNode from './MassValueEntryNode.js';
 import StartGameLevelNode from './StartGameLevelNode.js';
 import TiltPredictionSelectorNode from './TiltPredictionSelectorNode.js';
@@ -67,7 +77,10 @@ class BalanceGameView extends ScreenView {
    * @param {Tandem} tandem
    */
   constructor( gameModel, tandem ) {
-    super( { layoutBounds: BASharedConstants.LAYOUT_BOUNDS } );
+    super( {
+      layoutBounds: BASharedConstants.LAYOUT_BOUNDS,
+      screenSummaryContent: new PlankDescriptionNode( gameModel.plank, gameModel.columnStateProperty )
+    } );
     const self = this;
     this.model = gameModel;
 
@@ -104,11 +117,16 @@ class BalanceGameView extends ScreenView {
 
     // Add the fulcrum, the columns, etc.
     this.challengeLayer.addChild( new FulcrumNode( modelViewTransform, gameModel.fulcrum ) );
-    this.challengeLayer.addChild( new TiltedSupportColumnNode(
+    const tiltedSupportColumnNode = new TiltedSupportColumnNode(
       modelViewTransform,
       gameModel.tiltedSupportColumn,
       gameModel.columnStateProperty
-    ) );
+    );
+    tiltedSupportColumnNode.cursor = 'pointer';
+    tiltedSupportColumnNode.addInputListener(
+      new SupportColumnDragHandler( gameModel, gameModel.tiltedSupportColumn, modelViewTransform )
+    );
+    this.challengeLayer.addChild( tiltedSupportColumnNode );
     gameModel.levelSupportColumns.forEach( levelSupportColumn => {
       this.challengeLayer.addChild( new LevelSupportColumnNode(
         modelViewTransform,
@@ -127,6 +145,12 @@ class BalanceGameView extends ScreenView {
       const massNode = MassNodeFactory.createMassNode( addedMass, modelViewTransform, true, new Property( true ), gameModel.columnStateProperty );
       this.challengeLayer.addChild( massNode );
 
+      // Allow the mass to be picked up and moved along the plank with the keyboard.
+      massNode.tagName = 'div';
+      massNode.focusable = true;
+      massNode.accessibleName = BalanceDescriber.getMassDescription( addedMass );
+      massNode.addInputListener( new MassKeyboardDragListener( addedMass, gameModel.plank ) );
+
       // Move the mass to the front when grabbed so that layering stays reasonable.
       addedMass.userControlledProperty.link( userControlled => {
         if ( userControlled ) {
@@ -153,6 +177,15 @@ class BalanceGameView extends ScreenView {
       } );
     } );
 
+    // The button for loading the challenges for the custom level, which can also be loaded from the query parameter.
+    const startGameLevelNodeTandem = tandem.createTandem( 'startGameLevelNode' );
+    const loadChallengesButton = new LoadChallengesButton( gameModel, {
+      tandem: startGameLevelNodeTandem.createTandem( 'loadChallengesButton' )
+    } );
+    if ( BAQueryParameters.customChallenges ) {
+      loadChallengesButton.loadChallengesFromURL( BAQueryParameters.customChallenges );
+    }
+
     // Add the node that allows the user to choose a game level to play.
     this.startGameLevelNode = new StartGameLevelNode(
       level => { gameModel.startLevel( level ); },
@@ -164,18 +197,29 @@ class BalanceGameView extends ScreenView {
         new GameIconNode( gameLevel3Icon_png, 3 ),
         new GameIconNode( gameLevel4Icon_png, 4 )
       ],
-      gameModel.mostRecentScores,
+      gameModel.mostRecentScores.slice( 0, BalanceGameModel.NUMBER_OF_BUILT_IN_LEVELS ),
       modelViewTransform,
       {
         numStarsOnButtons: BalanceGameModel.PROBLEMS_PER_LEVEL,
         perfectScore: BalanceGameModel.MAX_POSSIBLE_SCORE,
-        maxTitleWidth: this.layoutBounds.width
+        maxTitleWidth: this.layoutBounds.width,
+        customLevel: {
+          level: BalanceGameModel.CUSTOM_LEVEL,
+          createIconNode: () => new GameIconNode( plankBalanced_png, BalanceGameModel.CUSTOM_LEVEL + 1 ),
+          scoreProperty: gameModel.mostRecentScores[ BalanceGameModel.CUSTOM_LEVEL ],
+          numberOfChallengesProperty: gameModel.numberOfCustomChallengesProperty,
+          pointsPerChallenge: BalanceGameModel.MAX_POINTS_PER_PROBLEM,
+          loadButton: loadChallengesButton
+        },
+        tandem: startGameLevelNodeTandem
       }
     );
     this.rootNode.addChild( this.startGameLevelNode );
 
-    // Initialize a reference to the 'level completed' node.
+    // Initialize a reference to the 'level completed' node.  A new one is created each time a level is completed, and
+    // the previous one is disposed then so that the tandem can be reused.
     this.levelCompletedNode = null;
+    this.levelCompletedNodeTandem = tandem.createTandem( 'levelCompletedNode' ); // @private
 
     // Create the audio player for the game sounds.
     this.gameAudioPlayer = new GameAudioPlayer();
@@ -187,7 +231,7 @@ class BalanceGameView extends ScreenView {
       gameModel.scoreProperty,
       {
         challengeIndexProperty: gameModel.challengeIndexProperty,
-        numberOfChallengesProperty: new Property( BalanceGameModel.PROBLEMS_PER_LEVEL ),
+        numberOfChallengesProperty: gameModel.numberOfChallengesProperty,
 
         // FiniteStatusBar uses 1-based level numbering, model is 0-based, see #85.
         levelProperty: new DerivedProperty( [ gameModel.levelProperty ], level => level + 1 ),
@@ -205,7 +249,8 @@ class BalanceGameView extends ScreenView {
           baseColor: '#e5f3ff',
           maxHeight: 30,
           listener: () => { gameModel.newGame(); }
-        }
+        },
+        tandem: tandem.createTandem( 'statusBar' )
       }
     );
     this.addChild( this.scoreboard );
@@ -225,13 +270,17 @@ class BalanceGameView extends ScreenView {
     // to enable the user to submit specific mass values.
     this.massValueEntryNode = new MassValueEntryNode( {
       centerX: modelViewTransform.modelToViewX( 0 ),
-      top: this.challengeTitleNode.bounds.maxY + 4
+      top: this.challengeTitleNode.bounds.maxY + 4,
+      tandem: tandem.createTandem( 'massValueEntryNode' )
     } );
     this.challengeLayer.addChild( this.massValueEntryNode );
 
     // Add the node that allows the user to submit their prediction of which
     // way the plank will tilt.  This is used in the tilt prediction challenges.
-    this.tiltPredictionSelectorNode = new TiltPredictionSelectorNode( gameModel.gameStateProperty );
+    this.tiltPredictionSelectorNode = new TiltPredictionSelectorNode(
+      gameModel.gameStateProperty,
+      tandem.createTandem( 'tiltPredictionSelectorNode' )
+    );
     this.challengeLayer.addChild( this.tiltPredictionSelectorNode );
     this.tiltPredictionSelectorNode.center = new Vector2(
       modelViewTransform.modelToViewX( 0 ),
@@ -266,25 +315,29 @@ class BalanceGameView extends ScreenView {
           this.massValueEntryNode.massValueProperty.value,
           this.tiltPredictionSelectorNode.tiltPredictionProperty.value
         );
-      }
+      },
+      tandem: tandem.createTandem( 'checkAnswerButton' )
     }, buttonOptions ) );
     this.rootNode.addChild( this.checkAnswerButton );
     this.buttons.push( this.checkAnswerButton );
 
     this.nextButton = new TextPushButton( nextString, merge( {
-      listener: () => { gameModel.nextChallenge(); }
+      listener: () => { gameModel.nextChallenge(); },
+      tandem: tandem.createTandem( 'nextButton' )
     }, buttonOptions ) );
     this.rootNode.addChild( this.nextButton );
     this.buttons.push( this.nextButton );
 
     this.tryAgainButton = new TextPushButton( tryAgainString, merge( {
-      listener: () => { gameModel.tryAgain(); }
+      listener: () => { gameModel.tryAgain(); },
+      tandem: tandem.createTandem( 'tryAgainButton' )
     }, buttonOptions ) );
     this.rootNode.addChild( this.tryAgainButton );
     this.buttons.push( this.tryAgainButton );
 
     this.displayCorrectAnswerButton = new TextPushButton( showAnswerString, merge( {
-      listener: () => { gameModel.displayCorrectAnswer(); }
+      listener: () => { gameModel.displayCorrectAnswer(); },
+      tandem: tandem.createTandem( 'showAnswerButton' )
     }, buttonOptions ) );
     this.rootNode.addChild( this.displayCorrectAnswerButton );
     this.buttons.push( this.displayCorrectAnswerButton );
@@ -312,7 +365,9 @@ class BalanceGameView extends ScreenView {
     this.challengeLayer.addChild( levelIndicator );
 
     // Add a panel for controlling whether the ruler or marker set are visible.
-    const positionMarkerStateProperty = new EnumerationDeprecatedProperty( PositionIndicatorChoice, PositionIndicatorChoice.NONE );
+    const positionMarkerStateProperty = new EnumerationDeprecatedProperty( PositionIndicatorChoice, PositionIndicatorChoice.NONE, {
+      tandem: tandem.createTandem( 'positionMarkerStateProperty' )
+    } );
 
     // Add the ruler.
     const rulersVisibleProperty = new Property( false );
@@ -339,6 +394,28 @@ class BalanceGameView extends ScreenView {
       tandem: tandem.createTandem( 'positionPanel' )
     } );
     this.controlLayer.addChild( positionControlPanel );
+
+    // Add the torque equation scratchpad, which is only available on the levels where the teacher has turned it on.
+    // The sums and whether the plank is balanced would give away the answer, so they aren't shown until the challenge
+    // is over.
+    const torqueEquationAccordionBox = new TorqueEquationAccordionBox( gameModel.plank, {
+      totalsVisibleProperty: new DerivedProperty( [ gameModel.gameStateProperty ], gameState =>
+        gameState === 'showingCorrectAnswerFeedback' ||
+        gameState === 'showingIncorrectAnswerFeedbackMoveOn' ||
+        gameState === 'displayingCorrectAnswer'
+      ),
+      expandedProperty: new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'torqueEquationExpandedProperty' )
+      } ),
+      left: positionControlPanel.left,
+      top: positionControlPanel.bottom + 5,
+      maxWidth: this.layoutBounds.right - 10 - positionControlPanel.left,
+      tandem: tandem.createTandem( 'torqueEquationAccordionBox' )
+    } );
+    gameModel.levelProperty.link( level => {
+      torqueEquationAccordionBox.visible = BAQueryParameters.torqueEquationLevels.includes( level + 1 );
+    } );
+    this.controlLayer.addChild( torqueEquationAccordionBox );
   }
 
   // @private
@@ -354,7 +431,7 @@ class BalanceGameView extends ScreenView {
     }
 
     // Center the title above the pivot point.
-    this.challengeTitleNode.centerX = this.modelViewTransform.modelToViewX( this.model.plank.pivotPoint.x );
+    this.challengeTitleNode.centerX = this.modelViewTransform.modelToViewX( this.model.plank.pivotPointProperty.get().x );
   }
 
   // @private
@@ -372,7 +449,8 @@ class BalanceGameView extends ScreenView {
     }
     else if ( this.model.getCurrentChallenge() instanceof TiltPredictionChallenge ) {
       // The button should be enabled once the user has made a prediction.
-      this.checkAnswerButton.enabled = this.tiltPredictionSelectorNode.tiltPredictionProperty.value !== 'none';
+      this.checkAnswerButton.enabled =
+        this.tiltPredictionSelectorNode.tiltPredictionProperty.value !== TiltPrediction.NONE;
     }
     else if ( this.model.getCurrentChallenge() instanceof MassDeductionChallenge ) {
       // The button should be enabled for any non-zero value.
@@ -488,7 +566,7 @@ class BalanceGameView extends ScreenView {
 
       case 'showingLevelResults':
         score = this.model.scoreProperty.get();
-        if ( score === BalanceGameModel.MAX_POSSIBLE_SCORE ) {
+        if ( score === this.model.getMaxPossibleScore() ) {
           this.gameAudioPlayer.gameOverPerfectScore();
         }
         else if ( score === 0 ) {
@@ -539,11 +617,12 @@ class BalanceGameView extends ScreenView {
   // @private
   showLevelResultsNode() {
     // Set a new "level completed" node based on the results.
+    this.levelCompletedNode && this.levelCompletedNode.dispose();
     this.levelCompletedNode = new LevelCompletedNode(
       this.model.levelProperty.get() + 1,
       this.model.scoreProperty.get(),
-      BalanceGameModel.MAX_POSSIBLE_SCORE,
-      BalanceGameModel.PROBLEMS_PER_LEVEL,
+      this.model.getMaxPossibleScore(),
+      this.model.numberOfChallengesProperty.get(),
       this.model.timerEnabledProperty.get(),
       this.model.elapsedTimeProperty.get(),
       this.model.bestTimes[ this.model.levelProperty.get() ],
@@ -551,10 +630,10 @@ class BalanceGameView extends ScreenView {
       () => {
         this.model.gameStateProperty.set( 'choosingLevel' );
         this.rootNode.removeChild( this.levelCompletedNode );
-        this.levelCompletedNode = null;
       },
       {
-        center: this.layoutBounds.center
+        center: this.layoutBounds.center,
+        tandem: this.levelCompletedNodeTandem
       } );
 
     // Add the node.
@@ -0,0 +1,127 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Button for loading a challenge file, which makes the custom level of the game out of the challenges in the file, see
+ * CustomChallengeFactory for the format.  A file can also be loaded from a URL, which is how the customChallenges query
+ * parameter is handled.  If a file can't be loaded, a dialog says why, and the custom level is left as it was.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+
+const challengeFileInvalidString = BalancingActStrings.challengeFileInvalid;
+const challengesNotLoadedString = BalancingActStrings.challengesNotLoaded;
+const loadChallengesString = BalancingActStrings.loadChallenges;
+const pattern0ChallengeFileNotFoundString = BalancingActStrings.pattern0ChallengeFileNotFound;
+
+class LoadChallengesButton extends TextPushButton {
+
+  /**
+   * @param {BalanceGameModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      font: new PhetFont( 14 ),
+      maxWidth: 150,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    options.listener = () => this.chooseChallengeFile();
+
+    super( loadChallengesString, options );
+
+    // @private
+    this.model = model;
+
+    // @private - the dialog that explains why a file couldn't be loaded, reused for each failure
+    this.errorText = new Text( '', { font: new PhetFont( 16 ), maxWidth: 400 } );
+    this.errorDialog = new Dialog( this.errorText, {
+      title: new Text( challengesNotLoadedString, {
+        font: new PhetFont( { size: 18, weight: 'bold' } ),
+        maxWidth: 400
+      } ),
+      tandem: options.tandem.createTandem( 'errorDialog' )
+    } );
+  }
+
+  /**
+   * Load a challenge file from a URL.
+   * @param {string} url
+   * @public
+   */
+  loadChallengesFromURL( url ) {
+    window.fetch( url )
+      .then( response => {
+        if ( !response.ok ) {
+          throw new Error( response.statusText );
+        }
+        return response.text();
+      } )
+      .then( text => this.loadChallenges( text ) )
+      .catch( () => this.showError( StringUtils.format( pattern0ChallengeFileNotFoundString, url ) ) );
+  }
+
+  /**
+   * Ask the user for a file, and load the challenges from it.
+   * @private
+   */
+  chooseChallengeFile() {
+    const fileInput = document.createElement( 'input' );
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.addEventListener( 'change', () => {
+      const file = fileInput.files[ 0 ];
+      if ( file ) {
+        const reader = new window.FileReader();
+        reader.onload = () => this.loadChallenges( reader.result );
+        reader.readAsText( file );
+      }
+    } );
+    fileInput.click();
+  }
+
+  /**
+   * Load the challenges from the text of a file.  The model checks the challenges before using them.
+   * @param {string} text
+   * @private
+   */
+  loadChallenges( text ) {
+    try {
+      let challengeFile;
+      try {
+        challengeFile = JSON.parse( text );
+      }
+      catch( error ) {
+        throw new Error( challengeFileInvalidString );
+      }
+      this.model.setCustomChallenges( challengeFile );
+    }
+    catch( error ) {
+      this.showError( error.message );
+    }
+  }
+
+  /**
+   * @param {string} message
+   * @private
+   */
+  showError( message ) {
+    this.errorText.text = message;
+    this.errorDialog.show();
+  }
+}
+
+balancingAct.register( 'LoadChallengesButton', LoadChallengesButton );
+
+export default LoadChallengesButton;
@@ -10,16 +10,22 @@ import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
 import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import { Node, Rectangle, Text } from '../../../../scenery/js/imports.js';
 import ArrowButton from '../../../../sun/js/buttons/ArrowButton.js';
 import HSlider from '../../../../sun/js/HSlider.js';
 import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import balancingAct from '../../balancingAct.js';
 import BalancingActStrings from '../../BalancingActStrings.js';
 
+const decreaseMassString = BalancingActStrings.decreaseMass;
+const increaseMassString = BalancingActStrings.increaseMass;
 const kgString = BalancingActStrings.kg;
+const massValueString = BalancingActStrings.massValue;
+const pattern0KilogramsString = BalancingActStrings.pattern0Kilograms;
 const pattern0Value1UnitsString = BalancingActStrings.pattern0Value1Units;
 
 // constants
@@ -34,8 +40,18 @@ class MassValueEntryNode extends Node {
    * @param {Object} [options]
    */
   constructor( options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
     super();
-    this.massValueProperty = new NumberProperty( 0 );
+    this.massValueProperty = new NumberProperty( 0, {
+      range: new Range( 0, MAX_MASS ),
+      numberType: 'Integer',
+      units: 'kg',
+      tandem: options.tandem.createTandem( 'massValueProperty' )
+    } );
 
     // Create and add the readout, including the background.
     const readoutText = new Text( StringUtils.format( pattern0Value1UnitsString, 0, kgString ), { font: READOUT_FONT } );
@@ -57,7 +73,13 @@ class MassValueEntryNode extends Node {
       thumbTouchAreaYDilation: 8,
       majorTickLength: 15,
       tickLabelSpacing: 2,
-      constrainValue: Utils.roundSymmetric
+      constrainValue: Utils.roundSymmetric,
+
+      // pdom - the value is read out in kilograms, like the readout shows it
+      labelTagName: 'label',
+      labelContent: massValueString,
+      a11yCreateAriaValueText: value => StringUtils.format( pattern0KilogramsString, value ),
+      tandem: options.tandem.createTandem( 'slider' )
     } );
     panelContent.addChild( slider );
     for ( let i = 0; i <= MAX_MASS; i += 10 ) {
@@ -71,9 +93,15 @@ class MassValueEntryNode extends Node {
 
     // Create and add the arrow buttons.
     const arrowButtonOptions = { arrowHeight: ARROW_HEIGHT, arrowWidth: ARROW_HEIGHT * Math.sqrt( 3 ) / 2 };
-    const leftArrowButton = new ArrowButton( 'left', () => { this.massValueProperty.value--; }, arrowButtonOptions );
+    const leftArrowButton = new ArrowButton( 'left', () => { this.massValueProperty.value--; }, merge( {
+      accessibleName: decreaseMassString,
+      tandem: options.tandem.createTandem( 'leftArrowButton' )
+    }, arrowButtonOptions ) );
     panelContent.addChild( leftArrowButton );
-    const rightArrowButton = new ArrowButton( 'right', () => { this.massValueProperty.value++; }, arrowButtonOptions );
+    const rightArrowButton = new ArrowButton( 'right', () => { this.massValueProperty.value++; }, merge( {
+      accessibleName: increaseMassString,
+      tandem: options.tandem.createTandem( 'rightArrowButton' )
+    }, arrowButtonOptions ) );
     panelContent.addChild( rightArrowButton );
 
     // layout
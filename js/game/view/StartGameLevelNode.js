@@ -13,6 +13,7 @@ import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.j
 import TimerToggleButton from '../../../../scenery-phet/js/buttons/TimerToggleButton.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import { Node, Text } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import LevelSelectionButton from '../../../../vegas/js/LevelSelectionButton.js';
 import ScoreDisplayStars from '../../../../vegas/js/ScoreDisplayStars.js';
 import VegasStrings from '../../../../vegas/js/VegasStrings.js';
@@ -50,7 +51,20 @@ class StartGameLevelNode extends Node {
       numButtonRows: 1, // For layout
       controlsInset: 10,
       size: new Dimension2( 768, 504 ),
-      maxTitleWidth: Number.POSITIVE_INFINITY
+      maxTitleWidth: Number.POSITIVE_INFINITY,
+
+      // {Object|null} - a level made of challenges that are loaded from a file, whose button is shown below the others
+      // once there are challenges for it, with the button for loading the file next to the timer button, like this:
+      // {
+      //   level: {number} - passed to the start level function
+      //   createIconNode: {function():Node}
+      //   scoreProperty: {Property.<number>}
+      //   numberOfChallengesProperty: {Property.<number>} - zero if no challenges have been loaded
+      //   pointsPerChallenge: {number}
+      //   loadButton: {Node}
+      // }
+      customLevel: null,
+      tandem: Tandem.REQUIRED
     }, options );
 
     // Verify parameters
@@ -79,20 +93,24 @@ class StartGameLevelNode extends Node {
             numberOfStars: options.numStarsOnButtons,
             perfectScore: options.perfectScore
           } ),
-          soundPlayerIndex: i
+          soundPlayerIndex: i,
+          tandem: options.tandem.createTandem( `level${i + 1}Button` )
         }
       );
       this.addChild( buttons[ i ] );
     }
 
     // timer control
-    const timerToggleButton = new TimerToggleButton( timerEnabledProperty );
+    const timerToggleButton = new TimerToggleButton( timerEnabledProperty, {
+      tandem: options.tandem.createTandem( 'timerToggleButton' )
+    } );
     this.addChild( timerToggleButton );
 
     // Reset button.
     const resetButton = new ResetAllButton( {
       listener: resetFunction,
-      radius: BASharedConstants.RESET_ALL_BUTTON_RADIUS
+      radius: BASharedConstants.RESET_ALL_BUTTON_RADIUS,
+      tandem: options.tandem.createTandem( 'resetAllButton' )
     } );
     this.addChild( resetButton );
 
@@ -115,6 +133,39 @@ class StartGameLevelNode extends Node {
     title.centerY = buttons[ 0 ].top / 2;
     timerToggleButton.left = options.controlsInset;
     timerToggleButton.bottom = options.size.height - options.controlsInset;
+
+    if ( options.customLevel ) {
+      const customLevel = options.customLevel;
+      customLevel.loadButton.left = timerToggleButton.right + options.controlsInset;
+      customLevel.loadButton.centerY = timerToggleButton.centerY;
+      this.addChild( customLevel.loadButton );
+
+      // The stars on the button depend on the number of challenges, so the button is created again when a new file is
+      // loaded.  The old button is disposed first, so the new one can use the same tandem.
+      let customLevelButton = null;
+      customLevel.numberOfChallengesProperty.link( numberOfChallenges => {
+        if ( customLevelButton ) {
+          this.removeChild( customLevelButton );
+          customLevelButton.dispose();
+          customLevelButton = null;
+        }
+        if ( numberOfChallenges > 0 ) {
+          customLevelButton = new LevelSelectionButton( customLevel.createIconNode(), customLevel.scoreProperty, {
+            listener: createLevelStartFunction( customLevel.level ),
+            baseColor: options.buttonBackgroundColor,
+            createScoreDisplay: scoreProperty => new ScoreDisplayStars( scoreProperty, {
+              numberOfStars: numberOfChallenges,
+              perfectScore: numberOfChallenges * customLevel.pointsPerChallenge
+            } ),
+            soundPlayerIndex: options.numLevels,
+            tandem: options.tandem.createTandem( 'customLevelButton' )
+          } );
+          customLevelButton.centerX = options.size.width / 2;
+          customLevelButton.centerY = firstButtonOrigin.y + options.numButtonRows * buttonSpacingY;
+          this.addChild( customLevelButton );
+        }
+      } );
+    }
   }
 }
 
@@ -6,6 +6,10 @@
 
 import { DownUpListener, Image, Node, Rectangle } from '../../../../scenery/js/imports.js';
 import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import TiltPrediction from '../model/TiltPrediction.js';
+
+const correctAnswerString = BalancingActStrings.correctAnswer;
 
 // constants, collected here for easy appearance tweaking.
 const PANEL_WIDTH = 170; // In screen coords, fairly close to pixels.  Empirically determined.
@@ -16,6 +20,11 @@ const SELECTED_HIGHLIGHT_COLOR = 'rgb( 255, 215, 0 )';
 const SELECTED_HIGHLIGHT_LINE_WIDTH = 6;
 const CORRECT_ANSWER_HIGHLIGHT_COLOR = 'rgb( 0, 255, 0 )';
 const INVISIBLE_COLOR = 'rgba( 0, 0, 0, 0 )';
+const PREDICTION_NAMES = {
+  [ TiltPrediction.TILT_DOWN_ON_LEFT_SIDE ]: BalancingActStrings.tiltDownOnLeftSide,
+  [ TiltPrediction.STAY_BALANCED ]: BalancingActStrings.stayBalanced,
+  [ TiltPrediction.TILT_DOWN_ON_RIGHT_SIDE ]: BalancingActStrings.tiltDownOnRightSide
+};
 
 class TiltPredictionSelectionPanel extends Node {
 
@@ -26,7 +35,12 @@ class TiltPredictionSelectionPanel extends Node {
    * @param gameStateProperty
    */
   constructor( image, correspondingPrediction, tiltPredictionProperty, gameStateProperty ) {
-    super();
+    super( {
+
+      // pdom - each panel is a toggle button, pressed when it is the selected prediction
+      tagName: 'button',
+      accessibleName: PREDICTION_NAMES[ correspondingPrediction ]
+    } );
     const self = this;
 
     // Add the image.
@@ -36,9 +50,13 @@ class TiltPredictionSelectionPanel extends Node {
 
     // Define a function for updating the highlight state
     function updateHighlightState() {
-      if ( tiltPredictionProperty.value === correspondingPrediction ) {
+      const selected = tiltPredictionProperty.value === correspondingPrediction;
+      const isCorrectAnswer = selected && gameStateProperty.value === 'displayingCorrectAnswer';
+      self.setPDOMAttribute( 'aria-pressed', selected );
+      self.descriptionContent = isCorrectAnswer ? correctAnswerString : null;
+      if ( selected ) {
         self.thinOutline.stroke = INVISIBLE_COLOR;
-        if ( gameStateProperty.value === 'displayingCorrectAnswer' ) {
+        if ( isCorrectAnswer ) {
           self.thickOutline.stroke = CORRECT_ANSWER_HIGHLIGHT_COLOR;
         }
         else {
@@ -60,6 +78,9 @@ class TiltPredictionSelectionPanel extends Node {
     // Set up mouse listener that watches to see if the user has selected this option.
     this.addInputListener( new DownUpListener( { up: event => { tiltPredictionProperty.value = correspondingPrediction; } } ) );
 
+    // Also select it when the button is clicked from the keyboard.
+    this.addInputListener( { click: () => { tiltPredictionProperty.value = correspondingPrediction; } } );
+
     // Set up a hover listener to update hover highlight.
     this.mouseOver = false;
     this.addInputListener(
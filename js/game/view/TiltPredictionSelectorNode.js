@@ -8,33 +8,51 @@
  * @author John Blanco
  */
 
-import Property from '../../../../axon/js/Property.js';
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
 import { HBox, Node } from '../../../../scenery/js/imports.js';
 import Panel from '../../../../sun/js/Panel.js';
 import plankBalanced_png from '../../../images/plankBalanced_png.js';
 import plankTippedLeft_png from '../../../images/plankTippedLeft_png.js';
 import plankTippedRight_png from '../../../images/plankTippedRight_png.js';
 import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
+import TiltPrediction from '../model/TiltPrediction.js';
 import TiltPredictionSelectionPanel from './TiltPredictionSelectionPanel.js';
 
+const tiltPredictionString = BalancingActStrings.tiltPrediction;
+
 class TiltPredictionSelectorNode extends Node {
 
   /**
    * @param gameStateProperty
+   * @param {Tandem} tandem
    */
-  constructor( gameStateProperty ) {
-    super();
+  constructor( gameStateProperty, tandem ) {
+    super( {
+
+      // pdom - groups the prediction buttons under one name
+      tagName: 'div',
+      ariaRole: 'group',
+      accessibleName: tiltPredictionString
+    } );
 
-    // Property that tracks the selected prediction.  Valid values are 'none',
-    // 'tiltDownOnLeftSide', 'stayBalanced', and 'tiltDownOnRightSide'.
-    this.tiltPredictionProperty = new Property( 'none' ); // TODO: Enumeration
+    // Property that tracks the selected prediction.
+    this.tiltPredictionProperty = new EnumerationDeprecatedProperty( TiltPrediction, TiltPrediction.NONE, {
+      tandem: tandem.createTandem( 'tiltPredictionProperty' )
+    } );
 
     const panelContents = new HBox(
       {
         children: [
-          new TiltPredictionSelectionPanel( plankTippedLeft_png, 'tiltDownOnLeftSide', this.tiltPredictionProperty, gameStateProperty ),
-          new TiltPredictionSelectionPanel( plankBalanced_png, 'stayBalanced', this.tiltPredictionProperty, gameStateProperty ),
-          new TiltPredictionSelectionPanel( plankTippedRight_png, 'tiltDownOnRightSide', this.tiltPredictionProperty, gameStateProperty )
+          new TiltPredictionSelectionPanel(
+            plankTippedLeft_png, TiltPrediction.TILT_DOWN_ON_LEFT_SIDE, this.tiltPredictionProperty, gameStateProperty
+          ),
+          new TiltPredictionSelectionPanel(
+            plankBalanced_png, TiltPrediction.STAY_BALANCED, this.tiltPredictionProperty, gameStateProperty
+          ),
+          new TiltPredictionSelectionPanel(
+            plankTippedRight_png, TiltPrediction.TILT_DOWN_ON_RIGHT_SIDE, this.tiltPredictionProperty, gameStateProperty
+          )
         ], spacing: 5
       } );
 
@@ -9,11 +9,22 @@
  */
 
 import Vector2 from '../../../../dot/js/Vector2.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import balancingAct from '../../balancingAct.js';
+import BalancingActStrings from '../../BalancingActStrings.js';
 import BalanceModel from '../../common/model/BalanceModel.js';
 import FireExtinguisher from '../../common/model/masses/FireExtinguisher.js';
 import SmallTrashCan from '../../common/model/masses/SmallTrashCan.js';
 
+const pattern0NoMoreMassesOfTypeString = BalancingActStrings.pattern0NoMoreMassesOfType;
+const pattern0UnknownMassTypeString = BalancingActStrings.pattern0UnknownMassType;
+
+// types of the masses on this screen, keyed by the names used for them in scenarios
+const SCENARIO_MASS_TYPES = {
+  fireExtinguisher: FireExtinguisher,
+  smallTrashCan: SmallTrashCan
+};
+
 class BAIntroModel extends BalanceModel {
 
   /**
@@ -28,6 +39,51 @@ class BAIntroModel extends BalanceModel {
     this.addMass( new SmallTrashCan( new Vector2( 3.7, 0 ), false, { tandem: tandem.createTandem( 'smallTrashCan' ) } ) );
   }
 
+  /**
+   * @param {Mass} mass
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getScenarioMassDescription( mass ) {
+    return {
+      type: _.findKey( SCENARIO_MASS_TYPES, MassType => mass instanceof MassType ),
+      massValue: mass.massValue
+    };
+  }
+
+  /**
+   * The masses on this screen are fixed, so rather than creating a mass, this finds one of the right type that isn't on
+   * the plank yet.
+   * @param {Object} massDescription
+   * @returns {Mass}
+   * @public
+   * @override
+   */
+  createScenarioMass( massDescription ) {
+    if ( !_.has( SCENARIO_MASS_TYPES, massDescription.type ) ) {
+      throw new Error( StringUtils.format( pattern0UnknownMassTypeString, massDescription.type ) );
+    }
+    const mass = this.massList.find( mass =>
+      mass instanceof SCENARIO_MASS_TYPES[ massDescription.type ] && !mass.onPlankProperty.get()
+    );
+    if ( !mass ) {
+      throw new Error( StringUtils.format( pattern0NoMoreMassesOfTypeString, massDescription.type ) );
+    }
+    return mass;
+  }
+
+  /**
+   * The masses on this screen are fixed, so the mass is put back where it started.
+   * @param {Mass} mass
+   * @public
+   * @override
+   */
+  removeScenarioMass( mass ) {
+    mass.positionProperty.reset();
+    mass.rotationAngleProperty.reset();
+  }
+
   /**
    * @public
    */
@@ -21,7 +21,9 @@ class BAIntroView extends BasicBalanceScreenView {
       // because we need to check whether or not the user dropped it on the "stage" so that it isn't permanently dragged
       // off of the screen.
       mass.userControlledProperty.lazyLink( userControlled => {
-        if ( !userControlled ) {
+
+        // A mass that is released when the state is set stays where the state puts it, since no one dropped it.
+        if ( !userControlled && !phet.joist.sim.isSettingPhetioStateProperty.value ) {
           // The user has dropped this mass.
           if ( !model.plank.addMassToSurface( mass ) ) {
             // The attempt to add mass to surface of plank failed, probably because mass was dropped somewhere other